@@ -22,6 +22,26 @@ const config = {
       directory: './src/db/seeds'
     }
   },
+  test: {
+    client: 'pg',
+    connection: {
+      host: process.env.DB_HOST || 'localhost',
+      port: parseInt(process.env.DB_PORT) || 5432,
+      database: process.env.DB_NAME || 'nodejs_app',
+      user: process.env.DB_USER || 'postgres',
+      password: process.env.DB_PASSWORD || 'postgres',
+    },
+    // Each test run migrates into its own schema, see test/helpers/database.js;
+    // public stays on the path for the extensions every schema shares (pg_trgm)
+    searchPath: [process.env.DB_SCHEMA || 'public', 'public'],
+    migrations: {
+      directory: './src/db/migrations',
+      tableName: 'knex_migrations'
+    },
+    seeds: {
+      directory: './src/db/seeds'
+    }
+  },
   production: {
     client: 'pg',
     connection: {
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Account emails
+ * @description Builds and sends the emails that carry account tokens: password
+ * reset links and email verification links
+ * @version 1.0.0
+ */
+
+import { EmailVerificationTokenModel } from './models/EmailVerificationTokenModel.js';
+import { sendMail } from './mailer.js';
+import { generateToken, hashToken } from './utils.js';
+
+/**
+ * Email verification token lifetime in milliseconds
+ * @type {number}
+ * @default 86400000 (24 hours)
+ */
+const EMAIL_VERIFICATION_TTL_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Build a link to a page of the frontend application
+ * @private
+ * @param {string} pagePath - Page path, e.g. "/reset-password"
+ * @param {string} token - Token to pass in the query string
+ * @returns {string} Absolute URL
+ */
+function appLink(pagePath, token) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${appUrl}${pagePath}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a password reset link
+ * @async
+ * @param {Object} user - Recipient user
+ * @param {string} token - Plain password reset token
+ * @param {number} ttlMs - Token lifetime in milliseconds, mentioned in the email
+ * @returns {Promise<void>}
+ * @throws {Error} Mail delivery error
+ */
+export async function sendPasswordResetEmail(user, token, ttlMs) {
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      'Use the link below to choose a new password. It expires in',
+      `${Math.round(ttlMs / 60000)} minutes and can only be used once.`,
+      '',
+      appLink('/reset-password', token),
+      '',
+      'If you did not ask to reset your password, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Issue an email verification token and email the verification link
+ * @async
+ * @param {Object} user - User whose current email address should be verified
+ * @returns {Promise<void>}
+ * @throws {Error} Database or mail delivery error
+ * @description Earlier verification tokens for the user stop working
+ * @example
+ * const newUser = await UserModel.create(userData);
+ * await issueEmailVerification(newUser);
+ */
+export async function issueEmailVerification(user) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+
+  await EmailVerificationTokenModel.deleteByUserId(user.id);
+  await EmailVerificationTokenModel.create(user.id, user.email, hashToken(token), expiresAt);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      'Please confirm that this is your email address by opening the link below.',
+      `It expires in ${Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000)} hours.`,
+      '',
+      appLink('/verify-email', token),
+      '',
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+  });
+}
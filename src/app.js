@@ -1,7 +1,8 @@
 /**
- * @fileoverview Express.js application entry point
- * @description Main application file that sets up the Express server with middleware,
- * routes, and error handling for a Node.js REST API
+ * @fileoverview Express.js application
+ * @description Sets up the Express application with middleware, routes, and error
+ * handling for a Node.js REST API. Importing it does not start a server or touch the
+ * database; src/server.js does that.
  * @version 1.0.0
  * @author Your Name
  */
@@ -9,10 +10,12 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import userRoutes from "./routes/users.js";
-import userAuth from "./routes/user-auth.js";
-import { testConnection } from "./config/database.js";
-import { initializeDatabase } from "./db/init.js";
+import { serviceRoutes, apiRoutes } from "./routes/index.js";
+import { requestId } from "./middleware/request-id.js";
+import { accessLog } from "./middleware/access-log.js";
+import { httpMetrics } from "./middleware/metrics.js";
+import { notFoundHandler, errorHandler } from "./middleware/error-handler.js";
+import { closeConnectionsOnShutdown } from "./shutdown.js";
 
 /**
  * Express application instance
@@ -21,17 +24,50 @@ import { initializeDatabase } from "./db/init.js";
 const app = express();
 
 /**
- * Server port number from environment variable or default 8000
- * @type {number}
- * @default 8000
+ * Configure proxy trust
+ * @description When running behind a load balancer or API gateway, set TRUST_PROXY
+ * (e.g. "1" or "loopback") so req.ip is the client address used for rate limiting
  */
-const port = process.env.PORT || 8000;
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
-/** * Domain name for the server, defaults to 'localhost'
- * @type {string}
- * @default "localhost"
+/**
+ * Assign each request an ID
+ * @description Registered first so every response, including errors, carries
+ * X-Request-Id and every log entry for the request carries its ID
+ */
+app.use(requestId);
+
+/**
+ * Log every request
+ * @description Writes one structured entry per response with its status and latency
+ * @see {@link ./middleware/access-log.js}
+ */
+app.use(accessLog);
+
+/**
+ * Record request counts and latency for /metrics
+ * @see {@link ./middleware/metrics.js}
+ */
+app.use(httpMetrics);
+
+/**
+ * Close keep-alive connections while shutting down
+ * @see {@link ./shutdown.js}
+ */
+app.use(closeConnectionsOnShutdown);
+
+/**
+ * Service routes
+ * @description Mounts /healthz, /readyz, /metrics, /openapi.json and /docs before
+ * CORS and body parsing; they need no API key
+ * @see {@link ./routes/index.js}
  */
-const domain = process.env.DOMAIN || "localhost";
+for (const { path, router } of serviceRoutes) {
+  app.use(path, router);
+}
 
 /**
  * Configure CORS middleware
@@ -44,16 +80,18 @@ app.use(
       "http://127.0.0.1:3000",
     ],
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id", "If-Match", "If-None-Match"],
+    exposedHeaders: ["X-Request-Id", "Retry-After", "ETag"],
   })
 );
 
 /**
  * Configure JSON parsing middleware
- * @description Parses incoming JSON requests with a limit
+ * @description Parses incoming JSON requests with a limit, including JSON Merge Patch
+ * documents sent to PATCH endpoints
  */
-app.use(bodyParser.json());
+app.use(bodyParser.json({ type: ["application/json", "application/merge-patch+json"] }));
 
 /**
  * Configure URL-encoded parsing middleware
@@ -61,26 +99,6 @@ app.use(bodyParser.json());
  */
 app.use(bodyParser.urlencoded({ extended: true }));
 
-/**
- * Global error handling middleware for JSON parsing errors
- * @function
- * @param {Error} error - The error object
- * @param {express.Request} req - Express request object
- * @param {express.Response} res - Express response object
- * @param {express.NextFunction} next - Express next middleware function
- * @description Catches and handles JSON syntax errors from malformed request bodies
- * @returns {express.Response|void} JSON error response or calls next()
- */
-app.use((error, req, res, next) => {
-  // Check if the error is a SyntaxError from JSON parsing
-  if (error instanceof SyntaxError && error.status === 400 && "body" in error) {
-    return res
-      .status(400)
-      .json({ error: "Invalid JSON format", req: error.body });
-  }
-  next();
-});
-
 /**
  * Root endpoint handler
  * @route GET /
@@ -98,34 +116,26 @@ app.get("/", (req, res) => {
 });
 
 /**
- * User routes middleware
- * @description Mounts user-related routes under the /users path
- * @see {@link ./routes/users.js} for user route implementations
+ * API routes middleware
+ * @description Mounts the /users, /user-auth, /api-keys and /audit-events routers
+ * @see {@link ./routes/index.js} for the route table
  */
-app.use("/users", userRoutes);
+for (const { path, router } of apiRoutes) {
+  app.use(path, router);
+}
 
 /**
- * User routes middleware
- * @description Mounts user-auth-related routes under the /user-auth path
- * @see {@link ./routes/user-auth.js} for user route implementations
+ * Not found handler
+ * @description Answers requests that matched no route with a 404 problem
  */
-app.use("/user-auth", userAuth);
+app.use(notFoundHandler);
 
 /**
- * Start the Express server
- * @function
- * @description Starts the server on the specified port and logs the startup message
- * @param {number} port - The port number to listen on
- * @param {Function} callback - Callback function executed when server starts
- * @example
- * // Server running at http://localhost:8000/
+ * Central error handler
+ * @description Converts every error, including malformed JSON bodies, into an
+ * application/problem+json response
+ * @see {@link ./middleware/error-handler.js}
  */
-app.listen(port, async () => {
-  console.log(`Server running at http://${domain}:${port}/`);
-
-  // Test database connection on startup
-  await testConnection();
+app.use(errorHandler);
 
-  // Initialize database (run migrations and seeds)
-  await initializeDatabase();
-});
+export default app;
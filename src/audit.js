@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Audit log
+ * @description Records who did what to which account, from which client, in the
+ * append-only audit_events table. Routes call recordAuditEvent after an action
+ * succeeds (or, for logins, fails); admins read the log at GET /audit-events.
+ * @version 1.0.0
+ */
+
+import { AuditEventModel } from './models/AuditEventModel.js';
+
+/**
+ * Actions recorded in the audit log
+ * @type {Object<string, string>}
+ */
+export const AUDIT_ACTIONS = Object.freeze({
+  USER_CREATED: 'user.created',
+  USER_UPDATED: 'user.updated',
+  USER_DELETED: 'user.deleted',
+  USER_RESTORED: 'user.restored',
+  USER_UNLOCKED: 'user.unlocked',
+  USERS_IMPORTED: 'user.imported',
+  USERS_EXPORTED: 'user.exported',
+  PASSWORD_CHANGED: 'user.password_changed',
+  LOGIN_SUCCEEDED: 'auth.login_succeeded',
+  LOGIN_FAILED: 'auth.login_failed',
+  ACCOUNT_LOCKED: 'auth.account_locked',
+  LOGOUT: 'auth.logout',
+  REFRESH_TOKEN_REUSED: 'auth.refresh_token_reused',
+  PASSWORD_RESET_REQUESTED: 'auth.password_reset_requested',
+  PASSWORD_RESET: 'auth.password_reset',
+  EMAIL_VERIFIED: 'auth.email_verified',
+  SESSION_REVOKED: 'auth.session_revoked',
+  SESSIONS_REVOKED: 'auth.sessions_revoked',
+});
+
+/**
+ * Compare two versions of a record
+ * @function
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object|null} Changed fields as `{ field: { from, to } }`, or null if none changed
+ * @example
+ * diffChanges({ role: 'member', email: 'a@x.io' }, { role: 'admin', email: 'a@x.io' }, ['role', 'email']);
+ * // Returns: { role: { from: 'member', to: 'admin' } }
+ */
+export function diffChanges(before, after, fields) {
+  const normalize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+  const changes = {};
+
+  for (const field of fields) {
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Record an audit event for a request
+ * @async
+ * @function
+ * @param {Object} req - Express request object; the actor (`req.user`), API client
+ * (`req.apiClient`), IP address, user agent and request ID are read from it
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [details={}] - Event details
+ * @param {number} [details.targetUserId] - User the action was performed on
+ * @param {number} [details.actorUserId] - Actor, when it is not `req.user` (e.g. at login)
+ * @param {Object} [details.changes] - Changed fields, see diffChanges
+ * @param {Object} [details.metadata] - Other details, e.g. `{ reason: 'invalid_credentials' }`
+ * @returns {Promise<Object>} Created audit event
+ * @throws {Error} If the event cannot be written; the request then fails rather than
+ * going unrecorded
+ * @example
+ * await recordAuditEvent(req, AUDIT_ACTIONS.USER_DELETED, { targetUserId: userId });
+ */
+export async function recordAuditEvent(req, action, details = {}) {
+  return AuditEventModel.create({
+    action,
+    actorUserId: details.actorUserId ?? req.user?.id,
+    apiKeyId: req.apiClient?.id,
+    apiClientName: req.apiClient?.name,
+    targetUserId: details.targetUserId,
+    changes: details.changes,
+    metadata: details.metadata,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestId: req.id,
+  });
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Command-line purge of expired sessions and tokens
+ * @description Runs one purge and exits, for scheduling with cron or a Kubernetes
+ * CronJob instead of (or as well as) the in-process scheduler.
+ * Exits with status 1 if the purge fails.
+ * @version 1.0.0
+ * @example
+ * // npm run purge:expired
+ * // node ./src/bin/purge-expired.js --batch-size=500
+ */
+
+import { purgeExpired } from '../jobs/purge-expired.js';
+import { closeDatabase } from '../db/init.js';
+import logger from '../logger.js';
+
+/**
+ * Read the --batch-size option from the command line
+ * @private
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {number|undefined} Batch size, or undefined to use the default
+ */
+function parseBatchSize(args) {
+  const option = args.find((arg) => arg.startsWith('--batch-size='));
+  const batchSize = option ? parseInt(option.split('=')[1]) : undefined;
+
+  return batchSize > 0 ? batchSize : undefined;
+}
+
+try {
+  const removed = await purgeExpired({ batchSize: parseBatchSize(process.argv.slice(2)) });
+  logger.info('Purged expired rows', { removed });
+} catch (error) {
+  logger.error('Purge failed', error);
+  process.exitCode = 1;
+} finally {
+  await closeDatabase();
+}
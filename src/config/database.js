@@ -7,8 +7,15 @@
  */
 
 import pkg from 'pg';
+import logger from '../logger.js';
 const { Pool } = pkg;
 
+/**
+ * Logger for database events
+ * @type {import('../logger.js').Logger}
+ */
+const log = logger.child({ module: 'database' });
+
 /**
  * Database connection configuration
  * @type {Object}
@@ -43,12 +50,13 @@ const pool = new Pool(dbConfig);
  * Database connection event handlers
  */
 pool.on('connect', () => {
-  console.log('Connected to PostgreSQL database');
+  log.debug('Connected to PostgreSQL database');
 });
 
+// The pool discards a client that fails while idle and opens a new one on demand,
+// so the error is logged rather than taking the process down
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
+  log.error('Unexpected error on idle client', err);
 });
 
 /**
@@ -61,11 +69,11 @@ pool.on('error', (err) => {
 export const testConnection = async () => {
   try {
     const client = await pool.connect();
-    console.log('Database connection test successful');
+    log.info('Database connection test successful');
     client.release();
     return true;
   } catch (err) {
-    console.error('Database connection test failed:', err.message);
+    log.error('Database connection test failed', err);
     return false;
   }
 };
@@ -78,16 +86,21 @@ export const testConnection = async () => {
  * @param {Array} params - Query parameters
  * @returns {Promise<Object>} Query result
  * @throws {Error} Database query error
+ * @description Logs the statement type, row count and duration at debug level. The
+ * SQL text and parameters are not logged, as they can contain user data.
  */
 export const query = async (text, params) => {
   const start = Date.now();
   try {
     const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: res.rowCount });
+    log.debug('Executed query', {
+      command: res.command,
+      rows: res.rowCount,
+      duration_ms: Date.now() - start,
+    });
     return res;
   } catch (err) {
-    console.error('Database query error:', err.message);
+    log.error('Database query failed', { err, duration_ms: Date.now() - start });
     throw err;
   }
 };
@@ -110,7 +123,7 @@ export const getClient = async () => {
  */
 export const closePool = async () => {
   await pool.end();
-  console.log('Database connection pool closed');
+  log.info('Database connection pool closed');
 };
 
 export default pool;
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Role and permission configuration
+ * @description Defines the user roles and the permissions each role grants
+ * @module config/permissions
+ * @version 1.0.0
+ */
+
+/**
+ * Available user roles
+ * @type {Object<string, string>}
+ * @property {string} ADMIN - Full user management
+ * @property {string} SUPPORT - Read access to any user for customer support
+ * @property {string} MEMBER - Regular end user, may only manage their own account
+ */
+export const ROLES = Object.freeze({
+  ADMIN: "admin",
+  SUPPORT: "support",
+  MEMBER: "member",
+});
+
+/**
+ * Role assigned to newly created users
+ * @type {string}
+ */
+export const DEFAULT_ROLE = ROLES.MEMBER;
+
+/**
+ * Permissions granted to each role
+ * @type {Object<string, Array<string>>}
+ * @description Permissions are `resource:action` strings checked by the
+ * `authorize` middleware. Acting on one's own account never needs a permission.
+ */
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.ADMIN]: [
+    "users:list",
+    "users:read",
+    "users:search",
+    "users:update",
+    "users:delete",
+    "users:manage_roles",
+    "users:unlock",
+    "users:read_deleted",
+    "users:restore",
+    "users:import",
+    "users:export",
+    "sessions:manage",
+    "api_keys:manage",
+    "audit:read",
+  ],
+  [ROLES.SUPPORT]: ["users:read", "users:search"],
+  [ROLES.MEMBER]: [],
+});
+
+/**
+ * Check whether a role grants a permission
+ * @function
+ * @param {string} role - Role name
+ * @param {string} permission - Permission string
+ * @returns {boolean} True if the role grants the permission
+ * @example
+ * hasPermission("support", "users:read");
+ * // Returns: true
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Scopes that can be granted to API keys
+ * @type {Object<string, string>}
+ * @property {string} USERS - The /users endpoints
+ * @property {string} AUTH - The /user-auth endpoints
+ * @property {string} API_KEYS - The /api-keys management endpoints
+ * @property {string} AUDIT - The /audit-events endpoint
+ * @property {string} ALL - Every scope, including ones added later
+ */
+export const API_KEY_SCOPES = Object.freeze({
+  USERS: "users",
+  AUTH: "auth",
+  API_KEYS: "api_keys",
+  AUDIT: "audit",
+  ALL: "*",
+});
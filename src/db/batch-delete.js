@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Batched deletes
+ * @description Deletes large sets of rows in small batches, so each statement holds
+ * its row locks only briefly and does not block concurrent requests
+ * @module db/batch-delete
+ * @version 1.0.0
+ */
+
+import db from './init.js';
+
+/**
+ * Default number of rows removed per statement
+ * @type {number}
+ */
+export const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Delete every matching row of a table in batches
+ * @async
+ * @function
+ * @param {string} table - Table name; must have an `id` primary key
+ * @param {function(Object): Object} applyConditions - Adds the WHERE clauses that select
+ * rows to delete to the query builder it is given, and returns it
+ * @param {Object} [options={}] - Batch options
+ * @param {number} [options.batchSize=1000] - Rows removed per statement
+ * @returns {Promise<number>} Total number of deleted rows
+ * @example
+ * const deleted = await deleteInBatches('sessions', (query) =>
+ *   query.where('expires_at', '<', new Date())
+ * );
+ * // Returns: 2345
+ */
+export async function deleteInBatches(table, applyConditions, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  let total = 0;
+
+  for (;;) {
+    const batch = applyConditions(db(table).select('id')).limit(batchSize);
+    const deleted = await db(table).whereIn('id', batch).del();
+
+    total += deleted;
+
+    if (deleted < batchSize) {
+      return total;
+    }
+  }
+}
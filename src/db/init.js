@@ -6,6 +6,7 @@
 
 import knex from 'knex';
 import knexConfig from '../../knexfile.js';
+import logger from '../logger.js';
 
 /**
  * Database environment (development, production, etc.)
@@ -17,7 +18,54 @@ const environment = process.env.NODE_ENV || 'development';
  * Knex instance configured for the current environment
  * @type {Object}
  */
-const db = knex(knexConfig[environment]);
+const rootDb = knex(knexConfig[environment]);
+
+/**
+ * Knex instance used by the models
+ * @type {Object}
+ * @description Usually the root instance; tests replace it with a transaction (see
+ * setKnexInstance). Exported as a live binding, so modules that imported it see the
+ * replacement.
+ */
+let db = rootDb;
+
+/**
+ * Logger for database events
+ * @type {import('../logger.js').Logger}
+ */
+const log = logger.child({ module: 'database' });
+
+/**
+ * Start times of running queries, keyed by Knex query ID
+ * @type {Map<string, bigint>}
+ */
+const queryStarts = new Map();
+
+/**
+ * Log every query at debug level
+ * @description Entries carry the ID of the request that ran the query (see
+ * src/logger.js). Only the query method, row count and duration are logged; the SQL
+ * and its bindings are left out because they can contain user data.
+ */
+rootDb.on('query', (query) => {
+  queryStarts.set(query.__knexQueryUid, process.hrtime.bigint());
+});
+
+rootDb.on('query-response', (response, query) => {
+  const start = queryStarts.get(query.__knexQueryUid);
+  queryStarts.delete(query.__knexQueryUid);
+
+  log.debug('Executed query', {
+    method: query.method,
+    rows: Array.isArray(response) ? response.length : response?.rowCount,
+    duration_ms: start ? Number(process.hrtime.bigint() - start) / 1e6 : undefined,
+  });
+});
+
+rootDb.on('query-error', (error, query) => {
+  queryStarts.delete(query.__knexQueryUid);
+  log.error('Query failed', { method: query.method, err: error });
+});
 
 /**
  * Initialize database by running migrations and seeds
@@ -28,22 +76,22 @@ const db = knex(knexConfig[environment]);
  */
 export async function initializeDatabase() {
   try {
-    console.log('🔧 Running database migrations...');
+    log.info('Running database migrations');
 
     // Run migrations
-    await db.migrate.latest();
-    console.log('Database migrations completed successfully');
+    await rootDb.migrate.latest();
+    log.info('Database migrations completed');
 
     // Run seeds in development only
     if (environment === 'development') {
-      console.log('🌱 Running database seeds...');
-      await db.seed.run();
-      console.log('Database seeds completed successfully');
+      log.info('Running database seeds');
+      await rootDb.seed.run();
+      log.info('Database seeds completed');
     }
 
-    console.log('Database initialization completed');
+    log.info('Database initialization completed');
   } catch (error) {
-    console.error('Database initialization failed:', error.message);
+    log.error('Database initialization failed', error);
     throw error;
   }
 }
@@ -57,6 +105,25 @@ export function getKnexInstance() {
   return db;
 }
 
+/**
+ * Replace the Knex instance used by the models
+ * @function
+ * @param {Object} [instance] - Knex instance or transaction; omit to restore the
+ * instance configured for the environment
+ * @returns {void}
+ * @description Lets the test suite run each test inside a transaction that is rolled
+ * back afterwards. Transactions the models open themselves become savepoints.
+ * @example
+ * const trx = await getKnexInstance().transaction();
+ * setKnexInstance(trx);
+ * // ... run a test ...
+ * await trx.rollback();
+ * setKnexInstance();
+ */
+export function setKnexInstance(instance = rootDb) {
+  db = instance;
+}
+
 /**
  * Close database connection
  * @async
@@ -64,8 +131,8 @@ export function getKnexInstance() {
  * @returns {Promise<void>}
  */
 export async function closeDatabase() {
-  await db.destroy();
-  console.log('📦 Database connection closed');
+  await rootDb.destroy();
+  log.info('Database connection closed');
 }
 
-export default db;
+export { db as default };
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Migration to add refresh token columns to sessions table
+ * @description Adds refresh token hash, session family and rotation tracking to sessions
+ * @version 1.0.0
+ */
+
+/**
+ * Add refresh token columns to sessions table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.alterTable('sessions', (table) => {
+    table.string('refresh_token_hash', 64).nullable().unique();
+    table.uuid('family_id').nullable();
+    table.timestamp('rotated_at').nullable();
+
+    // Indexes
+    table.index('family_id');
+  });
+}
+
+/**
+ * Remove refresh token columns from sessions table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  return knex.schema.alterTable('sessions', (table) => {
+    table.dropIndex('family_id');
+    table.dropColumn('refresh_token_hash');
+    table.dropColumn('family_id');
+    table.dropColumn('rotated_at');
+  });
+}
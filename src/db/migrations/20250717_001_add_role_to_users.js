@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Migration to add role field to users table
+ * @description Adds a role column used for role-based access control
+ * @version 1.0.0
+ */
+
+/**
+ * Add role column to users table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.alterTable("users", (table) => {
+    table.string("role", 32).notNullable().defaultTo("member");
+
+    // Indexes
+    table.index("role");
+  });
+}
+
+/**
+ * Remove role column from users table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropIndex("role");
+    table.dropColumn("role");
+  });
+}
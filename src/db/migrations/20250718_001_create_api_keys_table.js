@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Migration to create api_keys table
+ * @description Creates the api_keys table for named, hashed and revocable API keys
+ * @version 1.0.0
+ */
+
+/**
+ * Create api_keys table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.createTable('api_keys', (table) => {
+    table.increments('id').primary();
+    table.string('name', 255).notNullable();
+    table.string('key_prefix', 16).notNullable().unique();
+    table.string('key_hash', 64).notNullable();
+    table.jsonb('scopes').notNullable().defaultTo('[]');
+    table.timestamp('expires_at').nullable();
+    table.timestamp('last_used_at').nullable();
+    table.timestamp('revoked_at').nullable();
+    table.integer('created_by').unsigned().nullable();
+    table.timestamps(true, true); // created_at and updated_at
+
+    // Foreign key constraint
+    table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+
+    // Indexes
+    table.index('created_at');
+  });
+}
+
+/**
+ * Drop api_keys table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  return knex.schema.dropTableIfExists('api_keys');
+}
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Migration to add login lockout fields to users table
+ * @description Adds failed login tracking and temporary lockout columns to the users table
+ * @version 1.0.0
+ */
+
+/**
+ * Add failed_login_attempts and locked_until columns to users table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.alterTable("users", (table) => {
+    table.integer("failed_login_attempts").notNullable().defaultTo(0);
+    table.timestamp("locked_until").nullable();
+  });
+}
+
+/**
+ * Remove failed_login_attempts and locked_until columns from users table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  return knex.schema.alterTable("users", (table) => {
+    table.dropColumn("failed_login_attempts");
+    table.dropColumn("locked_until");
+  });
+}
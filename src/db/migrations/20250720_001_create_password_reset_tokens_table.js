@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Migration to create password_reset_tokens table
+ * @description Creates the password_reset_tokens table for single-use password reset tokens
+ * @version 1.0.0
+ */
+
+/**
+ * Create password_reset_tokens table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.createTable('password_reset_tokens', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable();
+    table.string('token_hash', 64).notNullable().unique();
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at').nullable();
+    table.timestamps(true, true); // created_at and updated_at
+
+    // Foreign key constraint
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+
+    // Indexes
+    table.index('user_id');
+    table.index('expires_at');
+  });
+}
+
+/**
+ * Drop password_reset_tokens table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  return knex.schema.dropTableIfExists('password_reset_tokens');
+}
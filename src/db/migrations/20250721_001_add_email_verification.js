@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Migration to add email verification
+ * @description Adds email_verified_at to users and creates the email_verification_tokens table
+ * @version 1.0.0
+ */
+
+/**
+ * Add email_verified_at column and create email_verification_tokens table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.timestamp('email_verified_at').nullable();
+  });
+
+  return knex.schema.createTable('email_verification_tokens', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable();
+    table.string('email', 255).notNullable();
+    table.string('token_hash', 64).notNullable().unique();
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at').nullable();
+    table.timestamps(true, true); // created_at and updated_at
+
+    // Foreign key constraint
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+
+    // Indexes
+    table.index('user_id');
+    table.index('expires_at');
+  });
+}
+
+/**
+ * Drop email_verification_tokens table and remove email_verified_at column
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('email_verification_tokens');
+
+  return knex.schema.alterTable('users', (table) => {
+    table.dropColumn('email_verified_at');
+  });
+}
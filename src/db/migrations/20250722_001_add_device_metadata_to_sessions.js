@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Migration to add device metadata to sessions table
+ * @description Adds user agent, IP address and last seen columns to sessions
+ * @version 1.0.0
+ */
+
+/**
+ * Add user_agent, ip_address and last_seen_at columns to sessions table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.alterTable('sessions', (table) => {
+    table.string('user_agent', 512).nullable();
+    table.string('ip_address', 45).nullable();
+    table.timestamp('last_seen_at').nullable();
+  });
+}
+
+/**
+ * Remove user_agent, ip_address and last_seen_at columns from sessions table
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  return knex.schema.alterTable('sessions', (table) => {
+    table.dropColumn('user_agent');
+    table.dropColumn('ip_address');
+    table.dropColumn('last_seen_at');
+  });
+}
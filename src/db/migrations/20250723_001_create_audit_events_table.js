@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Migration to create audit_events table
+ * @description Creates the append-only audit_events table for account and
+ * authentication events. A trigger rejects every UPDATE, DELETE and TRUNCATE, so
+ * events cannot be altered or removed through the application's database user.
+ * @version 1.0.0
+ */
+
+/**
+ * Create audit_events table and its append-only trigger
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  await knex.schema.createTable('audit_events', (table) => {
+    table.increments('id').primary();
+    table.timestamp('occurred_at').notNullable().defaultTo(knex.fn.now());
+    table.string('action', 64).notNullable();
+    // No foreign keys: events must outlive the users and keys they mention
+    table.integer('actor_user_id').nullable();
+    table.integer('api_key_id').nullable();
+    table.string('api_client_name', 255).nullable();
+    table.integer('target_user_id').nullable();
+    table.jsonb('changes').nullable();
+    table.jsonb('metadata').nullable();
+    table.string('ip_address', 45).nullable();
+    table.string('user_agent', 512).nullable();
+    table.string('request_id', 128).nullable();
+
+    // Indexes
+    table.index(['actor_user_id', 'id']);
+    table.index(['target_user_id', 'id']);
+    table.index(['action', 'id']);
+    table.index('occurred_at');
+  });
+
+  await knex.raw(`
+    CREATE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_events is append-only' USING ERRCODE = 'insufficient_privilege';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER audit_events_no_update_delete
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only()
+  `);
+}
+
+/**
+ * Drop audit_events table and its trigger function
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('audit_events');
+  await knex.raw('DROP FUNCTION IF EXISTS audit_events_append_only()');
+}
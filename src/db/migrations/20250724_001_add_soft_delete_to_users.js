@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Migration to add soft delete to users table
+ * @description Adds deleted_at to users and narrows the email unique constraint to
+ * users that are not deleted, so a deleted user's address can be registered again
+ * @version 1.0.0
+ */
+
+/**
+ * Add deleted_at column and a partial unique index on email
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ */
+export async function up(knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.timestamp('deleted_at').nullable();
+    table.dropUnique(['email']);
+    table.unique(['email'], {
+      indexName: 'users_email_active_unique',
+      predicate: knex.whereNull('deleted_at'),
+    });
+    table.index('deleted_at');
+  });
+}
+
+/**
+ * Remove deleted_at column and restore the email unique constraint
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ * @description Soft-deleted users are removed first, since their emails may now be
+ * in use again
+ */
+export async function down(knex) {
+  await knex('users').whereNotNull('deleted_at').del();
+
+  return knex.schema.alterTable('users', (table) => {
+    table.dropIndex('deleted_at');
+    table.dropIndex(['email'], 'users_email_active_unique');
+    table.unique(['email']);
+    table.dropColumn('deleted_at');
+  });
+}
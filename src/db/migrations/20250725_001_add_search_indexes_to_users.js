@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Migration to add search indexes to users table
+ * @description Enables pg_trgm and indexes the names and email of every user for
+ * full-text search and trigram similarity, used by GET /users/search. The index
+ * expressions must stay identical to UserModel.SEARCH_DOCUMENT and UserModel.SEARCH_TEXT,
+ * or Postgres will not use them.
+ * @version 1.0.0
+ */
+
+/**
+ * Enable pg_trgm and create the full-text and trigram indexes
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ * @description The extension is installed in the public schema so that every schema
+ * (including the per-run test schemas) shares it. pg_trgm is a trusted extension, so
+ * the database owner can create it without superuser rights.
+ */
+export async function up(knex) {
+  await knex.raw('CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public');
+
+  await knex.raw(`
+    CREATE INDEX users_search_document_index ON users USING gin (
+      to_tsvector('simple', first_name || ' ' || last_name || ' ' || translate(email, '@.', '  '))
+    )
+  `);
+
+  await knex.raw(`
+    CREATE INDEX users_search_text_trgm_index ON users USING gin (
+      (first_name || ' ' || last_name || ' ' || email) gin_trgm_ops
+    )
+  `);
+}
+
+/**
+ * Drop the search indexes
+ * @param {Object} knex - Knex instance
+ * @returns {Promise<void>}
+ * @description pg_trgm is left installed, since other schemas may use it
+ */
+export async function down(knex) {
+  await knex.raw('DROP INDEX IF EXISTS users_search_text_trgm_index');
+  await knex.raw('DROP INDEX IF EXISTS users_search_document_index');
+}
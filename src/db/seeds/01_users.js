@@ -1,11 +1,58 @@
 /**
  * @fileoverview Seed file for initial user data
- * @description Populates the users table with sample data
+ * @description Populates the users table with sample data. The sample users and the
+ * row builder are also used by the test suite's factories (test/helpers/factories.js).
  * @version 1.0.0
  */
 
 import { hashPassword } from '../../utils.js';
 
+/**
+ * Sample users, with their plain passwords
+ * @type {Array<Object>}
+ */
+export const SAMPLE_USERS = [
+  {
+    first_name: "John",
+    last_name: "Doe",
+    email: "john@example.com",
+    role: "admin",
+    password: "password123",
+  },
+  {
+    first_name: "Jane",
+    last_name: "Smith",
+    email: "jane@example.com",
+    role: "support",
+    password: "password456",
+  },
+  {
+    first_name: "Alice",
+    last_name: "Johnson",
+    email: "alice@example.com",
+    role: "member",
+    password: "password789",
+  },
+];
+
+/**
+ * Build a users row from sample attributes
+ * @async
+ * @param {Object} attributes - User attributes with a plain `password`
+ * @returns {Promise<Object>} Row with the password hashed and the email verified
+ * @example
+ * await knex("users").insert(await buildUserRow(SAMPLE_USERS[0]));
+ */
+export async function buildUserRow({ password, ...attributes }) {
+  return {
+    password_hash: await hashPassword(password),
+    email_verified_at: new Date(),
+    created_at: new Date(),
+    updated_at: new Date(),
+    ...attributes,
+  };
+}
+
 /**
  * Seed users table with sample data
  * @param {Object} knex - Knex instance
@@ -16,38 +63,8 @@ export async function seed(knex) {
   await knex("users").del();
 
   // Generate password hashes for sample users
-  const johnPassword = hashPassword("password123");
-  const janePassword = hashPassword("password456");
-  const alicePassword = hashPassword("password789");
+  const rows = await Promise.all(SAMPLE_USERS.map(buildUserRow));
 
   // Insert sample users
-  await knex("users").insert([
-    {
-      first_name: "John",
-      last_name: "Doe",
-      email: "john@example.com",
-      password_hash: johnPassword.hash,
-      salt: johnPassword.salt,
-      created_at: new Date(),
-      updated_at: new Date(),
-    },
-    {
-      first_name: "Jane",
-      last_name: "Smith",
-      email: "jane@example.com",
-      password_hash: janePassword.hash,
-      salt: janePassword.salt,
-      created_at: new Date(),
-      updated_at: new Date(),
-    },
-    {
-      first_name: "Alice",
-      last_name: "Johnson",
-      email: "alice@example.com",
-      password_hash: alicePassword.hash,
-      salt: alicePassword.salt,
-      created_at: new Date(),
-      updated_at: new Date(),
-    },
-  ]);
+  await knex("users").insert(rows);
 }
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview HTTP error classes
+ * @description Errors thrown by routes and middleware and turned into RFC 9457
+ * problem details by the central error handler (src/middleware/error-handler.js).
+ * Each error carries an HTTP status and a stable, machine-readable `code`; clients
+ * should branch on the code, not on the human-readable detail.
+ * @version 1.0.0
+ */
+
+/**
+ * Base class for errors that map to an HTTP response
+ * @class HttpError
+ * @extends Error
+ * @example
+ * throw new HttpError(418, 'teapot', "I'm a teapot");
+ */
+export class HttpError extends Error {
+  /**
+   * Create an HTTP error
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable error code, e.g. "user_not_found"
+   * @param {string} detail - Human-readable explanation of this occurrence
+   * @param {Object} [options={}] - Extra options
+   * @param {Object<string, string>} [options.headers] - Response headers to set, e.g. Retry-After
+   * @param {Object} [options.extensions] - Extra members added to the problem details
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(status, code, detail, options = {}) {
+    super(detail, { cause: options.cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.headers = options.headers || {};
+    this.extensions = options.extensions || {};
+  }
+}
+
+/**
+ * The request is malformed (400)
+ * @class BadRequestError
+ * @extends HttpError
+ * @example
+ * throw new BadRequestError('Invalid or expired reset token', { code: 'invalid_token' });
+ */
+export class BadRequestError extends HttpError {
+  /**
+   * @param {string} [detail='Bad request'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "bad_request")
+   */
+  constructor(detail = 'Bad request', options = {}) {
+    super(400, options.code || 'bad_request', detail, options);
+  }
+}
+
+/**
+ * Authentication is missing or invalid (401)
+ * @class UnauthorizedError
+ * @extends HttpError
+ * @example
+ * throw new UnauthorizedError('Invalid email or password', { code: 'invalid_credentials' });
+ */
+export class UnauthorizedError extends HttpError {
+  /**
+   * @param {string} [detail='Authentication required'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "unauthorized")
+   */
+  constructor(detail = 'Authentication required', options = {}) {
+    super(401, options.code || 'unauthorized', detail, options);
+  }
+}
+
+/**
+ * The caller is authenticated but not allowed to do this (403)
+ * @class ForbiddenError
+ * @extends HttpError
+ * @example
+ * throw new ForbiddenError('Insufficient permissions');
+ */
+export class ForbiddenError extends HttpError {
+  /**
+   * @param {string} [detail='Insufficient permissions'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "forbidden")
+   */
+  constructor(detail = 'Insufficient permissions', options = {}) {
+    super(403, options.code || 'forbidden', detail, options);
+  }
+}
+
+/**
+ * The resource does not exist (404)
+ * @class NotFoundError
+ * @extends HttpError
+ * @example
+ * throw new NotFoundError('User not found', { code: 'user_not_found' });
+ */
+export class NotFoundError extends HttpError {
+  /**
+   * @param {string} [detail='Not found'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "not_found")
+   */
+  constructor(detail = 'Not found', options = {}) {
+    super(404, options.code || 'not_found', detail, options);
+  }
+}
+
+/**
+ * The request conflicts with the current state, e.g. a duplicate email (409)
+ * @class ConflictError
+ * @extends HttpError
+ * @example
+ * throw new ConflictError('Email already exists', { code: 'email_taken' });
+ */
+export class ConflictError extends HttpError {
+  /**
+   * @param {string} [detail='Conflict'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "conflict")
+   */
+  constructor(detail = 'Conflict', options = {}) {
+    super(409, options.code || 'conflict', detail, options);
+  }
+}
+
+/**
+ * A precondition such as If-Match does not hold, e.g. the resource changed since it
+ * was read (412)
+ * @class PreconditionFailedError
+ * @extends HttpError
+ * @example
+ * throw new PreconditionFailedError('User has been modified', { code: 'etag_mismatch' });
+ */
+export class PreconditionFailedError extends HttpError {
+  /**
+   * @param {string} [detail='Precondition failed'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "precondition_failed")
+   */
+  constructor(detail = 'Precondition failed', options = {}) {
+    super(412, options.code || 'precondition_failed', detail, options);
+  }
+}
+
+/**
+ * The request body is in a format the endpoint does not accept (415)
+ * @class UnsupportedMediaTypeError
+ * @extends HttpError
+ * @example
+ * throw new UnsupportedMediaTypeError('Send text/csv or application/x-ndjson');
+ */
+export class UnsupportedMediaTypeError extends HttpError {
+  /**
+   * @param {string} [detail='Unsupported media type'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "unsupported_media_type")
+   */
+  constructor(detail = 'Unsupported media type', options = {}) {
+    super(415, options.code || 'unsupported_media_type', detail, options);
+  }
+}
+
+/**
+ * The request is well-formed but its values are invalid (422)
+ * @class ValidationError
+ * @extends HttpError
+ * @description The individual problems are listed in `errors` and sent to the client
+ * as the `errors` member of the problem details.
+ * @example
+ * throw new ValidationError([
+ *   { location: 'body', field: 'email', message: 'must be a valid email address' },
+ * ]);
+ */
+export class ValidationError extends HttpError {
+  /**
+   * @param {Array<{location: string, field: string, message: string}>} errors - Field errors
+   * @param {string} [detail='The request is invalid'] - Explanation
+   */
+  constructor(errors, detail = 'The request is invalid') {
+    super(422, 'validation_failed', detail, { extensions: { errors } });
+    this.errors = errors;
+  }
+}
+
+/**
+ * Too many requests (429)
+ * @class TooManyRequestsError
+ * @extends HttpError
+ * @example
+ * throw new TooManyRequestsError('Too many requests, please try again later', { retryAfter: 60 });
+ */
+export class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string} [detail='Too many requests, please try again later'] - Explanation
+   * @param {Object} [options={}] - HttpError options, plus `code` (default "rate_limited")
+   * and `retryAfter` (seconds, sent as the Retry-After header)
+   */
+  constructor(detail = 'Too many requests, please try again later', options = {}) {
+    const headers = { ...options.headers };
+    if (options.retryAfter !== undefined) {
+      headers['Retry-After'] = String(options.retryAfter);
+    }
+
+    super(429, options.code || 'rate_limited', detail, { ...options, headers });
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Entity tags for optimistic concurrency
+ * @description Derives ETags from a record's `updated_at` and checks If-Match
+ * headers, so clients can make writes conditional on the version they last read
+ * @version 1.0.0
+ */
+
+import { PreconditionFailedError } from './errors.js';
+
+/**
+ * Build the ETag of a record
+ * @function
+ * @param {Object} record - Record with an `updated_at` timestamp
+ * @returns {string} Strong ETag, quoted as sent in the ETag header
+ * @description The ETag is the millisecond timestamp of the last update, so it changes
+ * with every write. It is strong, since If-Match only accepts strong comparison.
+ * @example
+ * etagFor({ updated_at: new Date('2025-01-15T10:30:00.000Z') });
+ * // Returns: '"1736937000000"'
+ */
+export function etagFor(record) {
+  return `"${new Date(record.updated_at).getTime()}"`;
+}
+
+/**
+ * Set the ETag response header for a record
+ * @function
+ * @param {Object} res - Express response object
+ * @param {Object} record - Record with an `updated_at` timestamp
+ * @returns {Object} The response, for chaining
+ * @description Express answers a GET with 304 Not Modified when the request's
+ * If-None-Match contains this ETag.
+ */
+export function setEtag(res, record) {
+  return res.set('ETag', etagFor(record));
+}
+
+/**
+ * Check the If-Match header of a request against the current version of a record
+ * @function
+ * @param {Object} req - Express request object
+ * @param {Object} record - Current version of the record
+ * @returns {boolean} True if the request named a specific version, in which case the
+ * write should also be made conditional on `record.updated_at` to rule out a change
+ * between this check and the write
+ * @throws {PreconditionFailedError} If If-Match is present and matches neither `*`
+ * nor the record's ETag
+ * @example
+ * const conditional = checkIfMatch(req, existingUser);
+ * await UserModel.update(id, changes, {
+ *   expectedUpdatedAt: conditional ? existingUser.updated_at : undefined,
+ * });
+ */
+export function checkIfMatch(req, record) {
+  const header = req.get('If-Match');
+
+  if (header === undefined) {
+    return false;
+  }
+
+  const tags = header.split(',').map((tag) => tag.trim());
+
+  if (tags.includes('*')) {
+    return false;
+  }
+
+  // Weak tags (W/"...") never match: If-Match uses strong comparison
+  if (!tags.includes(etagFor(record))) {
+    throw new PreconditionFailedError('The resource has been modified since it was read', {
+      code: 'etag_mismatch',
+    });
+  }
+
+  return true;
+}
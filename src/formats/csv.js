@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Streaming CSV reading and writing
+ * @description Parses RFC 4180 CSV (quoted fields, doubled quotes, CRLF or LF line
+ * endings, line breaks inside quotes) from a stream of text chunks without holding
+ * more than one record in memory, and formats rows for CSV exports
+ * @module formats/csv
+ * @version 1.0.0
+ */
+
+/**
+ * Longest record accepted, in characters
+ * @type {number}
+ */
+export const MAX_CSV_RECORD_LENGTH = 64 * 1024;
+
+/**
+ * Cells formatCsvRow prefixes with an apostrophe: those spreadsheet applications would
+ * evaluate as a formula, and those already starting with an apostrophe, so that
+ * parseCsv can tell the added apostrophe from one that is part of the value
+ * @private
+ * @type {RegExp}
+ */
+const NEEDS_GUARD = /^[=+\-@\t\r']/;
+
+/**
+ * The apostrophe formatCsvRow adds in front of a cell matching NEEDS_GUARD
+ * @private
+ * @type {RegExp}
+ */
+const FORMULA_GUARD = /^'(?=[=+\-@\t\r'])/;
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @async
+ * @generator
+ * @function
+ * @param {AsyncIterable<string>} source - Text chunks, e.g. a request with
+ * `setEncoding('utf8')`; chunks may split records anywhere
+ * @param {Object} [options={}] - Parser options
+ * @param {number} [options.maxRecordLength=MAX_CSV_RECORD_LENGTH] - Longest record accepted
+ * @yields {{line: number, record: Object<string, string>}|{line: number, error: string}}
+ * A record with the line it starts on, or a problem with that record. Empty cells are
+ * left out of `record`, and blank lines are skipped. One leading apostrophe is
+ * removed from cells that start with an apostrophe followed by =, +, -, @, tab, carriage
+ * return or another apostrophe, undoing formatCsvRow's formula guard so exported files
+ * read back unchanged. Files from elsewhere lose that apostrophe too.
+ * @example
+ * for await (const { line, record, error } of parseCsv(req)) {
+ *   // line 2: { first_name: 'Jane', email: 'jane@example.com' }
+ * }
+ */
+export async function* parseCsv(source, options = {}) {
+  const maxRecordLength = options.maxRecordLength || MAX_CSV_RECORD_LENGTH;
+
+  let header = null;
+  let values = [];
+  let field = '';
+  let atFieldStart = true;
+  let inQuotes = false;
+  let quotePending = false;
+  let recordLength = 0;
+  let oversized = false;
+  let line = 1;
+  let recordLine = 1;
+  let firstChunk = true;
+
+  /**
+   * Close the current record and turn it into an entry to yield
+   * @returns {Object|null} Entry, or null for blank lines and the header
+   */
+  const endRecord = () => {
+    values.push(field);
+    const fields = values;
+    const tooLong = oversized;
+
+    values = [];
+    field = '';
+    atFieldStart = true;
+    recordLength = 0;
+    oversized = false;
+
+    if (fields.length === 1 && fields[0] === '' && !tooLong) {
+      return null;
+    }
+
+    if (tooLong) {
+      return { line: recordLine, error: `exceeds ${maxRecordLength} characters` };
+    }
+
+    if (!header) {
+      header = fields.map((name) => name.trim());
+      return null;
+    }
+
+    if (fields.length > header.length) {
+      return {
+        line: recordLine,
+        error: `has ${fields.length} fields but the header has ${header.length}`,
+      };
+    }
+
+    const record = {};
+    header.forEach((name, index) => {
+      if (name && fields[index] !== undefined && fields[index] !== '') {
+        record[name] = fields[index].replace(FORMULA_GUARD, '');
+      }
+    });
+
+    return { line: recordLine, record };
+  };
+
+  for await (const chunk of source) {
+    let text = String(chunk);
+
+    if (firstChunk) {
+      text = text.replace(/^\uFEFF/, '');
+      firstChunk = false;
+    }
+
+    for (const char of text) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            // A doubled quote inside a quoted field is a literal quote
+            recordLength += 1;
+            field += char;
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          if (char === '"') {
+            quotePending = true;
+          } else {
+            if (char === '\n') {
+              line += 1;
+            }
+            recordLength += 1;
+            if (recordLength > maxRecordLength) {
+              oversized = true;
+            } else {
+              field += char;
+            }
+          }
+          continue;
+        }
+      }
+
+      if (char === '"' && atFieldStart) {
+        inQuotes = true;
+        atFieldStart = false;
+      } else if (char === ',') {
+        values.push(field);
+        field = '';
+        atFieldStart = true;
+      } else if (char === '\n') {
+        const entry = endRecord();
+        line += 1;
+        recordLine = line;
+        if (entry) {
+          yield entry;
+        }
+      } else if (char !== '\r') {
+        atFieldStart = false;
+        recordLength += 1;
+        if (recordLength > maxRecordLength) {
+          oversized = true;
+        } else {
+          field += char;
+        }
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    yield { line: recordLine, error: 'has an unterminated quoted field' };
+    return;
+  }
+
+  if (field !== '' || values.length || oversized) {
+    const entry = endRecord();
+    if (entry) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Format one CSV cell
+ * @private
+ * @param {*} value - Cell value; null and undefined become empty cells, dates ISO 8601
+ * @returns {string} Cell text, quoted when needed
+ * @description Text starting with =, +, -, @, tab or carriage return is prefixed with
+ * an apostrophe so spreadsheet applications do not evaluate it as a formula. Text that
+ * already starts with an apostrophe gets one too, so parseCsv can remove exactly the
+ * added one.
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (NEEDS_GUARD.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a row of values as a CSV line
+ * @function
+ * @param {Array<*>} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ * @example
+ * formatCsvRow([1, 'Doe, John', null]);
+ * // Returns: '1,"Doe, John",\r\n'
+ */
+export function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Streaming NDJSON reading and writing
+ * @description Parses newline-delimited JSON (one object per line) from a stream of
+ * text chunks one line at a time, and formats values as NDJSON lines
+ * @module formats/ndjson
+ * @version 1.0.0
+ */
+
+/**
+ * Longest line accepted, in characters
+ * @type {number}
+ */
+export const MAX_NDJSON_LINE_LENGTH = 64 * 1024;
+
+/**
+ * Parse NDJSON text into objects
+ * @async
+ * @generator
+ * @function
+ * @param {AsyncIterable<string>} source - Text chunks, e.g. a request with
+ * `setEncoding('utf8')`; chunks may split lines anywhere
+ * @param {Object} [options={}] - Parser options
+ * @param {number} [options.maxLineLength=MAX_NDJSON_LINE_LENGTH] - Longest line accepted
+ * @yields {{line: number, record: Object}|{line: number, error: string}} An object with
+ * its line number, or a problem with that line. Blank lines are skipped.
+ * @example
+ * for await (const { line, record, error } of parseNdjson(req)) {
+ *   // line 1: { first_name: 'Jane', email: 'jane@example.com' }
+ * }
+ */
+export async function* parseNdjson(source, options = {}) {
+  const maxLineLength = options.maxLineLength || MAX_NDJSON_LINE_LENGTH;
+
+  let buffer = '';
+  let line = 0;
+  let oversized = false;
+
+  for await (const chunk of source) {
+    buffer += chunk;
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const text = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      line += 1;
+
+      const entry = parseLine(text, line, oversized, maxLineLength);
+      oversized = false;
+      if (entry) {
+        yield entry;
+      }
+    }
+
+    // Drop the start of an over-long line instead of buffering it
+    if (buffer.length > maxLineLength) {
+      oversized = true;
+      buffer = '';
+    }
+  }
+
+  if (buffer.trim() || oversized) {
+    const entry = parseLine(buffer, line + 1, oversized, maxLineLength);
+    if (entry) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Parse one NDJSON line
+ * @private
+ * @param {string} text - Line without its line feed
+ * @param {number} line - Line number
+ * @param {boolean} oversized - Whether part of the line was dropped for being too long
+ * @param {number} maxLineLength - Longest line accepted
+ * @returns {Object|null} Entry to yield, or null for a blank line
+ */
+function parseLine(text, line, oversized, maxLineLength) {
+  if (oversized || text.length > maxLineLength) {
+    return { line, error: `exceeds ${maxLineLength} characters` };
+  }
+
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(trimmed);
+  } catch {
+    return { line, error: 'is not valid JSON' };
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { line, error: 'is not a JSON object' };
+  }
+
+  return { line, record: value };
+}
+
+/**
+ * Format a value as an NDJSON line
+ * @function
+ * @param {*} value - JSON-serializable value
+ * @returns {string} JSON text ending in a line feed
+ * @example
+ * formatNdjsonLine({ id: 1 });
+ * // Returns: '{"id":1}\n'
+ */
+export function formatNdjsonLine(value) {
+  return `${JSON.stringify(value)}\n`;
+}
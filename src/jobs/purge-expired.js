@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Purge of expired sessions and tokens
+ * @description Removes expired sessions, password reset tokens and email verification
+ * tokens, and users whose soft delete is older than the retention window. Runs on an
+ * interval inside the API process, or once from the command line (see
+ * src/bin/purge-expired.js) for deployments that schedule it with cron.
+ * @module jobs/purge-expired
+ * @version 1.0.0
+ */
+
+import { SessionModel } from '../models/SessionModel.js';
+import { PasswordResetTokenModel } from '../models/PasswordResetTokenModel.js';
+import { EmailVerificationTokenModel } from '../models/EmailVerificationTokenModel.js';
+import { UserModel } from '../models/UserModel.js';
+import { DEFAULT_BATCH_SIZE } from '../db/batch-delete.js';
+import logger from '../logger.js';
+
+/**
+ * Time between scheduled purges in milliseconds
+ * @type {number}
+ * @default 900000 (15 minutes)
+ */
+export const PURGE_INTERVAL_MS =
+  (parseInt(process.env.PURGE_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Rows removed per delete statement
+ * @type {number}
+ * @default 1000
+ */
+export const PURGE_BATCH_SIZE =
+  parseInt(process.env.PURGE_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+
+/**
+ * Days a soft-deleted user can still be restored before it is removed for good
+ * @type {number}
+ * @default 30
+ */
+export const USER_RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS) || 30;
+
+/**
+ * Tables purged on each run, keyed by the name used in results and metrics
+ * @private
+ * @type {Object<string, {deleteExpired: function(Object): Promise<number>}>}
+ */
+const PURGE_TARGETS = {
+  sessions: SessionModel,
+  password_reset_tokens: PasswordResetTokenModel,
+  email_verification_tokens: EmailVerificationTokenModel,
+  users: {
+    deleteExpired: (options) =>
+      UserModel.purgeDeleted({
+        ...options,
+        before: new Date(Date.now() - USER_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      }),
+  },
+};
+
+/**
+ * Metrics about purges run by this process
+ * @private
+ * @type {Object}
+ */
+const metrics = {
+  runs: 0,
+  failures: 0,
+  lastRunAt: null,
+  lastDurationMs: null,
+  lastError: null,
+  lastRemoved: {},
+  totalRemoved: Object.fromEntries(Object.keys(PURGE_TARGETS).map((name) => [name, 0])),
+};
+
+/**
+ * Remove expired rows from every purge target
+ * @async
+ * @function
+ * @param {Object} [options={}] - Purge options
+ * @param {number} [options.batchSize=PURGE_BATCH_SIZE] - Rows removed per delete statement
+ * @returns {Promise<Object<string, number>>} Number of rows removed per table
+ * @throws {Error} If a delete fails; targets purged before the failure are still counted
+ * @example
+ * const removed = await purgeExpired();
+ * // Returns: { sessions: 120, password_reset_tokens: 3, email_verification_tokens: 0, users: 1 }
+ */
+export async function purgeExpired(options = {}) {
+  const batchSize = options.batchSize || PURGE_BATCH_SIZE;
+  const startedAt = Date.now();
+  const removed = {};
+
+  metrics.runs += 1;
+  metrics.lastRunAt = new Date(startedAt);
+
+  try {
+    for (const [name, model] of Object.entries(PURGE_TARGETS)) {
+      removed[name] = await model.deleteExpired({ batchSize });
+      metrics.totalRemoved[name] += removed[name];
+    }
+
+    metrics.lastError = null;
+    return removed;
+  } catch (error) {
+    metrics.failures += 1;
+    metrics.lastError = error.message;
+    throw error;
+  } finally {
+    metrics.lastDurationMs = Date.now() - startedAt;
+    metrics.lastRemoved = removed;
+  }
+}
+
+/**
+ * Get metrics about purges run by this process
+ * @function
+ * @returns {Object} Copy of the counters: `runs`, `failures`, `lastRunAt`,
+ * `lastDurationMs`, `lastError`, `lastRemoved` and `totalRemoved` (rows per table)
+ * @example
+ * getPurgeMetrics();
+ * // Returns: { runs: 4, failures: 0, totalRemoved: { sessions: 510, ... }, ... }
+ */
+export function getPurgeMetrics() {
+  return {
+    ...metrics,
+    lastRemoved: { ...metrics.lastRemoved },
+    totalRemoved: { ...metrics.totalRemoved },
+  };
+}
+
+/**
+ * Start purging expired rows on an interval
+ * @function
+ * @param {Object} [options={}] - Scheduler options
+ * @param {number} [options.intervalMs=PURGE_INTERVAL_MS] - Time between purges
+ * @param {number} [options.batchSize=PURGE_BATCH_SIZE] - Rows removed per delete statement
+ * @returns {function(): void} Function that stops the scheduler
+ * @description The first purge runs one interval after starting. A run is skipped if
+ * the previous one is still going. Errors are logged and retried on the next run.
+ * The timer does not keep the process alive.
+ * @example
+ * const stopPurge = startPurgeScheduler({ intervalMs: 60 * 1000 });
+ * // Later, on shutdown:
+ * stopPurge();
+ */
+export function startPurgeScheduler(options = {}) {
+  const intervalMs = options.intervalMs || PURGE_INTERVAL_MS;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const removed = await purgeExpired({ batchSize: options.batchSize });
+      const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+
+      if (total > 0) {
+        logger.info('Purged expired rows', { removed });
+      }
+    } catch (error) {
+      logger.error('Scheduled purge failed', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
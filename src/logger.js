@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Structured logging
+ * @description JSON-lines logger with levels, per-request context and redaction of
+ * secrets. Every entry logged while a request is being handled carries that request's
+ * ID, including entries from models and other modules that know nothing about the
+ * request, because the ID travels in AsyncLocalStorage.
+ * @version 1.0.0
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Numeric severity of each level
+ * @type {Object<string, number>}
+ */
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: 100 });
+
+/**
+ * Minimum level written, from LOG_LEVEL
+ * @type {number}
+ * @default info (debug when NODE_ENV is development)
+ */
+const MIN_LEVEL =
+  LEVELS[process.env.LOG_LEVEL] ??
+  (process.env.NODE_ENV === 'development' ? LEVELS.debug : LEVELS.info);
+
+/**
+ * Keys whose values are never logged
+ * @type {RegExp}
+ */
+const SECRET_KEY_PATTERN =
+  /pass(word)?|secret|token|session|authorization|cookie|api[-_]?key|salt|hash/i;
+
+/**
+ * Email addresses anywhere in a logged string
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Per-request context shared with everything called while handling the request
+ * @type {AsyncLocalStorage<Object>}
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with log context, e.g. the request ID
+ * @function
+ * @param {Object} context - Fields added to every entry logged inside `fn`
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of `fn`
+ * @example
+ * runWithLogContext({ request_id: req.id }, next);
+ */
+export function runWithLogContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * Get the log context of the current request, if any
+ * @function
+ * @returns {Object} Context fields, e.g. `{ request_id: '1b4e...' }`
+ */
+export function getLogContext() {
+  return requestContext.getStore() || {};
+}
+
+/**
+ * Mask the local part of email addresses in a string
+ * @private
+ * @param {string} value - String that may contain email addresses
+ * @returns {string} String with addresses such as "j***@example.com"
+ */
+function maskEmails(value) {
+  return value.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Copy a value with secrets removed and email addresses masked
+ * @function
+ * @param {*} value - Value to redact
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Redacted copy, safe to log
+ * @example
+ * redact({ email: 'jane@example.com', password: 'hunter2' });
+ * // Returns: { email: 'j***@example.com', password: '[REDACTED]' }
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskEmails(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.stack && { stack: maskEmails(value.stack) }),
+    };
+  }
+
+  if (value instanceof Date || value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= 5) {
+    return '[Truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, entry] of Object.entries(value)) {
+    // Counts and flags such as { sessions: 3 } are not secrets
+    const isSecret =
+      SECRET_KEY_PATTERN.test(key) &&
+      entry != null &&
+      typeof entry !== 'number' &&
+      typeof entry !== 'boolean';
+
+    result[key] = isSecret ? '[REDACTED]' : redact(entry, depth + 1);
+  }
+
+  return result;
+}
+
+/**
+ * A structured logger
+ * @typedef {Object} Logger
+ * @property {function(string, Object=): void} debug - Log at debug level
+ * @property {function(string, Object=): void} info - Log at info level
+ * @property {function(string, Object=): void} warn - Log at warn level
+ * @property {function(string, Object=): void} error - Log at error level
+ * @property {function(Object): Logger} child - Logger that adds fields to every entry
+ */
+
+/**
+ * Create a logger
+ * @function
+ * @param {Object} [bindings={}] - Fields added to every entry
+ * @param {function(string): void} [write] - Output function; defaults to stdout
+ * @returns {Logger} Logger
+ * @example
+ * const log = createLogger({ module: 'mailer' });
+ * log.info('Mail sent', { to: 'jane@example.com' });
+ * // {"time":"...","level":"info","msg":"Mail sent","module":"mailer","to":"j***@example.com"}
+ */
+export function createLogger(bindings = {}, write = (line) => process.stdout.write(line)) {
+  const log = (level, msg, fields = {}) => {
+    if (LEVELS[level] < MIN_LEVEL) {
+      return;
+    }
+
+    // Allow log.error('...', error) as a shorthand for { err: error }
+    const extra = fields instanceof Error ? { err: fields } : fields;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...bindings,
+      ...getLogContext(),
+      ...extra,
+    });
+
+    write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }, write),
+  };
+}
+
+/**
+ * Application logger
+ * @type {Logger}
+ */
+export const logger = createLogger();
+
+export default logger;
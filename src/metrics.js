@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Prometheus metrics
+ * @description A small metrics registry (counters, gauges and histograms) rendered in
+ * the Prometheus text exposition format, and the metrics the API records. Gauges
+ * that read the database or connection pools are filled in by collectors at scrape
+ * time, see src/routes/metrics.js.
+ * @version 1.0.0
+ */
+
+import logger from './logger.js';
+
+/**
+ * Content type of the Prometheus text exposition format
+ * @type {string}
+ */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default histogram buckets for request latency, in seconds
+ * @type {Array<number>}
+ */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format
+ * @private
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set, e.g. `{method="GET",status="200"}`
+ * @private
+ * @param {Object<string, *>} labels - Label names and values
+ * @returns {string} Formatted labels, or an empty string when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value, including the special values Prometheus expects
+ * @private
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base class for metrics
+ * @class Metric
+ * @description Keeps one series per distinct label set
+ */
+class Metric {
+  /**
+   * @param {string} type - Prometheus metric type
+   * @param {string} name - Metric name, e.g. "http_requests_total"
+   * @param {string} help - Description shown by Prometheus
+   */
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a label set, creating it if needed
+   * @protected
+   * @param {Object<string, *>} labels - Label names and values
+   * @param {function(): Object} create - Returns the initial series state
+   * @returns {Object} Series state
+   */
+  getSeries(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Remove every series
+   * @returns {void}
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render the metric's samples
+   * @protected
+   * @returns {Array<string>} Sample lines
+   */
+  renderSamples() {
+    return [...this.series.values()].map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+
+  /**
+   * Render the metric in the exposition format
+   * @returns {string} HELP and TYPE lines followed by the samples
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples(),
+    ].join('\n');
+  }
+}
+
+/**
+ * A value that only goes up, such as a number of requests
+ * @class Counter
+ * @extends Metric
+ * @example
+ * const logins = new Counter('logins_total', 'Logins');
+ * logins.inc({ result: 'success' });
+ */
+export class Counter extends Metric {
+  /**
+   * @param {string} name - Metric name; should end in "_total"
+   * @param {string} help - Description
+   */
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object<string, *>} [labels={}] - Label names and values
+   * @param {number} [amount=1] - Amount to add; must not be negative
+   * @returns {void}
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Set the total directly, for counts kept elsewhere and copied in by a collector
+   * @param {Object<string, *>} labels - Label names and values
+   * @param {number} value - Current total
+   * @returns {void}
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * A value that goes up and down, such as a number of open connections
+ * @class Gauge
+ * @extends Metric
+ * @example
+ * const queue = new Gauge('queue_length', 'Jobs waiting');
+ * queue.set({}, 3);
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   */
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object<string, *>} labels - Label names and values
+   * @param {number} value - New value
+   * @returns {void}
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * The distribution of observed values, such as request latencies
+ * @class Histogram
+ * @extends Metric
+ * @example
+ * const latency = new Histogram('job_duration_seconds', 'Job duration', [0.1, 1, 10]);
+ * latency.observe({ job: 'purge' }, 0.42);
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<number>} [buckets=DEFAULT_BUCKETS] - Upper bounds, in ascending order
+   */
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object<string, *>} labels - Label names and values
+   * @param {number} value - Observed value
+   * @returns {void}
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Render cumulative buckets, sum and count for each series
+   * @protected
+   * @returns {Array<string>} Sample lines
+   */
+  renderSamples() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map(
+        (bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ]);
+  }
+}
+
+/**
+ * A set of metrics rendered together
+ * @class Registry
+ */
+export class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  /**
+   * Add a metric to the registry
+   * @template {Metric} T
+   * @param {T} metric - Metric to add
+   * @returns {T} The metric, for chaining
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Add a function that updates metrics just before they are rendered
+   * @param {function(): (void|Promise<void>)} collector - Collector, e.g. one that sets
+   * gauges from a database query. A failing collector is logged and skipped, so one
+   * unavailable source does not fail the whole scrape.
+   * @returns {void}
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Run the collectors and render every metric
+   * @async
+   * @returns {Promise<string>} Metrics in the Prometheus text exposition format
+   */
+  async render() {
+    const results = await Promise.allSettled(this.collectors.map((collect) => collect()));
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        logger.warn('Metrics collector failed', result.reason);
+      }
+    }
+
+    return `${this.metrics.map((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Registry served at GET /metrics
+ * @type {Registry}
+ */
+export const registry = new Registry();
+
+/**
+ * HTTP requests handled, by method, route and status
+ * @type {Counter}
+ */
+export const httpRequestsTotal = registry.register(
+  new Counter('http_requests_total', 'HTTP requests handled, by method, route and status')
+);
+
+/**
+ * HTTP request latency, by method, route and status
+ * @type {Histogram}
+ */
+export const httpRequestDuration = registry.register(
+  new Histogram('http_request_duration_seconds', 'HTTP request latency in seconds')
+);
+
+/**
+ * Login attempts at POST /user-auth, by result and failure reason
+ * @type {Counter}
+ */
+export const loginAttemptsTotal = registry.register(
+  new Counter(
+    'auth_login_attempts_total',
+    'Login attempts by result (success, failure, error) and failure reason (the error code)'
+  )
+);
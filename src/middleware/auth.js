@@ -1,36 +1,200 @@
 /**
- * @fileoverview API Key validation middleware
- * @description Middleware to validate API keys for protected routes
+ * @fileoverview Authentication middleware
+ * @description Middleware to validate API keys and JWT access tokens for protected routes
  * @version 1.0.0
  */
 
+import { UserModel } from '../models/UserModel.js';
+import { ApiKeyModel } from '../models/ApiKeyModel.js';
+import { hasPermission } from '../config/permissions.js';
+import { verifyAccessToken, hashToken, safeEqual } from '../utils.js';
+import { UnauthorizedError, ForbiddenError } from '../errors.js';
+import logger from '../logger.js';
+
+/**
+ * API client used for requests authenticated with the legacy API_KEY environment variable
+ * @type {Object}
+ */
+const ENV_API_CLIENT = Object.freeze({
+  id: null,
+  name: 'env:API_KEY',
+  prefix: null,
+  scopes: ['*'],
+});
+
 /**
  * Middleware to validate API key
+ * @async
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
- * @returns {void}
+ * @description Accepts keys from the api_keys table (see `POST /api-keys`) and, for
+ * bootstrapping and backward compatibility, the single key in the API_KEY environment
+ * variable when it is set. On success the calling client is attached as `req.apiClient`
+ * with its `id`, `name`, `prefix` and `scopes`.
+ * @returns {Promise<void>}
  */
-export function validateApiKey(req, res, next) {
+export async function validateApiKey(req, res, next) {
   const apiKey = req.headers['x-api-key'];
-  const expectedApiKey = process.env.API_KEY;
 
-  if (!expectedApiKey) {
-    console.error('API_KEY environment variable is not set');
-    return res.status(500).json({ error: 'Server configuration error' });
+  if (!apiKey) {
+    throw new UnauthorizedError('Please provide an API key in the X-API-Key header', {
+      code: 'api_key_missing',
+    });
   }
 
-  if (!apiKey) {
-    return res.status(401).json({ 
-      error: 'Please provide an API key in the X-API-Key header' 
+  const apiClient = await resolveApiClient(apiKey);
+
+  if (!apiClient) {
+    throw new UnauthorizedError('Invalid API key', { code: 'api_key_invalid' });
+  }
+
+  req.apiClient = apiClient;
+  next();
+}
+
+/**
+ * Create middleware that requires the calling API client to hold a scope
+ * @param {...string} scopes - Scopes the API key must grant; `*` grants every scope
+ * @returns {Function} Express middleware; must run after validateApiKey
+ * @example
+ * router.get('/', validateApiKey, requireApiScope('users'), handler);
+ */
+export function requireApiScope(...scopes) {
+  return (req, res, next) => {
+    const granted = req.apiClient?.scopes || [];
+    const allowed = granted.includes('*') || scopes.every((scope) => granted.includes(scope));
+
+    if (!allowed) {
+      throw new ForbiddenError('API key is not allowed to access this resource', {
+        code: 'api_key_scope_missing',
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Resolve the API client for a presented key
+ * @private
+ * @async
+ * @param {string} apiKey - Value of the X-API-Key header
+ * @returns {Promise<Object|null>} API client or null if the key is not valid
+ */
+async function resolveApiClient(apiKey) {
+  const [prefix, secret] = String(apiKey).split('.');
+
+  if (prefix && secret) {
+    const storedKey = await ApiKeyModel.findActiveByPrefix(prefix);
+
+    if (storedKey && safeEqual(hashToken(apiKey), storedKey.key_hash)) {
+      // Usage tracking must never fail the request
+      ApiKeyModel.touchLastUsed(storedKey.id).catch((error) => {
+        logger.warn('Failed to record API key usage', { api_key_id: storedKey.id, err: error });
+      });
+
+      return {
+        id: storedKey.id,
+        name: storedKey.name,
+        prefix: storedKey.key_prefix,
+        scopes: storedKey.scopes,
+      };
+    }
+  }
+
+  const envApiKey = process.env.API_KEY;
+  if (envApiKey && safeEqual(apiKey, envApiKey)) {
+    return ENV_API_CLIENT;
+  }
+
+  return null;
+}
+
+/**
+ * Middleware to authenticate a user from a JWT access token
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @description Expects an `Authorization: Bearer <token>` header carrying an access
+ * token from `POST /user-auth` or `POST /user-auth/refresh`. On success the current
+ * user (without credential columns) is attached as `req.user`, and the session family
+ * the token was issued for (if any) as `req.sessionFamilyId`.
+ * @returns {Promise<void>}
+ */
+export async function authenticateJwt(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthorizedError('Please provide an access token in the Authorization header', {
+      code: 'access_token_missing',
+    });
+  }
+
+  let claims;
+  try {
+    claims = verifyAccessToken(token);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired access token', {
+      code: 'access_token_invalid',
     });
   }
 
-  if (apiKey !== expectedApiKey) {
-    return res.status(401).json({ 
-      error: 'Invalid API key' 
+  const user = await UserModel.findById(claims.id);
+
+  if (!user) {
+    throw new UnauthorizedError('Invalid or expired access token', {
+      code: 'access_token_invalid',
     });
   }
 
+  req.user = user;
+  req.sessionFamilyId = claims.sid || null;
   next();
 }
+
+/**
+ * Create middleware that requires the current user to hold permissions
+ * @param {...string} permissions - Permissions the user's role must grant
+ * @returns {Function} Express middleware; must run after authenticateJwt
+ * @example
+ * router.delete('/:id', authenticateJwt, authorize('users:delete'), handler);
+ */
+export function authorize(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Authentication required');
+    }
+
+    const allowed = permissions.every((permission) =>
+      hasPermission(req.user.role, permission)
+    );
+
+    if (!allowed) {
+      throw new ForbiddenError('Insufficient permissions');
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create middleware that lets users act on their own account, or anyone holding permissions
+ * @param {...string} permissions - Permissions required to act on other users
+ * @returns {Function} Express middleware; must run after authenticateJwt
+ * @description Compares the `:id` route parameter with the current user's ID
+ * @example
+ * router.put('/:id', authenticateJwt, authorizeSelfOr('users:update'), handler);
+ */
+export function authorizeSelfOr(...permissions) {
+  const checkPermissions = authorize(...permissions);
+
+  return (req, res, next) => {
+    if (req.user && parseInt(req.params.id) === req.user.id) {
+      return next();
+    }
+
+    checkPermissions(req, res, next);
+  };
+}
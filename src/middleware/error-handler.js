@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Central error handling
+ * @description Turns every error reaching Express into an RFC 9457 problem details
+ * response (`application/problem+json`) with a stable error code and the request ID.
+ * Routes throw the classes from src/errors.js; Express 5 forwards rejected promises
+ * from async handlers here, so routes do not need their own try/catch.
+ * @module middleware/error-handler
+ * @version 1.0.0
+ */
+
+import { HttpError, ConflictError, NotFoundError } from '../errors.js';
+import logger from '../logger.js';
+
+/**
+ * Base of the `type` URI of each problem; the error code is appended
+ * @type {string}
+ * @description Relative by default, so it resolves against the API's own URL
+ */
+const PROBLEM_TYPE_BASE = process.env.PROBLEM_TYPE_BASE_URL || '/problems/';
+
+/**
+ * Standard titles for the statuses the API returns
+ * @type {Object<number, string>}
+ */
+const TITLES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  413: 'Content Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Content',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+};
+
+/**
+ * Convert an error from Postgres or body-parser into an HttpError
+ * @private
+ * @param {Error} error - Error that is not an HttpError
+ * @returns {HttpError|null} Matching HttpError, or null if the error is unexpected
+ */
+function translateError(error) {
+  // Postgres: https://www.postgresql.org/docs/current/errcodes-appendix.html
+  switch (error.code) {
+    case '23505':
+      return new ConflictError('A record with the same unique value already exists', {
+        code: 'unique_violation',
+        cause: error,
+      });
+    case '23503':
+      return new ConflictError('The record is referenced by, or refers to, a missing record', {
+        code: 'foreign_key_violation',
+        cause: error,
+      });
+    default:
+      break;
+  }
+
+  // body-parser sets `type` and an HTTP `status` on the errors it raises
+  if (error.type === 'entity.parse.failed') {
+    return new HttpError(400, 'invalid_json', 'The request body is not valid JSON', { cause: error });
+  }
+
+  if (error.type === 'entity.too.large') {
+    return new HttpError(413, 'payload_too_large', 'The request body is too large', { cause: error });
+  }
+
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, 'bad_request', error.message, { cause: error });
+  }
+
+  return null;
+}
+
+/**
+ * Build the problem details for an error
+ * @function
+ * @param {HttpError} error - Error to describe
+ * @param {Object} req - Express request object
+ * @returns {Object} Problem details object
+ * @example
+ * problemDetails(new NotFoundError('User not found', { code: 'user_not_found' }), req);
+ * // Returns: {
+ * //   type: '/problems/user_not_found', title: 'Not Found', status: 404,
+ * //   detail: 'User not found', code: 'user_not_found',
+ * //   instance: '/users/42', request_id: '1b4e28ba-...'
+ * // }
+ */
+export function problemDetails(error, req) {
+  return {
+    type: `${PROBLEM_TYPE_BASE}${error.code}`,
+    title: TITLES[error.status] || 'Error',
+    status: error.status,
+    detail: error.message,
+    code: error.code,
+    instance: req.originalUrl.split('?')[0],
+    request_id: req.id,
+    ...error.extensions,
+  };
+}
+
+/**
+ * Middleware for requests that match no route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: 'route_not_found' }));
+}
+
+/**
+ * Terminal error handler
+ * @param {Error} error - Error thrown or passed to next()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @description Sends problem details for HttpErrors and for known Postgres and
+ * body-parser errors. Anything else is logged and answered with a generic 500, so
+ * internal details never reach the client. Must be registered after all routes.
+ * @returns {void}
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  let httpError = error instanceof HttpError ? error : translateError(error);
+
+  if (!httpError) {
+    logger.error('Unhandled error', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      err: error,
+    });
+    httpError = new HttpError(500, 'internal_error', 'An unexpected error occurred');
+  }
+
+  // Lets instrumentation that runs after the response, e.g. login metrics, see the code
+  res.locals.errorCode = httpError.code;
+
+  res
+    .status(httpError.status)
+    .set(httpError.headers)
+    .type('application/problem+json')
+    .json(problemDetails(httpError, req));
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Login brute-force protection
+ * @description Per-IP and per-account rate limits, progressive delays and lockout
+ * settings for the login route, and per-account limits for routes that send email
+ * @version 1.0.0
+ */
+
+import { MemoryRateLimitStore, rateLimit } from './rate-limit.js';
+
+/**
+ * Rate limit window for login attempts, in milliseconds
+ * @type {number}
+ * @default 900000 (15 minutes)
+ */
+const LOGIN_WINDOW_MS = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+/**
+ * Consecutive failed logins after which an account is locked
+ * @type {number}
+ * @default 5
+ */
+export const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+
+/**
+ * How long an account stays locked, in milliseconds
+ * @type {number}
+ * @default 900000 (15 minutes)
+ */
+export const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Longest delay added to a failed login response, in milliseconds
+ * @type {number}
+ */
+const MAX_FAILED_LOGIN_DELAY_MS = 5000;
+
+/**
+ * Counter store shared by the login limiters
+ * @type {MemoryRateLimitStore}
+ */
+const store = new MemoryRateLimitStore();
+
+/**
+ * Build a per-account counter key for an email address
+ * @private
+ * @param {string} prefix - Counter namespace
+ * @param {string} email - Email address as submitted
+ * @returns {string} Counter key
+ */
+function accountKey(prefix, email) {
+  return `${prefix}:${String(email).trim().toLowerCase()}`;
+}
+
+/**
+ * Build a counter key generator for the email address in the request body
+ * @private
+ * @param {string} prefix - Counter namespace
+ * @returns {Function} Key generator returning null when the body has no email
+ */
+function emailKeyGenerator(prefix) {
+  return (req) => (req.body?.email ? accountKey(prefix, req.body.email) : null);
+}
+
+/**
+ * Per-IP login rate limiter
+ * @type {Function}
+ * @description Limits login attempts from one IP address across all accounts
+ */
+export const loginIpLimiter = rateLimit({
+  store,
+  windowMs: LOGIN_WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP) || 20,
+  keyGenerator: (req) => `login:ip:${req.ip}`,
+  message: 'Too many login attempts, please try again later',
+});
+
+/**
+ * Per-account login rate limiter
+ * @type {Function}
+ * @description Limits login attempts for one email address from any IP. Runs for
+ * unknown emails too, so it does not reveal which accounts exist. The attempt count
+ * is exposed as `req.rateLimits.account`.
+ */
+export const loginAccountLimiter = rateLimit({
+  store,
+  windowMs: LOGIN_WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT) || 10,
+  keyGenerator: emailKeyGenerator('login:account'),
+  name: 'account',
+  message: 'Too many login attempts, please try again later',
+});
+
+/**
+ * Forget recent login attempts for an account
+ * @async
+ * @param {string} email - Account email address
+ * @returns {Promise<void>}
+ * @description Called after a successful login and when an admin unlocks an account
+ */
+export async function clearLoginAttempts(email) {
+  await store.reset(accountKey('login:account', email));
+}
+
+/**
+ * Wait before answering a failed login
+ * @async
+ * @param {number} attempts - Attempts for the account in the current window
+ * @returns {Promise<void>} Resolves after 250ms, doubling per attempt, up to 5 seconds
+ */
+export function delayFailedLogin(attempts) {
+  const delay = Math.min(250 * 2 ** Math.max(0, attempts - 1), MAX_FAILED_LOGIN_DELAY_MS);
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+/**
+ * Per-account limiter for password reset requests
+ * @type {Function}
+ * @description Stops `POST /user-auth/forgot-password` from being used to flood an
+ * inbox. Applies to unknown emails too, so it does not reveal which accounts exist.
+ */
+export const passwordResetLimiter = rateLimit({
+  store,
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT) || 3,
+  keyGenerator: emailKeyGenerator('password-reset'),
+  message: 'Too many password reset requests, please try again later',
+});
+
+/**
+ * Per-account limiter for verification email resends
+ * @type {Function}
+ * @description Stops `POST /user-auth/resend-verification` from being used to flood
+ * an inbox
+ */
+export const verificationEmailLimiter = rateLimit({
+  store,
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_PER_ACCOUNT) || 3,
+  keyGenerator: emailKeyGenerator('email-verification'),
+  message: 'Too many verification emails requested, please try again later',
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview HTTP metrics
+ * @description Records request counts and latency for GET /metrics, and counts
+ * login attempts
+ * @module middleware/metrics
+ * @version 1.0.0
+ */
+
+import { httpRequestsTotal, httpRequestDuration, loginAttemptsTotal } from '../metrics.js';
+
+/**
+ * Get the route template a request matched, e.g. "/users/:id"
+ * @private
+ * @param {Object} req - Express request object
+ * @returns {string} Route template, or "unmatched" for requests no route handled
+ * @description Templates keep the number of series bounded; raw paths would create a
+ * series per user ID. When a route throws, Express resets `req.baseUrl` on the way out
+ * of the router, so the mount path is then recovered from the original URL.
+ */
+function routeTemplate(req) {
+  if (!req.route || typeof req.route.path !== 'string') {
+    return 'unmatched';
+  }
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  let base = req.baseUrl;
+
+  if (!base) {
+    const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    const routeSegments = routePath.split('/').filter(Boolean).length;
+    const prefix = segments.slice(0, segments.length - routeSegments);
+    base = prefix.length ? `/${prefix.join('/')}` : '';
+  }
+
+  return `${base}${routePath}` || '/';
+}
+
+/**
+ * Middleware that records the count and latency of each request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @description Labels each request with its method, route template and status.
+ * Register before the routes.
+ * @returns {void}
+ */
+export function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeTemplate(req), status: res.statusCode };
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+  });
+
+  next();
+}
+
+/**
+ * Middleware that counts login attempts by outcome
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @description Counts a success for 2xx responses, a failure for 4xx responses
+ * (labelled with the error code, e.g. "invalid_credentials" or "rate_limited") and an
+ * error for 5xx responses. Register first on the login route so rejections by the
+ * API key check and rate limiters are counted too.
+ * @returns {void}
+ */
+export function countLoginAttempts(req, res, next) {
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      loginAttemptsTotal.inc({ result: 'success' });
+    } else if (res.statusCode < 500) {
+      loginAttemptsTotal.inc({ result: 'failure', reason: res.locals.errorCode || 'unknown' });
+    } else {
+      loginAttemptsTotal.inc({ result: 'error' });
+    }
+  });
+
+  next();
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Rate limiting middleware
+ * @description Fixed-window request rate limiting with a pluggable counter store
+ * @version 1.0.0
+ */
+
+import { TooManyRequestsError } from "../errors.js";
+import logger from "../logger.js";
+
+/**
+ * In-process rate limit counter store
+ * @class MemoryRateLimitStore
+ * @description Keeps fixed-window counters in a Map. Counters are per process, so
+ * each instance of the API enforces its own limits. A shared store (e.g. Redis) can
+ * replace it by implementing the same async `increment`, `get` and `reset` methods.
+ */
+export class MemoryRateLimitStore {
+  /**
+   * Create a memory store
+   * @param {Object} [options={}] - Store options
+   * @param {number} [options.cleanupIntervalMs=60000] - How often expired counters are removed
+   */
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.counters = new Map();
+    this.cleanupTimer = setInterval(() => this.prune(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Increment the counter for a key
+   * @async
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length for a new counter, in milliseconds
+   * @returns {Promise<{ count: number, resetAt: Date }>} Count in the current window and when it resets
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  /**
+   * Read the counter for a key without incrementing it
+   * @async
+   * @param {string} key - Counter key
+   * @returns {Promise<{ count: number, resetAt: Date }|null>} Current counter or null if none is active
+   */
+  async get(key) {
+    const counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= Date.now()) {
+      return null;
+    }
+
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  /**
+   * Reset the counter for a key
+   * @async
+   * @param {string} key - Counter key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Remove expired counters
+   * @returns {void}
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Create rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Counter store, e.g. a MemoryRateLimitStore
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} options.keyGenerator - Returns the counter key for a request, or
+ * null to skip limiting that request
+ * @param {string} [options.name] - When set, the counter is exposed as `req.rateLimits[name]`
+ * @param {string} [options.message="Too many requests, please try again later"] - Detail of
+ * the 429 problem
+ * @returns {Function} Express middleware
+ * @example
+ * const limiter = rateLimit({
+ *   store: new MemoryRateLimitStore(),
+ *   windowMs: 15 * 60 * 1000,
+ *   max: 100,
+ *   keyGenerator: (req) => `ip:${req.ip}`,
+ * });
+ */
+export function rateLimit({
+  store,
+  windowMs,
+  max,
+  keyGenerator,
+  name,
+  message = "Too many requests, please try again later",
+}) {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+
+    if (!key) {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await store.increment(key, windowMs);
+    } catch (error) {
+      logger.error("Rate limit store error", error);
+      // Fail open: an unavailable counter store should not take login down
+      return next();
+    }
+
+    const { count, resetAt } = counter;
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    if (name) {
+      req.rateLimits = { ...req.rateLimits, [name]: { key, count, limit: max, resetAt } };
+    }
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (count > max) {
+      return next(new TooManyRequestsError(message, { retryAfter }));
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Request IDs
+ * @description Gives every request an ID, returned in the X-Request-Id response
+ * header, in error responses and in every log entry written while the request is
+ * handled, so a failure reported by a client can be matched to the server's logs
+ * @module middleware/request-id
+ * @requires uuid
+ * @version 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { runWithLogContext } from '../logger.js';
+
+/**
+ * Inbound request IDs that are accepted as-is: up to 128 characters of letters,
+ * digits and `-_.:`. Anything else is replaced, so clients cannot inject text into logs.
+ * @type {RegExp}
+ */
+const INBOUND_ID_PATTERN = /^[A-Za-z0-9\-_.:]{1,128}$/;
+
+/**
+ * Middleware that assigns a request ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @description Reuses a well-formed X-Request-Id header sent by the client or an
+ * upstream proxy, otherwise generates a UUID. Sets `req.id` and the X-Request-Id
+ * response header, and runs the rest of the request in a log context so every entry
+ * logged for it, down to the models, includes `request_id`. Must be registered
+ * before any other middleware.
+ * @returns {void}
+ */
+export function requestId(req, res, next) {
+  const inbound = req.get('X-Request-Id');
+  req.id = inbound && INBOUND_ID_PATTERN.test(inbound) ? inbound : uuidv4();
+  res.set('X-Request-Id', req.id);
+  runWithLogContext({ request_id: req.id }, next);
+}
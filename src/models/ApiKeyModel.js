@@ -0,0 +1,175 @@
+/**
+ * @fileoverview API key model for database operations
+ * @description Handles all API key-related database operations
+ * @module models/ApiKeyModel
+ * @requires ../db/init
+ * @requires ../logger
+ * @version 1.0.0
+ */
+
+import db from "../db/init.js";
+import logger from "../logger.js";
+
+/**
+ * Columns returned to callers; the key hash never leaves the model except for verification
+ * @type {Array<string>}
+ */
+const PUBLIC_COLUMNS = [
+  "id",
+  "name",
+  "key_prefix",
+  "scopes",
+  "expires_at",
+  "last_used_at",
+  "revoked_at",
+  "created_by",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Minimum time between last_used_at writes for the same key, in milliseconds
+ * @type {number}
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * API key model class
+ * @class ApiKeyModel
+ * @description Handles all API key-related database operations
+ */
+export class ApiKeyModel {
+  /**
+   * Create a new API key
+   * @param {Object} keyData - API key data
+   * @param {string} keyData.name - Human-readable name, e.g. the integration using it
+   * @param {string} keyData.keyPrefix - Public key prefix used for lookup
+   * @param {string} keyData.keyHash - SHA-256 hash of the full key
+   * @param {Array<string>} keyData.scopes - Granted scopes
+   * @param {Date|null} [keyData.expiresAt=null] - Expiration date, or null for no expiry
+   * @param {number|null} [keyData.createdBy=null] - ID of the admin who created the key
+   * @returns {Promise<Object>} Created API key object (without key hash)
+   * @throws {Error} Database query error
+   * @example
+   * const apiKey = await ApiKeyModel.create({ name: 'Web frontend', keyPrefix, keyHash, scopes: ['users', 'auth'] });
+   * // Returns: { id: 1, name: 'Web frontend', key_prefix: '3f9a0c1b2d4e', scopes: ['users', 'auth'], ... }
+   */
+  static async create(keyData) {
+    try {
+      const [apiKey] = await db("api_keys")
+        .insert({
+          name: keyData.name,
+          key_prefix: keyData.keyPrefix,
+          key_hash: keyData.keyHash,
+          scopes: JSON.stringify(keyData.scopes),
+          expires_at: keyData.expiresAt || null,
+          created_by: keyData.createdBy || null,
+        })
+        .returning(PUBLIC_COLUMNS);
+
+      return apiKey;
+    } catch (error) {
+      logger.error("Error creating API key", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all API keys
+   * @returns {Promise<Array>} Array of API key objects (without key hashes), newest first
+   * @throws {Error} Database query error
+   * @example
+   * const apiKeys = await ApiKeyModel.findAll();
+   * // Returns: [{ id: 1, name: 'Web frontend', key_prefix: '3f9a0c1b2d4e', ... }, ...]
+   */
+  static async findAll() {
+    try {
+      const apiKeys = await db("api_keys")
+        .select(PUBLIC_COLUMNS)
+        .orderBy("created_at", "desc");
+
+      return apiKeys;
+    } catch (error) {
+      logger.error("Error fetching API keys", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a usable API key by its prefix, including its hash for verification
+   * @param {string} keyPrefix - Public key prefix
+   * @returns {Promise<Object|null>} API key object or null if not found, revoked or expired
+   * @throws {Error} Database query error
+   * @example
+   * const apiKey = await ApiKeyModel.findActiveByPrefix('3f9a0c1b2d4e');
+   * // Returns: { id: 1, key_hash: '5e88...', scopes: ['users'], ... } or null
+   */
+  static async findActiveByPrefix(keyPrefix) {
+    try {
+      const apiKey = await db("api_keys")
+        .where({ key_prefix: keyPrefix })
+        .whereNull("revoked_at")
+        .where((builder) => {
+          builder.whereNull("expires_at").orWhere("expires_at", ">", new Date());
+        })
+        .first();
+
+      return apiKey || null;
+    } catch (error) {
+      logger.error("Error fetching API key by prefix", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} id - API key ID
+   * @returns {Promise<Object|null>} Revoked API key object or null if not found or already revoked
+   * @throws {Error} Database query error
+   * @example
+   * const apiKey = await ApiKeyModel.revoke(1);
+   * // Returns: { id: 1, revoked_at: '2025-01-01T00:00:00Z', ... } or null
+   */
+  static async revoke(id) {
+    try {
+      const [apiKey] = await db("api_keys")
+        .where({ id })
+        .whereNull("revoked_at")
+        .update({ revoked_at: new Date(), updated_at: new Date() })
+        .returning(PUBLIC_COLUMNS);
+
+      return apiKey || null;
+    } catch (error) {
+      logger.error("Error revoking API key", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that an API key was used
+   * @param {number} id - API key ID
+   * @returns {Promise<number>} Number of updated rows
+   * @throws {Error} Database query error
+   * @description Writes at most once per minute per key to keep hot keys from
+   * turning every request into a database write
+   * @example
+   * await ApiKeyModel.touchLastUsed(1);
+   */
+  static async touchLastUsed(id) {
+    try {
+      const threshold = new Date(Date.now() - LAST_USED_RESOLUTION_MS);
+
+      const updated = await db("api_keys")
+        .where({ id })
+        .where((builder) => {
+          builder.whereNull("last_used_at").orWhere("last_used_at", "<", threshold);
+        })
+        .update({ last_used_at: new Date() });
+
+      return updated;
+    } catch (error) {
+      logger.error("Error recording API key use", error);
+      throw error;
+    }
+  }
+}
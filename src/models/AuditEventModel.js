@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Audit event model for database operations
+ * @description Writes and reads the append-only audit_events table
+ * @module models/AuditEventModel
+ * @requires ../db/init
+ * @version 1.0.0
+ */
+
+import db from "../db/init.js";
+
+/**
+ * Audit event model class
+ * @class AuditEventModel
+ * @description Events can only be added and read. The table rejects updates and
+ * deletes (see migration 20250723_001), so the model offers neither.
+ */
+export class AuditEventModel {
+  /**
+   * Record an audit event
+   * @param {Object} event - Event data
+   * @param {string} event.action - What happened, e.g. "user.updated" (see AUDIT_ACTIONS)
+   * @param {number|null} [event.actorUserId=null] - User who performed the action
+   * @param {number|null} [event.apiKeyId=null] - Stored API key the request used
+   * @param {string|null} [event.apiClientName=null] - Name of the API client
+   * @param {number|null} [event.targetUserId=null] - User the action was performed on
+   * @param {Object|null} [event.changes=null] - Changed fields as `{ field: { from, to } }`
+   * @param {Object|null} [event.metadata=null] - Other details, e.g. a failure reason
+   * @param {string|null} [event.ipAddress=null] - Client IP address
+   * @param {string|null} [event.userAgent=null] - Client user agent
+   * @param {string|null} [event.requestId=null] - ID of the request (X-Request-Id)
+   * @returns {Promise<Object>} Created audit event
+   * @example
+   * await AuditEventModel.create({ action: 'user.deleted', actorUserId: 1, targetUserId: 7 });
+   */
+  static async create(event) {
+    const [auditEvent] = await db("audit_events")
+      .insert({
+        occurred_at: new Date(),
+        action: event.action,
+        actor_user_id: event.actorUserId || null,
+        api_key_id: event.apiKeyId || null,
+        api_client_name: event.apiClientName || null,
+        target_user_id: event.targetUserId || null,
+        changes: event.changes ? JSON.stringify(event.changes) : null,
+        metadata: event.metadata ? JSON.stringify(event.metadata) : null,
+        ip_address: event.ipAddress || null,
+        user_agent: event.userAgent ? String(event.userAgent).slice(0, 512) : null,
+        request_id: event.requestId || null,
+      })
+      .returning("*");
+
+    return auditEvent;
+  }
+
+  /**
+   * Find audit events, newest first
+   * @param {Object} [options={}] - Query options
+   * @param {Object} [options.filters={}] - `actor_user_id`, `target_user_id`, `action`,
+   * `occurred_after` and `occurred_before`
+   * @param {number} [options.limit] - Maximum number of events
+   * @param {number} [options.beforeId] - Only return events older than this ID, for
+   * keyset pagination
+   * @returns {Promise<Array>} Array of audit events
+   * @example
+   * const events = await AuditEventModel.findAll({ filters: { target_user_id: 7 }, limit: 50 });
+   * // Returns: [{ id: 12, action: 'user.updated', changes: { role: { from: 'member', to: 'support' } }, ... }, ...]
+   */
+  static async findAll(options = {}) {
+    const { filters = {}, limit, beforeId } = options;
+    const query = db("audit_events").select("*");
+
+    for (const column of ["actor_user_id", "target_user_id", "action"]) {
+      if (filters[column] !== undefined) {
+        query.where(column, filters[column]);
+      }
+    }
+
+    if (filters.occurred_after) {
+      query.where("occurred_at", ">=", filters.occurred_after);
+    }
+
+    if (filters.occurred_before) {
+      query.where("occurred_at", "<", filters.occurred_before);
+    }
+
+    if (beforeId) {
+      query.where("id", "<", beforeId);
+    }
+
+    query.orderBy("id", "desc");
+
+    if (limit) {
+      query.limit(limit);
+    }
+
+    return query;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Email verification token model for database operations
+ * @description Handles all email verification token-related database operations
+ * @module models/EmailVerificationTokenModel
+ * @requires ../db/init
+ * @requires ../db/batch-delete
+ * @version 1.0.0
+ */
+
+import db from "../db/init.js";
+import { deleteInBatches } from "../db/batch-delete.js";
+
+/**
+ * Email verification token model class
+ * @class EmailVerificationTokenModel
+ * @description Handles all email verification token-related database operations. Each
+ * token records the address it was sent to, so it cannot verify a different address
+ * after an email change. Only SHA-256 hashes of tokens are stored.
+ */
+export class EmailVerificationTokenModel {
+  /**
+   * Create a new email verification token
+   * @param {number} userId - User ID
+   * @param {string} email - Email address the token verifies
+   * @param {string} tokenHash - SHA-256 hash of the token sent to the user
+   * @param {Date} expiresAt - Token expiration date
+   * @returns {Promise<Object>} Created token object
+   * @example
+   * const verificationToken = await EmailVerificationTokenModel.create(1, 'john@example.com', hashToken(token), new Date());
+   * // Returns: { id: 1, user_id: 1, email: 'john@example.com', token_hash: '5e88...', ... }
+   */
+  static async create(userId, email, tokenHash, expiresAt) {
+    const [verificationToken] = await db("email_verification_tokens")
+      .insert({
+        user_id: userId,
+        email,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+      })
+      .returning("*");
+
+    return verificationToken;
+  }
+
+  /**
+   * Find an unused, unexpired token by its hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} Token object or null if not found, used or expired
+   * @example
+   * const verificationToken = await EmailVerificationTokenModel.findValidByHash(hashToken(token));
+   * // Returns: { id: 1, user_id: 1, ... } or null
+   */
+  static async findValidByHash(tokenHash) {
+    const verificationToken = await db("email_verification_tokens")
+      .where({ token_hash: tokenHash })
+      .whereNull("used_at")
+      .where("expires_at", ">", new Date())
+      .first();
+
+    return verificationToken || null;
+  }
+
+  /**
+   * Mark a token as used
+   * @param {number} id - Token ID
+   * @returns {Promise<boolean>} True if the token was unused and is now used, false otherwise
+   * @description The update only matches unused tokens, so of two concurrent verifications
+   * with the same token only one succeeds
+   * @example
+   * const consumed = await EmailVerificationTokenModel.markUsed(1);
+   * // Returns: true or false
+   */
+  static async markUsed(id) {
+    const updated = await db("email_verification_tokens")
+      .where({ id })
+      .whereNull("used_at")
+      .update({ used_at: new Date(), updated_at: new Date() });
+
+    return updated > 0;
+  }
+
+  /**
+   * Delete all tokens for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of deleted rows
+   * @example
+   * const deleted = await EmailVerificationTokenModel.deleteByUserId(1);
+   * // Returns: number of deleted tokens
+   */
+  static async deleteByUserId(userId) {
+    const deleted = await db("email_verification_tokens")
+      .where({ user_id: userId })
+      .del();
+
+    return deleted;
+  }
+
+  /**
+   * Delete expired tokens
+   * @param {Object} [options={}] - Delete options
+   * @param {number} [options.batchSize=1000] - Rows removed per statement
+   * @returns {Promise<number>} Number of deleted rows
+   * @description Deletes in batches so that purging a large backlog does not hold
+   * locks on the table for long.
+   * @example
+   * const deleted = await EmailVerificationTokenModel.deleteExpired({ batchSize: 500 });
+   * // Returns: number of deleted expired tokens
+   */
+  static async deleteExpired(options = {}) {
+    const now = new Date();
+
+    return deleteInBatches(
+      "email_verification_tokens",
+      (query) => query.where("expires_at", "<", now),
+      options
+    );
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Password reset token model for database operations
+ * @description Handles all password reset token-related database operations
+ * @module models/PasswordResetTokenModel
+ * @requires ../db/init
+ * @requires ../db/batch-delete
+ * @version 1.0.0
+ */
+
+import db from "../db/init.js";
+import { deleteInBatches } from "../db/batch-delete.js";
+
+/**
+ * Password reset token model class
+ * @class PasswordResetTokenModel
+ * @description Handles all password reset token-related database operations. Only
+ * SHA-256 hashes of tokens are stored.
+ */
+export class PasswordResetTokenModel {
+  /**
+   * Create a new password reset token
+   * @param {number} userId - User ID
+   * @param {string} tokenHash - SHA-256 hash of the token sent to the user
+   * @param {Date} expiresAt - Token expiration date
+   * @returns {Promise<Object>} Created token object
+   * @example
+   * const resetToken = await PasswordResetTokenModel.create(1, hashToken(token), new Date());
+   * // Returns: { id: 1, user_id: 1, token_hash: '5e88...', expires_at: '2025-01-01T00:00:00Z', ... }
+   */
+  static async create(userId, tokenHash, expiresAt) {
+    const [resetToken] = await db("password_reset_tokens")
+      .insert({
+        user_id: userId,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+      })
+      .returning("*");
+
+    return resetToken;
+  }
+
+  /**
+   * Find an unused, unexpired token by its hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} Token object or null if not found, used or expired
+   * @example
+   * const resetToken = await PasswordResetTokenModel.findValidByHash(hashToken(token));
+   * // Returns: { id: 1, user_id: 1, ... } or null
+   */
+  static async findValidByHash(tokenHash) {
+    const resetToken = await db("password_reset_tokens")
+      .where({ token_hash: tokenHash })
+      .whereNull("used_at")
+      .where("expires_at", ">", new Date())
+      .first();
+
+    return resetToken || null;
+  }
+
+  /**
+   * Mark a token as used
+   * @param {number} id - Token ID
+   * @returns {Promise<boolean>} True if the token was unused and is now used, false otherwise
+   * @description The update only matches unused tokens, so of two concurrent resets
+   * with the same token only one succeeds
+   * @example
+   * const consumed = await PasswordResetTokenModel.markUsed(1);
+   * // Returns: true or false
+   */
+  static async markUsed(id) {
+    const updated = await db("password_reset_tokens")
+      .where({ id })
+      .whereNull("used_at")
+      .update({ used_at: new Date(), updated_at: new Date() });
+
+    return updated > 0;
+  }
+
+  /**
+   * Delete all tokens for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of deleted rows
+   * @example
+   * const deleted = await PasswordResetTokenModel.deleteByUserId(1);
+   * // Returns: number of deleted tokens
+   */
+  static async deleteByUserId(userId) {
+    const deleted = await db("password_reset_tokens")
+      .where({ user_id: userId })
+      .del();
+
+    return deleted;
+  }
+
+  /**
+   * Delete expired tokens
+   * @param {Object} [options={}] - Delete options
+   * @param {number} [options.batchSize=1000] - Rows removed per statement
+   * @returns {Promise<number>} Number of deleted rows
+   * @description Deletes in batches so that purging a large backlog does not hold
+   * locks on the table for long.
+   * @example
+   * const deleted = await PasswordResetTokenModel.deleteExpired({ batchSize: 500 });
+   * // Returns: number of deleted expired tokens
+   */
+  static async deleteExpired(options = {}) {
+    const now = new Date();
+
+    return deleteInBatches(
+      "password_reset_tokens",
+      (query) => query.where("expires_at", "<", now),
+      options
+    );
+  }
+}
@@ -3,10 +3,13 @@
  * @description Handles all session-related database operations
  * @module models/SessionModel
  * @requires ../db/init
+ * @requires ../db/batch-delete
  * @version 1.0.0
  */
 
+import { v4 as uuidv4 } from "uuid";
 import db from "../db/init.js";
+import { deleteInBatches } from "../db/batch-delete.js";
 
 /**
  * Session model class
@@ -18,16 +21,33 @@ export class SessionModel {
    * Create a new session
    * @param {number} userId - User ID
    * @param {Date} expiresAt - Session expiration date
+   * @param {Object} [options={}] - Refresh token and device options
+   * @param {string} [options.refreshTokenHash] - SHA-256 hash of the session's refresh token
+   * @param {string} [options.familyId] - Session family ID; a new family is started when omitted
+   * @param {string} [options.userAgent] - User agent of the device that logged in
+   * @param {string} [options.ipAddress] - IP address of the device that logged in
    * @returns {Promise<Object>} Created session object
    * @example
-   * const session = await SessionModel.create(1, new Date());
-   * // Returns: { id: 1, user_id: 1, expires_at: '2025-01-01T00:00:00Z', ... }
+   * const session = await SessionModel.create(1, new Date(), { refreshTokenHash: hashToken(token) });
+   * // Returns: { id: 1, user_id: 1, family_id: '9b1d...', expires_at: '2025-01-01T00:00:00Z', ... }
    */
-  static async create(userId, expiresAt) {
+  static async create(userId, expiresAt, options = {}) {
+    const {
+      refreshTokenHash = null,
+      familyId = uuidv4(),
+      userAgent = null,
+      ipAddress = null,
+    } = options;
+
     const [session] = await db("sessions")
       .insert({
         user_id: userId,
         expires_at: expiresAt,
+        refresh_token_hash: refreshTokenHash,
+        family_id: familyId,
+        user_agent: truncate(userAgent, 512),
+        ip_address: ipAddress,
+        last_seen_at: new Date(),
       })
       .returning("*");
     
@@ -50,6 +70,22 @@ export class SessionModel {
     return session || null;
   }
 
+  /**
+   * Find a session by the hash of its refresh token
+   * @param {string} refreshTokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Session object or null if not found
+   * @example
+   * const session = await SessionModel.findByRefreshTokenHash(hashToken(refreshToken));
+   * // Returns: { id: 1, user_id: 1, family_id: '9b1d...', rotated_at: null, ... } or null
+   */
+  static async findByRefreshTokenHash(refreshTokenHash) {
+    const session = await db("sessions")
+      .where({ refresh_token_hash: refreshTokenHash })
+      .first();
+
+    return session || null;
+  }
+
   /**
    * Find all sessions for a user
    * @param {number} userId - User ID
@@ -67,7 +103,7 @@ export class SessionModel {
   }
 
   /**
-   * Find active sessions for a user (not expired)
+   * Find active sessions for a user (not expired and not rotated)
    * @param {number} userId - User ID
    * @returns {Promise<Array>} Array of active session objects
    * @example
@@ -78,11 +114,32 @@ export class SessionModel {
     const sessions = await db("sessions")
       .where({ user_id: userId })
       .where("expires_at", ">", new Date())
+      .whereNull("rotated_at")
       .orderBy("created_at", "desc");
     
     return sessions;
   }
 
+  /**
+   * Count active sessions (not expired and not rotated) across all users
+   * @returns {Promise<{sessions: number, users: number}>} Active sessions and the
+   * number of distinct users they belong to
+   * @example
+   * const { sessions, users } = await SessionModel.countActive();
+   * // Returns: { sessions: 230, users: 187 }
+   */
+  static async countActive() {
+    const { sessions, users } = await db("sessions")
+      .where("expires_at", ">", new Date())
+      .whereNull("rotated_at")
+      .first(
+        db.raw("count(*)::int as sessions"),
+        db.raw("count(distinct user_id)::int as users")
+      );
+
+    return { sessions, users };
+  }
+
   /**
    * Delete a session by ID
    * @param {number} id - Session ID
@@ -102,34 +159,66 @@ export class SessionModel {
   /**
    * Delete all sessions for a user
    * @param {number} userId - User ID
+   * @param {Object} [options={}] - Delete options
+   * @param {string} [options.exceptFamilyId] - Session family to keep
    * @returns {Promise<number>} Number of deleted rows
    * @example
    * const deleted = await SessionModel.deleteByUserId(1);
    * // Returns: number of deleted sessions
    */
-  static async deleteByUserId(userId) {
-    const deleted = await db("sessions")
-      .where({ user_id: userId })
-      .del();
+  static async deleteByUserId(userId, options = {}) {
+    const query = db("sessions").where({ user_id: userId });
+
+    if (options.exceptFamilyId) {
+      query.where((builder) =>
+        builder
+          .whereNot({ family_id: options.exceptFamilyId })
+          .orWhereNull("family_id")
+      );
+    }
+
+    const deleted = await query.del();
     
     return deleted;
   }
 
   /**
-   * Delete expired sessions
+   * Delete every session in a session family
+   * @param {string} familyId - Session family ID
    * @returns {Promise<number>} Number of deleted rows
    * @example
-   * const deleted = await SessionModel.deleteExpired();
-   * // Returns: number of deleted expired sessions
+   * const deleted = await SessionModel.deleteByFamilyId('9b1d...');
+   * // Returns: number of deleted sessions
    */
-  static async deleteExpired() {
+  static async deleteByFamilyId(familyId) {
     const deleted = await db("sessions")
-      .where("expires_at", "<", new Date())
+      .where({ family_id: familyId })
       .del();
-    
+
     return deleted;
   }
 
+  /**
+   * Delete expired sessions
+   * @param {Object} [options={}] - Delete options
+   * @param {number} [options.batchSize=1000] - Rows removed per statement
+   * @returns {Promise<number>} Number of deleted rows
+   * @description Deletes in batches so that purging a large backlog does not hold
+   * locks on the table for long.
+   * @example
+   * const deleted = await SessionModel.deleteExpired({ batchSize: 500 });
+   * // Returns: number of deleted expired sessions
+   */
+  static async deleteExpired(options = {}) {
+    const now = new Date();
+
+    return deleteInBatches(
+      "sessions",
+      (query) => query.where("expires_at", "<", now),
+      options
+    );
+  }
+
   /**
    * Update session expiration
    * @param {number} id - Session ID
@@ -149,7 +238,85 @@ export class SessionModel {
   }
 
   /**
-   * Check if a session is valid (exists and not expired)
+   * Rotate a session's refresh token
+   * @param {Object} session - Current session object
+   * @param {string} refreshTokenHash - SHA-256 hash of the replacement refresh token
+   * @param {Object} [device={}] - Device that presented the refresh token
+   * @param {string} [device.userAgent] - User agent; the current session's is kept when omitted
+   * @param {string} [device.ipAddress] - IP address; the current session's is kept when omitted
+   * @returns {Promise<Object|null>} Replacement session in the same family, or null if
+   * the session had already been rotated (the presented refresh token was replayed)
+   * @description Marks the current session as rotated and creates its replacement in
+   * one transaction. The replacement keeps the family's expiration date.
+   * @example
+   * const next = await SessionModel.rotate(session, hashToken(newRefreshToken));
+   * // Returns: { id: 2, user_id: 1, family_id: '9b1d...', ... } or null
+   */
+  static async rotate(session, refreshTokenHash, device = {}) {
+    return db.transaction(async (trx) => {
+      const rotated = await trx("sessions")
+        .where({ id: session.id })
+        .whereNull("rotated_at")
+        .update({ rotated_at: new Date(), updated_at: new Date() });
+
+      if (!rotated) {
+        return null;
+      }
+
+      const [replacement] = await trx("sessions")
+        .insert({
+          user_id: session.user_id,
+          expires_at: session.expires_at,
+          refresh_token_hash: refreshTokenHash,
+          family_id: session.family_id,
+          user_agent: truncate(device.userAgent, 512) || session.user_agent,
+          ip_address: device.ipAddress || session.ip_address,
+          last_seen_at: new Date(),
+        })
+        .returning("*");
+
+      return replacement;
+    });
+  }
+
+  /**
+   * Record session activity and slide its expiration forward
+   * @param {number} id - Session ID
+   * @param {Date} expiresAt - New expiration date
+   * @param {Object} [device={}] - Device that used the session
+   * @param {string} [device.userAgent] - Current user agent
+   * @param {string} [device.ipAddress] - Current IP address
+   * @returns {Promise<Object|null>} Updated session object, or null if not found or rotated
+   * @example
+   * const session = await SessionModel.touch(1, new Date(Date.now() + ttl), { ipAddress: req.ip });
+   * // Returns: { id: 1, last_seen_at: '2025-01-15T10:30:00Z', expires_at: '2025-01-22T10:30:00Z', ... }
+   */
+  static async touch(id, expiresAt, device = {}) {
+    const changes = {
+      expires_at: expiresAt,
+      last_seen_at: new Date(),
+      updated_at: new Date(),
+    };
+
+    if (device.userAgent) {
+      changes.user_agent = truncate(device.userAgent, 512);
+    }
+
+    if (device.ipAddress) {
+      changes.ip_address = device.ipAddress;
+    }
+
+    const [session] = await db("sessions")
+      .where({ id })
+      .whereNull("rotated_at")
+      .update(changes)
+      .returning("*");
+
+    return session || null;
+  }
+
+  /**
+   * Check if a session is valid (exists, not expired and not rotated)
    * @param {number} id - Session ID
    * @returns {Promise<boolean>} True if session is valid, false otherwise
    * @example
@@ -160,8 +327,20 @@ export class SessionModel {
     const session = await db("sessions")
       .where({ id })
       .where("expires_at", ">", new Date())
+      .whereNull("rotated_at")
       .first();
     
     return !!session;
   }
 }
+
+/**
+ * Truncate a string to a column's length
+ * @private
+ * @param {string|null|undefined} value - Value to truncate
+ * @param {number} length - Maximum length
+ * @returns {string|null} Truncated value, or null if empty
+ */
+function truncate(value, length) {
+  return value ? String(value).slice(0, length) : null;
+}
@@ -5,6 +5,8 @@
  */
 
 import db from "../db/init.js";
+import { deleteInBatches } from "../db/batch-delete.js";
+import logger from "../logger.js";
 
 /**
  * User model class for database operations
@@ -12,17 +14,216 @@ import db from "../db/init.js";
  */
 export class UserModel {
   /**
-   * Get all users from the database
+   * Columns that are safe to expose outside the model layer
+   * @static
+   * @type {Array<string>}
+   */
+  static PUBLIC_COLUMNS = [
+    "id",
+    "first_name",
+    "last_name",
+    "email",
+    "role",
+    "email_verified_at",
+    "created_at",
+    "updated_at",
+    "deleted_at",
+  ];
+
+  /**
+   * Tables holding per-user credentials that are removed when a user is soft-deleted
+   * @static
+   * @type {Array<string>}
+   */
+  static CREDENTIAL_TABLES = [
+    "sessions",
+    "password_reset_tokens",
+    "email_verification_tokens",
+  ];
+
+  /**
+   * Credential and login-throttling columns, only selected when explicitly requested
+   * @static
+   * @type {Array<string>}
+   */
+  static CREDENTIAL_COLUMNS = [
+    "password_hash",
+    "salt",
+    "failed_login_attempts",
+    "locked_until",
+  ];
+
+  /**
+   * Resolve the columns a finder should select
+   * @static
+   * @param {Object} [options={}] - Finder options
+   * @param {boolean} [options.withCredentials=false] - Include credential columns
+   * @returns {Array<string>} Column names
+   */
+  static columns({ withCredentials = false } = {}) {
+    return withCredentials
+      ? [...UserModel.PUBLIC_COLUMNS, ...UserModel.CREDENTIAL_COLUMNS]
+      : UserModel.PUBLIC_COLUMNS;
+  }
+
+  /**
+   * Columns that list queries may be sorted by
+   * @static
+   * @type {Array<string>}
+   */
+  static SORTABLE_COLUMNS = [
+    "id",
+    "first_name",
+    "last_name",
+    "email",
+    "created_at",
+    "updated_at",
+  ];
+
+  /**
+   * Type of each sortable column's values, as cursors carry them
+   * @static
+   * @type {Object<string, string>}
+   * @description Timestamps are compared and sorted at millisecond precision, since
+   * that is all a JSON cursor keeps of them
+   */
+  static SORT_VALUE_TYPES = {
+    id: "integer",
+    first_name: "string",
+    last_name: "string",
+    email: "string",
+    created_at: "date-time",
+    updated_at: "date-time",
+  };
+
+  /**
+   * Restrict a users query to users that are not soft-deleted
+   * @static
+   * @param {Object} query - Knex query builder
+   * @param {Object} [options={}] - Finder options
+   * @param {boolean} [options.includeDeleted=false] - Leave soft-deleted users in
+   * @returns {Object} The same query builder, for chaining
+   */
+  static excludeDeleted(query, { includeDeleted = false } = {}) {
+    return includeDeleted ? query : query.whereNull("deleted_at");
+  }
+
+  /**
+   * Apply list filters to a users query
+   * @static
+   * @param {Object} query - Knex query builder
+   * @param {Object} [filters={}] - Filter options
+   * @param {boolean} [filters.include_deleted=false] - Include soft-deleted users
+   * @param {string} [filters.email] - Case-insensitive email substring
+   * @param {string} [filters.name] - Case-insensitive first or last name substring
+   * @param {Date} [filters.created_after] - Only users created at or after this date
+   * @param {Date} [filters.created_before] - Only users created before this date
+   * @returns {Object} The same query builder, for chaining
+   */
+  static applyFilters(query, filters = {}) {
+    const { include_deleted, email, name, created_after, created_before } = filters;
+
+    UserModel.excludeDeleted(query, { includeDeleted: include_deleted });
+
+    if (email) {
+      query.whereILike("email", `%${escapeLike(email)}%`);
+    }
+
+    if (name) {
+      query.where((builder) => {
+        builder
+          .whereILike("first_name", `%${escapeLike(name)}%`)
+          .orWhereILike("last_name", `%${escapeLike(name)}%`);
+      });
+    }
+
+    if (created_after) {
+      query.where("created_at", ">=", created_after);
+    }
+
+    if (created_before) {
+      query.where("created_at", "<", created_before);
+    }
+
+    return query;
+  }
+
+  /**
+   * Get users from the database
    * @async
    * @static
+   * @param {Object} [options={}] - Query options
+   * @param {Object} [options.filters] - Filters, see {@link UserModel.applyFilters}
+   * @param {string} [options.sort="created_at"] - Column to sort by (one of SORTABLE_COLUMNS)
+   * @param {string} [options.order="desc"] - Sort direction, "asc" or "desc"
+   * @param {number} [options.limit] - Maximum number of rows to return
+   * @param {number} [options.offset] - Number of rows to skip (offset pagination)
+   * @param {Object} [options.after] - Keyset position to continue from (cursor pagination)
+   * @param {*} options.after.value - Sort column value of the last row already seen
+   * @param {number} options.after.id - ID of the last row already seen
    * @returns {Promise<Array>} Array of user objects
    * @throws {Error} Database query error
+   * @example
+   * const users = await UserModel.findAll({
+   *   filters: { email: "example.com" },
+   *   sort: "email",
+   *   order: "asc",
+   *   limit: 20,
+   * });
    */
-  static async findAll() {
+  static async findAll(options = {}) {
+    const {
+      filters = {},
+      sort = "created_at",
+      order = "desc",
+      limit,
+      offset,
+      after,
+    } = options;
+
+    if (!UserModel.SORTABLE_COLUMNS.includes(sort)) {
+      throw new Error(`Cannot sort users by "${sort}"`);
+    }
+
+    const direction = order === "asc" ? "asc" : "desc";
+
     try {
-      return await db("users").select("*").orderBy("created_at", "desc");
+      const query = UserModel.applyFilters(
+        db("users").select(UserModel.columns()),
+        filters
+      );
+
+      // Postgres keeps microseconds, but a cursor only carries milliseconds; sorting on
+      // the truncated value keeps rows within the same millisecond from being skipped
+      const sortKey =
+        UserModel.SORT_VALUE_TYPES[sort] === "date-time"
+          ? db.raw("date_trunc('milliseconds', ??)", [sort])
+          : db.ref(sort);
+
+      if (after) {
+        // Row-value comparison keeps keyset pagination stable on non-unique columns
+        const comparator = direction === "asc" ? ">" : "<";
+        query.whereRaw(`(?, ??) ${comparator} (?, ?)`, [
+          sortKey,
+          "id",
+          after.value,
+          after.id,
+        ]);
+      }
+
+      query.orderBy(sortKey, direction).orderBy("id", direction);
+
+      if (limit) {
+        query.limit(limit);
+      }
+
+      if (offset) {
+        query.offset(offset);
+      }
+
+      return await query;
     } catch (error) {
-      console.error("Error fetching users:", error);
+      logger.error("Error fetching users", error);
       throw error;
     }
   }
@@ -32,15 +233,21 @@ export class UserModel {
    * @async
    * @static
    * @param {number} id - User ID
+   * @param {Object} [options={}] - Finder options
+   * @param {boolean} [options.withCredentials=false] - Include credential and lockout columns
+   * @param {boolean} [options.includeDeleted=false] - Also find a soft-deleted user
    * @returns {Promise<Object|null>} User object or null if not found
    * @throws {Error} Database query error
    */
-  static async findById(id) {
+  static async findById(id, options = {}) {
     try {
-      const user = await db("users").where({ id }).first();
+      const user = await UserModel.excludeDeleted(
+        db("users").select(UserModel.columns(options)).where({ id }),
+        options
+      ).first();
       return user || null;
     } catch (error) {
-      console.error("Error fetching user by ID:", error);
+      logger.error("Error fetching user by ID", error);
       throw error;
     }
   }
@@ -49,16 +256,27 @@ export class UserModel {
    * Find a user by email
    * @async
    * @static
+   * @description Soft-deleted users are never returned: their addresses are free to be
+   * registered again, so more than one row may share an email.
    * @param {string} email - User email
+   * @param {Object} [options={}] - Finder options
+   * @param {boolean} [options.withCredentials=false] - Include credential and lockout columns
    * @returns {Promise<Object|null>} User object or null if not found
    * @throws {Error} Database query error
+   * @example
+   * // Only authentication code should ask for credentials
+   * const user = await UserModel.findByEmail(email, { withCredentials: true });
    */
-  static async findByEmail(email) {
+  static async findByEmail(email, options = {}) {
     try {
-      const user = await db("users").where({ email }).first();
+      const user = await db("users")
+        .select(UserModel.columns(options))
+        .where({ email })
+        .whereNull("deleted_at")
+        .first();
       return user || null;
     } catch (error) {
-      console.error("Error fetching user by email:", error);
+      logger.error("Error fetching user by email", error);
       throw error;
     }
   }
@@ -71,9 +289,10 @@ export class UserModel {
    * @param {string} userData.first_name - First name
    * @param {string} userData.last_name - Last name
    * @param {string} userData.email - Email address
-   * @param {string} userData.password - Hashed password
-   * @param {string} userData.salt - Password salt
-   * @returns {Promise<Object>} Created user object
+   * @param {string} userData.password - Password hash from hashPassword
+   * @param {string} [userData.salt] - Password salt, only for legacy PBKDF2 hashes
+   * @param {string} [userData.role] - User role, defaults to the database default (member)
+   * @returns {Promise<Object>} Created user object (without credential columns)
    * @throws {Error} Database query error
    */
   static async create(userData) {
@@ -85,13 +304,240 @@ export class UserModel {
           email: userData.email,
           password_hash: userData.password,
           salt: userData.salt,
+          role: userData.role,
           created_at: new Date(),
           updated_at: new Date(),
         })
-        .returning("*");
+        .returning(UserModel.columns());
       return newUser;
     } catch (error) {
-      console.error("Error creating user:", error);
+      logger.error("Error creating user", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a batch of imported users in one transaction
+   * @async
+   * @static
+   * @param {Array<Object>} rows - Users with distinct emails: `first_name`, `last_name`,
+   * `email`, and optionally `password_hash` and `role`
+   * @param {Object} [options={}] - Import options
+   * @param {string} [options.onDuplicate="fail"] - What to do with rows whose email
+   * belongs to an existing user: "update" their name, role and password, or leave
+   * them for the caller to "skip" or "fail"
+   * @param {boolean} [options.dryRun=false] - Only work out what would happen
+   * @returns {Promise<{created: Array<string>, updated: Array<string>, duplicates: Array<string>}>}
+   * Emails of the rows created, updated, and left alone because the email is taken
+   * @throws {Error} Database query error; nothing in the batch is saved
+   * @example
+   * const result = await UserModel.importBatch(rows, { onDuplicate: "skip" });
+   * // Returns: { created: ["a@example.com"], updated: [], duplicates: ["b@example.com"] }
+   */
+  static async importBatch(rows, options = {}) {
+    const { onDuplicate = "fail", dryRun = false } = options;
+
+    try {
+      return await db.transaction(async (trx) => {
+        const existing = await trx("users")
+          .select("id", "email")
+          .whereIn("email", rows.map((row) => row.email))
+          .whereNull("deleted_at")
+          .forUpdate();
+        const existingIds = new Map(existing.map((user) => [user.email, user.id]));
+
+        const newRows = rows.filter((row) => !existingIds.has(row.email));
+        const takenRows = rows.filter((row) => existingIds.has(row.email));
+        const updateRows = onDuplicate === "update" ? takenRows : [];
+
+        if (!dryRun) {
+          if (newRows.length) {
+            await trx("users").insert(
+              newRows.map((row) => ({
+                ...row,
+                created_at: new Date(),
+                updated_at: new Date(),
+              }))
+            );
+          }
+
+          for (const { email, ...changes } of updateRows) {
+            await trx("users")
+              .where({ id: existingIds.get(email) })
+              .update({
+                ...changes,
+                ...(changes.password_hash && { salt: null }),
+                updated_at: trx.raw("greatest(?, updated_at + interval '1 millisecond')", [
+                  new Date(),
+                ]),
+              });
+          }
+        }
+
+        return {
+          created: newRows.map((row) => row.email),
+          updated: updateRows.map((row) => row.email),
+          duplicates: onDuplicate === "update" ? [] : takenRows.map((row) => row.email),
+        };
+      });
+    } catch (error) {
+      logger.error("Error importing users", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read all users in ID order, a batch at a time
+   * @async
+   * @generator
+   * @static
+   * @param {Object} [options={}] - Read options
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted users
+   * @param {number} [options.batchSize=1000] - Users per query
+   * @yields {Array<Object>} Users (without credential columns)
+   * @throws {Error} Database query error
+   * @description Pages with keyset pagination on `id`, so memory use does not grow
+   * with the table and each query stays short.
+   * @example
+   * for await (const users of UserModel.findInBatches({ batchSize: 500 })) {
+   *   // write users somewhere
+   * }
+   */
+  static async *findInBatches(options = {}) {
+    const { includeDeleted = false, batchSize = 1000 } = options;
+    let lastId = 0;
+
+    for (;;) {
+      let users;
+      try {
+        users = await UserModel.excludeDeleted(
+          db("users").select(UserModel.columns()).where("id", ">", lastId),
+          { includeDeleted }
+        )
+          .orderBy("id")
+          .limit(batchSize);
+      } catch (error) {
+        logger.error("Error reading users in batches", error);
+        throw error;
+      }
+
+      if (users.length) {
+        yield users;
+        lastId = users[users.length - 1].id;
+      }
+
+      if (users.length < batchSize) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Full-text document of a user, the expression of users_search_document_index
+   * @static
+   * @type {string}
+   * @description The "simple" configuration neither stems nor drops stop words, which
+   * suits names. The email's @ and dots become spaces so its parts are separate words.
+   */
+  static SEARCH_DOCUMENT =
+    "to_tsvector('simple', first_name || ' ' || last_name || ' ' || translate(email, '@.', '  '))";
+
+  /**
+   * Text compared by trigram similarity, the expression of users_search_text_trgm_index
+   * @static
+   * @type {string}
+   */
+  static SEARCH_TEXT = "(first_name || ' ' || last_name || ' ' || email)";
+
+  /**
+   * Shortest search term matched by trigram similarity
+   * @static
+   * @type {number}
+   * @description A shorter term has too few trigrams for similarity to mean anything
+   * (one shared letter would make "jo" match "Jane"), so it only matches as a prefix.
+   */
+  static MIN_FUZZY_TERM_LENGTH = 3;
+
+  /**
+   * Search users by name and email, best matches first
+   * @async
+   * @static
+   * @param {Array<string>} terms - Lowercase letter and digit runs (see searchTerms in
+   * src/user-search.js)
+   * @param {Object} [options={}] - Search options
+   * @param {number} [options.minSimilarity=0.3] - Lowest trigram word similarity at which
+   * a user matches without a full-text match
+   * @param {boolean} [options.includeDeleted=false] - Include soft-deleted users
+   * @param {number} [options.limit] - Maximum number of users to return
+   * @param {number} [options.offset] - Number of users to skip
+   * @returns {Promise<{users: Array<Object>, total: number}>} A page of users, each with
+   * a `score`, and the number of users matching
+   * @throws {Error} Database query error
+   * @description A user matches when every term is a prefix of a word in their names or
+   * email (full-text search), or when the terms of at least MIN_FUZZY_TERM_LENGTH
+   * characters are similar enough to part of them (trigram similarity), which tolerates
+   * typos. `score` adds the full-text rank to
+   * the similarity; ties are broken by ID. Both conditions use an index.
+   * @example
+   * const { users, total } = await UserModel.search(["jane", "smtih"], { limit: 20 });
+   * // Returns: { users: [{ id: 2, first_name: "Jane", last_name: "Smith", score: 0.42, ... }], total: 1 }
+   */
+  static async search(terms, options = {}) {
+    const { minSimilarity = 0.3, includeDeleted = false, limit, offset } = options;
+
+    // Terms only hold letters and digits, so they can be quoted as lexemes as they are
+    const prefixQuery = terms.map((term) => `'${term}':*`).join(" & ");
+    const fuzzyText = terms
+      .filter((term) => term.length >= UserModel.MIN_FUZZY_TERM_LENGTH)
+      .join(" ");
+
+    try {
+      return await db.transaction(async (trx) => {
+        // The <% operator compares word_similarity with this setting; it is reset
+        // when the transaction ends
+        await trx.raw("select set_config('pg_trgm.word_similarity_threshold', ?, true)", [
+          String(minSimilarity),
+        ]);
+
+        const matches = UserModel.excludeDeleted(trx("users"), { includeDeleted }).where(
+          (builder) => {
+            builder.whereRaw(`${UserModel.SEARCH_DOCUMENT} @@ to_tsquery('simple', ?)`, [
+              prefixQuery,
+            ]);
+            if (fuzzyText) {
+              builder.orWhereRaw(`? <% ${UserModel.SEARCH_TEXT}`, [fuzzyText]);
+            }
+          }
+        );
+
+        const [{ count }] = await matches.clone().count("id as count");
+
+        const query = matches
+          .select(UserModel.columns())
+          .select(
+            trx.raw(
+              `ts_rank(${UserModel.SEARCH_DOCUMENT}, to_tsquery('simple', ?)) + ` +
+                `word_similarity(?, ${UserModel.SEARCH_TEXT}) as score`,
+              [prefixQuery, fuzzyText]
+            )
+          )
+          .orderBy([
+            { column: "score", order: "desc" },
+            { column: "id", order: "asc" },
+          ]);
+
+        if (limit) {
+          query.limit(limit);
+        }
+
+        if (offset) {
+          query.offset(offset);
+        }
+
+        return { users: await query, total: parseInt(count) };
+      });
+    } catch (error) {
+      logger.error("Error searching users", error);
       throw error;
     }
   }
@@ -102,39 +548,217 @@ export class UserModel {
    * @static
    * @param {number} id - User ID
    * @param {Object} userData - Updated user data
-   * @returns {Promise<Object|null>} Updated user object or null if not found
+   * @param {Object} [options={}] - Update options
+   * @param {Date} [options.expectedUpdatedAt] - Only update if `updated_at` still has
+   * this value (to the millisecond), for writes conditional on an ETag
+   * @returns {Promise<Object|null>} Updated user object (without credential columns), or
+   * null if not found or `expectedUpdatedAt` no longer matches
    * @throws {Error} Database query error
    */
-  static async update(id, userData) {
+  static async update(id, userData, options = {}) {
     try {
-      const [updatedUser] = await db("users")
-        .where({ id })
+      const query = db("users").where({ id }).whereNull("deleted_at");
+
+      if (options.expectedUpdatedAt) {
+        // Dates only carry milliseconds, while Postgres stores microseconds
+        query.whereRaw("date_trunc('milliseconds', updated_at) = ?", [
+          options.expectedUpdatedAt,
+        ]);
+      }
+
+      const [updatedUser] = await query
         .update({
           ...userData,
-          updated_at: new Date(),
+          // Move forward by at least a millisecond, so every write gets a new ETag
+          updated_at: db.raw("greatest(?, updated_at + interval '1 millisecond')", [
+            new Date(),
+          ]),
         })
-        .returning("*");
+        .returning(UserModel.columns());
       return updatedUser || null;
     } catch (error) {
-      console.error("Error updating user:", error);
+      logger.error("Error updating user", error);
       throw error;
     }
   }
 
   /**
-   * Delete a user by ID
+   * Soft-delete a user by ID
    * @async
    * @static
    * @param {number} id - User ID
-   * @returns {Promise<boolean>} True if deleted, false if not found
+   * @returns {Promise<boolean>} True if deleted, false if not found or already deleted
    * @throws {Error} Database query error
+   * @description Sets `deleted_at` and removes the user's sessions and outstanding
+   * tokens, so they are signed out everywhere. The row itself is kept until
+   * {@link UserModel.purgeDeleted} removes it, and can be brought back with
+   * {@link UserModel.restore} until then.
    */
   static async delete(id) {
     try {
-      const deletedCount = await db("users").where({ id }).del();
-      return deletedCount > 0;
+      return await db.transaction(async (trx) => {
+        const deletedCount = await trx("users")
+          .where({ id })
+          .whereNull("deleted_at")
+          .update({ deleted_at: new Date(), updated_at: new Date() });
+
+        if (deletedCount === 0) {
+          return false;
+        }
+
+        for (const table of UserModel.CREDENTIAL_TABLES) {
+          await trx(table).where({ user_id: id }).del();
+        }
+
+        return true;
+      });
+    } catch (error) {
+      logger.error("Error deleting user", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted user
+   * @async
+   * @static
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} Restored user object, or null if not found or not deleted
+   * @throws {Error} Database query error, including a unique violation if another
+   * user has registered the email in the meantime
+   * @description Sessions and tokens removed on delete are not brought back; the user
+   * signs in again with their old password.
+   */
+  static async restore(id) {
+    try {
+      const [restoredUser] = await db("users")
+        .where({ id })
+        .whereNotNull("deleted_at")
+        .update({ deleted_at: null, updated_at: new Date() })
+        .returning(UserModel.columns());
+      return restoredUser || null;
+    } catch (error) {
+      logger.error("Error restoring user", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete users that were soft-deleted before a cutoff
+   * @async
+   * @static
+   * @param {Object} options - Purge options
+   * @param {Date} options.before - Only users deleted before this time are removed
+   * @param {number} [options.batchSize=1000] - Rows removed per statement
+   * @returns {Promise<number>} Number of deleted rows
+   * @example
+   * const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+   * const purged = await UserModel.purgeDeleted({ before: cutoff });
+   * // Returns: number of users removed for good
+   */
+  static async purgeDeleted({ before, ...options }) {
+    try {
+      return await deleteInBatches(
+        "users",
+        (query) => query.where("deleted_at", "<", before),
+        options
+      );
     } catch (error) {
-      console.error("Error deleting user:", error);
+      logger.error("Error purging deleted users", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a user's email address as verified
+   * @async
+   * @static
+   * @param {number} id - User ID
+   * @param {string} email - Email address that was verified
+   * @returns {Promise<Object|null>} Updated user object, or null if the user no longer has that email
+   * @throws {Error} Database query error
+   */
+  static async markEmailVerified(id, email) {
+    try {
+      const [updatedUser] = await db("users")
+        .where({ id, email })
+        .whereNull("deleted_at")
+        .update({ email_verified_at: new Date(), updated_at: new Date() })
+        .returning(UserModel.columns());
+      return updatedUser || null;
+    } catch (error) {
+      logger.error("Error marking email verified", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed login attempt and lock the account once the limit is reached
+   * @async
+   * @static
+   * @param {number} id - User ID
+   * @param {Object} policy - Lockout policy
+   * @param {number} policy.maxAttempts - Consecutive failures that trigger a lockout
+   * @param {number} policy.lockoutMs - Lockout duration in milliseconds
+   * @returns {Promise<Object|null>} Updated `failed_login_attempts` and `locked_until`, or null if not found
+   * @throws {Error} Database query error
+   * @description Failures counted before an expired lockout are discarded, so an
+   * account gets a fresh set of attempts once its lockout ends.
+   */
+  static async recordFailedLogin(id, { maxAttempts, lockoutMs }) {
+    try {
+      return await db.transaction(async (trx) => {
+        const user = await trx("users")
+          .select("failed_login_attempts", "locked_until")
+          .where({ id })
+          .whereNull("deleted_at")
+          .forUpdate()
+          .first();
+
+        if (!user) {
+          return null;
+        }
+
+        const lockExpired =
+          user.locked_until && new Date(user.locked_until) <= new Date();
+        const attempts = (lockExpired ? 0 : user.failed_login_attempts) + 1;
+
+        let lockedUntil = lockExpired ? null : user.locked_until;
+        if (attempts >= maxAttempts) {
+          lockedUntil = new Date(Date.now() + lockoutMs);
+        }
+
+        const [updated] = await trx("users")
+          .where({ id })
+          .update({ failed_login_attempts: attempts, locked_until: lockedUntil })
+          .returning(["failed_login_attempts", "locked_until"]);
+
+        return updated;
+      });
+    } catch (error) {
+      logger.error("Error recording failed login", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear failed login attempts and any lockout
+   * @async
+   * @static
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} True if the user exists
+   * @throws {Error} Database query error
+   * @description Used after a successful login and by the admin unlock endpoint
+   */
+  static async resetFailedLogins(id) {
+    try {
+      const updatedCount = await db("users")
+        .where({ id })
+        .whereNull("deleted_at")
+        .update({ failed_login_attempts: 0, locked_until: null });
+      return updatedCount > 0;
+    } catch (error) {
+      logger.error("Error resetting failed logins", error);
       throw error;
     }
   }
@@ -143,16 +767,31 @@ export class UserModel {
    * Get user count
    * @async
    * @static
-   * @returns {Promise<number>} Total number of users
+   * @param {Object} [filters={}] - Filters, see {@link UserModel.applyFilters}
+   * @returns {Promise<number>} Total number of users matching the filters (soft-deleted
+   * users are only counted with `include_deleted`)
    * @throws {Error} Database query error
    */
-  static async count() {
+  static async count(filters = {}) {
     try {
-      const [{ count }] = await db("users").count("id as count");
+      const [{ count }] = await UserModel.applyFilters(
+        db("users"),
+        filters
+      ).count("id as count");
       return parseInt(count);
     } catch (error) {
-      console.error("Error counting users:", error);
+      logger.error("Error counting users", error);
       throw error;
     }
   }
 }
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @private
+ * @param {string} value - Raw search term
+ * @returns {string} Escaped search term
+ */
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, "\\$&");
+}
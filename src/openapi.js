@@ -0,0 +1,948 @@
+/**
+ * @fileoverview OpenAPI 3.1 document
+ * @description Describes every mounted route, built from the same JSON Schemas the
+ * validate middleware enforces (src/schemas), so the published request shapes cannot
+ * drift from the validated ones. Served at GET /openapi.json and rendered at /docs.
+ * test/openapi.test.js fails when a mounted route is missing from the document.
+ * @version 1.0.0
+ */
+
+import {
+  listUsersQuery,
+  searchUsersQuery,
+  importUsersQuery,
+  exportUsersQuery,
+  userFieldsQuery,
+  getUserQuery,
+  userIdParams,
+  createUserBody,
+  updateProfileBody,
+  updateUserBody,
+  patchUserBody,
+  changePasswordBody,
+  deleteAccountBody,
+} from "./schemas/users.js";
+import {
+  loginBody,
+  refreshBody,
+  emailBody,
+  verifyEmailBody,
+  sessionBody,
+  resetPasswordBody,
+  listSessionsQuery,
+  revokeSessionsQuery,
+  sessionIdParams,
+} from "./schemas/user-auth.js";
+import { createApiKeyBody, apiKeyIdParams } from "./schemas/api-keys.js";
+import { listAuditEventsQuery } from "./schemas/audit-events.js";
+import {
+  userSchema,
+  sessionSchema,
+  apiKeySchema,
+  auditEventSchema,
+  userSearchResultSchema,
+  importResultSchema,
+  tokenResponseSchema,
+  messageSchema,
+  problemSchema,
+  validationProblemSchema,
+} from "./schemas/responses.js";
+
+/**
+ * Security requirements used by the operations
+ * @private
+ * @type {Object<string, Array<Object>>}
+ */
+const SECURITY = {
+  none: [],
+  apiKey: [{ ApiKeyAuth: [] }],
+  bearer: [{ BearerAuth: [] }],
+  apiKeyAndBearer: [{ ApiKeyAuth: [], BearerAuth: [] }],
+};
+
+/**
+ * Status code of each shared error response
+ * @private
+ * @type {Object<string, number>}
+ */
+const ERROR_RESPONSES = {
+  BadRequest: 400,
+  Unauthorized: 401,
+  Forbidden: 403,
+  NotFound: 404,
+  Conflict: 409,
+  PreconditionFailed: 412,
+  UnsupportedMediaType: 415,
+  ValidationFailed: 422,
+  TooManyRequests: 429,
+};
+
+/**
+ * Reference a schema in components
+ * @private
+ * @param {string} name - Schema name
+ * @returns {Object} `$ref` object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Copy a validation schema without the keywords only the validator understands
+ * @private
+ * @param {*} schema - JSON Schema
+ * @returns {*} Schema without `errorMessage`
+ */
+function toSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toSchema);
+  }
+
+  if (schema === null || typeof schema !== "object") {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key !== "errorMessage") {
+      result[key] = toSchema(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Turn an object schema for route parameters or a query string into parameters
+ * @private
+ * @param {string} location - "path", "query" or "header"
+ * @param {Object} [schema] - Object schema as used by the validate middleware
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function parameters(location, schema) {
+  if (!schema) {
+    return [];
+  }
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = toSchema(property);
+    return {
+      name,
+      in: location,
+      required: location === "path" || required.includes(name),
+      ...(description && { description }),
+      schema: propertySchema,
+    };
+  });
+}
+
+/**
+ * Describe a JSON response
+ * @private
+ * @param {string} description - Response description
+ * @param {Object} schema - Response body schema
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} OpenAPI response object
+ */
+function jsonResponse(description, schema, headers) {
+  return {
+    description,
+    ...(headers && { headers }),
+    content: { "application/json": { schema } },
+  };
+}
+
+/**
+ * Describe an operation
+ * @private
+ * @param {Object} spec - Operation details
+ * @param {string} spec.tag - Tag the operation is grouped under
+ * @param {string} spec.summary - One-line summary
+ * @param {string} [spec.description] - Longer description
+ * @param {Array<Object>} spec.security - Entry from SECURITY
+ * @param {Object} [spec.params] - Route parameter schema
+ * @param {Object} [spec.query] - Query string schema
+ * @param {Object} [spec.headers] - Request header schema
+ * @param {Object} [spec.body] - Request body schema
+ * @param {Array<string>} [spec.bodyTypes=["application/json"]] - Accepted body media types
+ * @param {Object<string, Object>} spec.responses - Success responses by status
+ * @param {Array<string>} [spec.errors=[]] - Names from ERROR_RESPONSES
+ * @returns {Object} OpenAPI operation object
+ */
+function operation({
+  tag,
+  summary,
+  description,
+  security,
+  params,
+  query,
+  headers,
+  body,
+  bodyTypes = ["application/json"],
+  responses,
+  errors = [],
+}) {
+  const parameterList = [
+    ...parameters("path", params),
+    ...parameters("query", query),
+    ...parameters("header", headers),
+  ];
+  const allResponses = { ...responses };
+
+  for (const name of errors) {
+    allResponses[ERROR_RESPONSES[name]] = { $ref: `#/components/responses/${name}` };
+  }
+  allResponses.default = { $ref: "#/components/responses/InternalError" };
+
+  return {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    security,
+    ...(parameterList.length && { parameters: parameterList }),
+    ...(body && {
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(bodyTypes.map((type) => [type, { schema: toSchema(body) }])),
+      },
+    }),
+    responses: allResponses,
+  };
+}
+
+/**
+ * Response carrying a message and a user
+ * @private
+ * @type {Object}
+ */
+const messageWithUser = {
+  type: "object",
+  properties: { message: { type: "string" }, user: ref("User") },
+};
+
+/**
+ * ETag response header carrying the version of a user
+ * @private
+ * @type {Object}
+ */
+const etagHeader = {
+  ETag: { description: "Version of the user, for If-Match and If-None-Match", schema: { type: "string" } },
+};
+
+/**
+ * If-Match request header accepted by conditional writes
+ * @private
+ * @type {Object}
+ */
+const ifMatchHeaders = {
+  type: "object",
+  properties: {
+    "If-Match": {
+      type: "string",
+      description: "ETag of the version being changed, or *; answers 412 if the user has changed since",
+    },
+  },
+};
+
+/**
+ * Paths of the /users endpoints
+ * @private
+ * @type {Object}
+ */
+const userPaths = {
+  "/users": {
+    get: operation({
+      tag: "Users",
+      summary: "List users",
+      description:
+        "Filtered, sorted list with cursor pagination, or offset pagination when `page` is given. " +
+        "Requires the users:list permission; `include_deleted` also requires users:read_deleted.",
+      security: SECURITY.apiKeyAndBearer,
+      query: listUsersQuery,
+      responses: {
+        200: jsonResponse(
+          "A page of users",
+          {
+            type: "object",
+            properties: {
+              data: { type: "array", items: ref("User") },
+              pagination: {
+                type: "object",
+                properties: {
+                  total: { type: "integer" },
+                  limit: { type: "integer" },
+                  next_cursor: { type: ["string", "null"] },
+                  page: { type: "integer" },
+                  total_pages: { type: "integer" },
+                },
+              },
+            },
+          },
+          {
+            "X-Total-Count": { description: "Users matching the filters", schema: { type: "integer" } },
+            Link: { description: "first, prev, next and last page links", schema: { type: "string" } },
+          }
+        ),
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed"],
+    }),
+    post: operation({
+      tag: "Users",
+      summary: "Create a user",
+      description: "Creates a user and emails a link to verify the address.",
+      security: SECURITY.apiKey,
+      query: userFieldsQuery,
+      body: createUserBody,
+      responses: { 201: jsonResponse("User created", messageWithUser) },
+      errors: ["Unauthorized", "Forbidden", "Conflict", "ValidationFailed"],
+    }),
+  },
+  "/users/search": {
+    get: operation({
+      tag: "Users",
+      summary: "Search users",
+      description:
+        "Matches words of the first name, last name and email that start with every word of `q` (full-text " +
+        "search), or that are similar to it (trigram similarity, which tolerates typos). Best matches come first, " +
+        "with the matching parts highlighted. Requires the users:search permission; `include_deleted` also " +
+        "requires users:read_deleted.",
+      security: SECURITY.apiKeyAndBearer,
+      query: searchUsersQuery,
+      responses: {
+        200: jsonResponse(
+          "A page of results",
+          {
+            type: "object",
+            properties: {
+              data: { type: "array", items: ref("UserSearchResult") },
+              pagination: {
+                type: "object",
+                properties: {
+                  total: { type: "integer" },
+                  limit: { type: "integer" },
+                  page: { type: "integer" },
+                  total_pages: { type: "integer" },
+                },
+              },
+            },
+          },
+          {
+            "X-Total-Count": { description: "Users matching the query", schema: { type: "integer" } },
+          }
+        ),
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed"],
+    }),
+  },
+  "/users/import": {
+    post: operation({
+      tag: "Users",
+      summary: "Import users from CSV or NDJSON",
+      description:
+        "Rows have first_name, last_name and email, and optionally password and role; other columns are ignored. " +
+        "Rows are saved in batches, each in its own transaction, and invalid rows are reported by line without " +
+        "stopping the import. Requires the users:import permission.",
+      security: SECURITY.apiKeyAndBearer,
+      query: importUsersQuery,
+      body: { type: "string", description: "CSV with a header row, or one JSON object per line" },
+      bodyTypes: ["text/csv", "application/x-ndjson"],
+      responses: { 200: jsonResponse("Import result", ref("ImportResult")) },
+      errors: ["Unauthorized", "Forbidden", "UnsupportedMediaType", "ValidationFailed"],
+    }),
+  },
+  "/users/export": {
+    get: operation({
+      tag: "Users",
+      summary: "Export users as CSV or NDJSON",
+      description:
+        "Streams every user in ID order as a download. Requires the users:export permission; " +
+        "`include_deleted` also requires users:read_deleted.",
+      security: SECURITY.apiKeyAndBearer,
+      query: exportUsersQuery,
+      responses: {
+        200: {
+          description: "All users, one per line",
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/x-ndjson": { schema: { type: "string" } },
+          },
+        },
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed"],
+    }),
+  },
+  "/users/me": {
+    get: operation({
+      tag: "Users",
+      summary: "Get your own profile",
+      security: SECURITY.bearer,
+      query: userFieldsQuery,
+      responses: { 200: jsonResponse("Your profile", ref("User"), etagHeader) },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+    put: operation({
+      tag: "Users",
+      summary: "Update your own profile",
+      description: "Changing the email address marks it unverified and sends a new verification link.",
+      security: SECURITY.bearer,
+      body: updateProfileBody,
+      responses: { 200: jsonResponse("Profile updated", messageWithUser, etagHeader) },
+      errors: ["Unauthorized", "Conflict", "ValidationFailed"],
+    }),
+    delete: operation({
+      tag: "Users",
+      summary: "Delete your own account",
+      description: "Soft delete: an admin can restore the account until it is purged.",
+      security: SECURITY.bearer,
+      body: deleteAccountBody,
+      responses: { 200: jsonResponse("Account deleted", ref("Message")) },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/users/me/password": {
+    put: operation({
+      tag: "Users",
+      summary: "Change your password",
+      description: "Ends every session of the account; issued access tokens stay valid until they expire.",
+      security: SECURITY.bearer,
+      body: changePasswordBody,
+      responses: { 200: jsonResponse("Password changed", ref("Message")) },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/users/{id}": {
+    get: operation({
+      tag: "Users",
+      summary: "Get a user",
+      description:
+        "Your own account, or any account with the users:read permission. " +
+        "`include_deleted` also finds soft-deleted users and requires users:read_deleted.",
+      security: SECURITY.apiKeyAndBearer,
+      params: userIdParams,
+      query: getUserQuery,
+      responses: {
+        200: jsonResponse("The user", ref("User"), etagHeader),
+        304: { description: "If-None-Match matches the current ETag" },
+      },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "ValidationFailed"],
+    }),
+    put: operation({
+      tag: "Users",
+      summary: "Update a user",
+      description:
+        "Your own account, or any account with the users:update permission. Changing `role` requires users:manage_roles. " +
+        "Omitted fields are left unchanged.",
+      security: SECURITY.apiKeyAndBearer,
+      params: userIdParams,
+      query: userFieldsQuery,
+      headers: ifMatchHeaders,
+      body: updateUserBody,
+      responses: { 200: jsonResponse("User updated", messageWithUser, etagHeader) },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "Conflict", "PreconditionFailed", "ValidationFailed"],
+    }),
+    patch: operation({
+      tag: "Users",
+      summary: "Patch a user",
+      description:
+        "JSON Merge Patch (RFC 7396): present members replace stored values, absent ones are unchanged. " +
+        "Same permissions as PUT. Send the ETag from GET in If-Match to avoid overwriting concurrent changes.",
+      security: SECURITY.apiKeyAndBearer,
+      params: userIdParams,
+      query: userFieldsQuery,
+      headers: ifMatchHeaders,
+      body: patchUserBody,
+      bodyTypes: ["application/merge-patch+json", "application/json"],
+      responses: { 200: jsonResponse("User updated", messageWithUser, etagHeader) },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "Conflict", "PreconditionFailed", "ValidationFailed"],
+    }),
+    delete: operation({
+      tag: "Users",
+      summary: "Delete a user",
+      description:
+        "Soft delete: revokes the user's sessions and frees the email. The user can be restored " +
+        "until purged `USER_RETENTION_DAYS` later. Requires the users:delete permission.",
+      security: SECURITY.apiKeyAndBearer,
+      params: userIdParams,
+      responses: { 200: jsonResponse("User deleted", ref("Message")) },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "ValidationFailed"],
+    }),
+  },
+  "/users/{id}/unlock": {
+    post: operation({
+      tag: "Users",
+      summary: "Unlock an account locked after failed logins",
+      description: "Requires the users:unlock permission.",
+      security: SECURITY.apiKeyAndBearer,
+      params: userIdParams,
+      responses: { 200: jsonResponse("Account unlocked", ref("Message")) },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "ValidationFailed"],
+    }),
+  },
+  "/users/{id}/restore": {
+    post: operation({
+      tag: "Users",
+      summary: "Restore a deleted user",
+      description:
+        "Fails with 409 if the user is not deleted or another user has since taken the email. " +
+        "Requires the users:restore permission.",
+      security: SECURITY.apiKeyAndBearer,
+      params: userIdParams,
+      query: userFieldsQuery,
+      responses: { 200: jsonResponse("User restored", messageWithUser) },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "Conflict", "ValidationFailed"],
+    }),
+  },
+};
+
+/**
+ * Paths of the /user-auth endpoints
+ * @private
+ * @type {Object}
+ */
+const authPaths = {
+  "/user-auth": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Log in",
+      description:
+        "Rate limited per IP and per account. Too many consecutive failures lock the account for a while.",
+      security: SECURITY.apiKey,
+      body: loginBody,
+      responses: {
+        200: jsonResponse("Logged in", {
+          allOf: [
+            ref("TokenResponse"),
+            {
+              type: "object",
+              properties: {
+                user: {
+                  type: "object",
+                  properties: { id: { type: "integer" }, role: { type: "string" } },
+                },
+              },
+            },
+          ],
+        }),
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed", "TooManyRequests"],
+    }),
+  },
+  "/user-auth/refresh": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Exchange a refresh token for new tokens",
+      description: "Refresh tokens are single use. Presenting a used one revokes its whole session family.",
+      security: SECURITY.apiKey,
+      body: refreshBody,
+      responses: { 200: jsonResponse("New tokens", ref("TokenResponse")) },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/user-auth/forgot-password": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Request a password reset email",
+      description: "Always returns 202, so the response does not reveal whether the account exists.",
+      security: SECURITY.apiKey,
+      body: emailBody,
+      responses: { 202: jsonResponse("Accepted", ref("Message")) },
+      errors: ["Unauthorized", "ValidationFailed", "TooManyRequests"],
+    }),
+  },
+  "/user-auth/reset-password": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Reset a password with a token from the reset email",
+      description: "Signs out every session of the account.",
+      security: SECURITY.apiKey,
+      body: resetPasswordBody,
+      responses: { 200: jsonResponse("Password reset", ref("Message")) },
+      errors: ["BadRequest", "Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/user-auth/verify-email": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Verify an email address with a token from the verification email",
+      security: SECURITY.apiKey,
+      body: verifyEmailBody,
+      responses: { 200: jsonResponse("Email verified", messageWithUser) },
+      errors: ["BadRequest", "Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/user-auth/resend-verification": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Send a new verification email",
+      description: "Always returns 202, so the response does not reveal whether the account exists.",
+      security: SECURITY.apiKey,
+      body: emailBody,
+      responses: { 202: jsonResponse("Accepted", ref("Message")) },
+      errors: ["Unauthorized", "ValidationFailed", "TooManyRequests"],
+    }),
+  },
+  "/user-auth/verify-token": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Check an access token",
+      security: SECURITY.bearer,
+      responses: {
+        200: jsonResponse("The token is valid", {
+          type: "object",
+          properties: {
+            userId: { type: "integer" },
+            role: { type: "string" },
+            expiresAt: { type: "string", format: "date-time" },
+          },
+        }),
+      },
+      errors: ["Unauthorized"],
+    }),
+  },
+  "/user-auth/verify-session": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Check an encrypted session and extend it",
+      description: "Each successful check extends the session, so it only expires after a week without use.",
+      security: SECURITY.apiKey,
+      body: sessionBody,
+      responses: {
+        200: jsonResponse("The session is valid", {
+          type: "object",
+          properties: {
+            userId: { type: "integer" },
+            user: ref("User"),
+            expiresAt: { type: "string", format: "date-time" },
+            session: { type: "string" },
+            sessionExpires: { type: "string", format: "date-time" },
+          },
+        }),
+      },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/user-auth/logout": {
+    post: operation({
+      tag: "Authentication",
+      summary: "Log out",
+      description: "Deletes the session and the rest of its refresh token family.",
+      security: SECURITY.apiKey,
+      body: sessionBody,
+      responses: { 200: jsonResponse("Logged out", ref("Message")) },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/user-auth/sessions": {
+    get: operation({
+      tag: "Sessions",
+      summary: "List active sessions",
+      description: "Your own sessions, or another user's with the sessions:manage permission.",
+      security: SECURITY.bearer,
+      query: listSessionsQuery,
+      responses: {
+        200: jsonResponse("Active sessions", {
+          type: "object",
+          properties: { data: { type: "array", items: ref("Session") } },
+        }),
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed"],
+    }),
+    delete: operation({
+      tag: "Sessions",
+      summary: "Log out everywhere",
+      security: SECURITY.bearer,
+      query: revokeSessionsQuery,
+      responses: {
+        200: jsonResponse("Sessions revoked", {
+          type: "object",
+          properties: { message: { type: "string" }, revoked: { type: "integer" } },
+        }),
+      },
+      errors: ["Unauthorized", "ValidationFailed"],
+    }),
+  },
+  "/user-auth/sessions/{id}": {
+    delete: operation({
+      tag: "Sessions",
+      summary: "Revoke a session",
+      description: "Your own session, or any session with the sessions:manage permission.",
+      security: SECURITY.bearer,
+      params: sessionIdParams,
+      responses: { 204: { description: "Session revoked" } },
+      errors: ["Unauthorized", "NotFound", "ValidationFailed"],
+    }),
+  },
+};
+
+/**
+ * Paths of the /api-keys endpoints
+ * @private
+ * @type {Object}
+ */
+const apiKeyPaths = {
+  "/api-keys": {
+    post: operation({
+      tag: "API Keys",
+      summary: "Create an API key",
+      description: "The key is only returned in this response. Requires the api_keys:manage permission.",
+      security: SECURITY.apiKeyAndBearer,
+      body: createApiKeyBody,
+      responses: {
+        201: jsonResponse("API key created", {
+          type: "object",
+          properties: {
+            message: { type: "string" },
+            key: { type: "string" },
+            apiKey: ref("ApiKey"),
+          },
+        }),
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed"],
+    }),
+    get: operation({
+      tag: "API Keys",
+      summary: "List API keys",
+      description: "Includes revoked and expired keys. Requires the api_keys:manage permission.",
+      security: SECURITY.apiKeyAndBearer,
+      responses: {
+        200: jsonResponse("API keys", { type: "array", items: ref("ApiKey") }),
+      },
+      errors: ["Unauthorized", "Forbidden"],
+    }),
+  },
+  "/api-keys/{id}": {
+    delete: operation({
+      tag: "API Keys",
+      summary: "Revoke an API key",
+      description: "Requires the api_keys:manage permission.",
+      security: SECURITY.apiKeyAndBearer,
+      params: apiKeyIdParams,
+      responses: {
+        200: jsonResponse("API key revoked", {
+          type: "object",
+          properties: { message: { type: "string" }, apiKey: ref("ApiKey") },
+        }),
+      },
+      errors: ["Unauthorized", "Forbidden", "NotFound", "ValidationFailed"],
+    }),
+  },
+};
+
+/**
+ * Paths of the /audit-events endpoints
+ * @private
+ * @type {Object}
+ */
+const auditEventPaths = {
+  "/audit-events": {
+    get: operation({
+      tag: "Audit Log",
+      summary: "List audit events",
+      description:
+        "Account and authentication events, newest first, with cursor pagination. " +
+        "Requires the audit:read permission and an API key with the audit scope.",
+      security: SECURITY.apiKeyAndBearer,
+      query: listAuditEventsQuery,
+      responses: {
+        200: jsonResponse("A page of audit events", {
+          type: "object",
+          properties: {
+            data: { type: "array", items: ref("AuditEvent") },
+            pagination: {
+              type: "object",
+              properties: {
+                limit: { type: "integer" },
+                next_cursor: { type: ["string", "null"] },
+              },
+            },
+          },
+        }),
+      },
+      errors: ["Unauthorized", "Forbidden", "ValidationFailed"],
+    }),
+  },
+};
+
+/**
+ * Paths of the service endpoints: root, health checks, metrics and docs
+ * @private
+ * @type {Object}
+ */
+const servicePaths = {
+  "/": {
+    get: operation({
+      tag: "Service",
+      summary: "Welcome message",
+      security: SECURITY.none,
+      responses: {
+        200: { description: "Hello World!", content: { "text/html": { schema: { type: "string" } } } },
+      },
+    }),
+  },
+  "/healthz": {
+    get: operation({
+      tag: "Service",
+      summary: "Liveness probe",
+      security: SECURITY.none,
+      responses: {
+        200: jsonResponse("The process is running", {
+          type: "object",
+          properties: { status: { const: "ok" }, uptime_seconds: { type: "integer" } },
+        }),
+      },
+    }),
+  },
+  "/readyz": {
+    get: operation({
+      tag: "Service",
+      summary: "Readiness probe",
+      description: "Ready when the database answers and every migration is applied.",
+      security: SECURITY.none,
+      responses: {
+        200: jsonResponse("Ready for traffic", ref("Readiness")),
+        503: jsonResponse("Not ready, or shutting down", ref("Readiness")),
+      },
+    }),
+  },
+  "/metrics": {
+    get: operation({
+      tag: "Service",
+      summary: "Prometheus metrics",
+      description: "Requires the metrics token when METRICS_TOKEN is set.",
+      security: [{ MetricsToken: [] }, {}],
+      responses: {
+        200: {
+          description: "Metrics in the Prometheus text exposition format",
+          content: { "text/plain": { schema: { type: "string" } } },
+        },
+      },
+      errors: ["Unauthorized"],
+    }),
+  },
+  "/openapi.json": {
+    get: operation({
+      tag: "Service",
+      summary: "This OpenAPI document",
+      security: SECURITY.none,
+      responses: { 200: jsonResponse("OpenAPI 3.1 document", { type: "object" }) },
+    }),
+  },
+  "/docs": {
+    get: operation({
+      tag: "Service",
+      summary: "Interactive API documentation",
+      security: SECURITY.none,
+      responses: {
+        200: { description: "Swagger UI", content: { "text/html": { schema: { type: "string" } } } },
+      },
+    }),
+  },
+};
+
+/**
+ * Build a problem details response for components
+ * @private
+ * @param {string} description - Response description
+ * @param {string} [schema="Problem"] - Schema name
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} OpenAPI response object
+ */
+function problemResponse(description, schema = "Problem", headers) {
+  return {
+    description,
+    ...(headers && { headers }),
+    content: { "application/problem+json": { schema: ref(schema) } },
+  };
+}
+
+/**
+ * Build the OpenAPI document
+ * @function
+ * @returns {Object} OpenAPI 3.1 document
+ * @example
+ * const document = buildOpenApiDocument();
+ * Object.keys(document.paths);
+ * // Returns: ["/", "/healthz", ..., "/users", "/users/me", ...]
+ */
+export function buildOpenApiDocument() {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Node.js Authentication & User Management API",
+      version: "1.0.0",
+      description:
+        "User management and authentication API. Errors are returned as RFC 9457 " +
+        "problem details; branch on their `code`.",
+    },
+    servers: [{ url: "/" }],
+    tags: [
+      { name: "Authentication", description: "Login, tokens, password reset and email verification" },
+      { name: "Sessions", description: "Devices signed in to an account" },
+      { name: "Users", description: "User accounts" },
+      { name: "API Keys", description: "Keys for API clients (admins only)" },
+      { name: "Audit Log", description: "Account and authentication events (admins only)" },
+      { name: "Service", description: "Health checks, metrics and documentation" },
+    ],
+    paths: {
+      ...servicePaths,
+      ...authPaths,
+      ...userPaths,
+      ...apiKeyPaths,
+      ...auditEventPaths,
+    },
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "API key of the calling client; each key grants scopes (users, auth, api_keys, audit)",
+        },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Access token from POST /user-auth or POST /user-auth/refresh",
+        },
+        MetricsToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "Value of METRICS_TOKEN",
+        },
+      },
+      schemas: {
+        User: userSchema,
+        Session: sessionSchema,
+        ApiKey: apiKeySchema,
+        AuditEvent: auditEventSchema,
+        UserSearchResult: userSearchResultSchema,
+        ImportResult: importResultSchema,
+        TokenResponse: tokenResponseSchema,
+        Message: messageSchema,
+        Problem: problemSchema,
+        ValidationProblem: validationProblemSchema,
+        Readiness: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["ready", "not_ready", "shutting_down"] },
+            checks: { type: "object" },
+          },
+        },
+      },
+      responses: {
+        BadRequest: problemResponse("The request is malformed or a required value is missing"),
+        Unauthorized: problemResponse("Authentication is missing or invalid"),
+        Forbidden: problemResponse("The caller is not allowed to do this"),
+        NotFound: problemResponse("The resource does not exist"),
+        Conflict: problemResponse("The request conflicts with existing data"),
+        PreconditionFailed: problemResponse("If-Match does not match the current version"),
+        UnsupportedMediaType: problemResponse("The request body is not in an accepted format"),
+        ValidationFailed: problemResponse("One or more values are invalid", "ValidationProblem"),
+        TooManyRequests: problemResponse("Rate limited", "Problem", {
+          "Retry-After": { description: "Seconds to wait", schema: { type: "integer" } },
+        }),
+        InternalError: problemResponse("Unexpected error"),
+      },
+    },
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview API key management routes for the Express.js API
+ * @description Handles creating, listing and revoking API keys
+ * @module routes/api-keys
+ * @requires express
+ * @requires ../models/ApiKeyModel
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { ApiKeyModel } from "../models/ApiKeyModel.js";
+import { generateApiKey, hashToken } from "../utils.js";
+import {
+  validateApiKey,
+  requireApiScope,
+  authenticateJwt,
+  authorize,
+} from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { createApiKeyBody, apiKeyIdParams } from "../schemas/api-keys.js";
+
+/**
+ * Express router instance for API key routes
+ * @type {express.Router}
+ * @description Router instance that handles all /api-keys endpoints
+ */
+const router = express.Router();
+
+/**
+ * Authentication for every /api-keys endpoint
+ * @type {Array<Function>}
+ * @description Requires an API key with the "api_keys" scope and an admin access token
+ */
+const requireKeyManager = [
+  validateApiKey,
+  requireApiScope("api_keys"),
+  authenticateJwt,
+  authorize("api_keys:manage"),
+];
+
+/**
+ * Create a new API key
+ * @route POST /api-keys
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.body - API key data from request body
+ * @param {string} req.body.name - Name of the frontend or integration using the key (required)
+ * @param {Array<string>} req.body.scopes - Granted scopes: users, auth, api_keys or * (required)
+ * @param {string} [req.body.expires_at] - ISO 8601 expiration date; the key never expires when omitted
+ * @param {express.Response} res - Express response object
+ * @description Creates an API key. The full key is only returned in this response;
+ * the API stores a hash and cannot show it again.
+ * @returns {Promise<express.Response>} JSON response with the key and its metadata
+ * @throws {401} Unauthorized if the API key or access token is missing or invalid
+ * @throws {403} Forbidden if the caller may not manage API keys
+ * @throws {422} Unprocessable entity if the name, scopes or expiration date is invalid
+ * @throws {500} Internal server error if key creation fails
+ * @example
+ * // POST /api-keys
+ * // Request body:
+ * {
+ *   "name": "Marketing site",
+ *   "scopes": ["users", "auth"],
+ *   "expires_at": "2026-01-01T00:00:00.000Z"
+ * }
+ * // Response: 201 Created
+ * {
+ *   "message": "API key created. Store it now, it will not be shown again.",
+ *   "key": "3f9a0c1b2d4e.Xq3v0dS8...",
+ *   "apiKey": {
+ *     "id": 2,
+ *     "name": "Marketing site",
+ *     "key_prefix": "3f9a0c1b2d4e",
+ *     "scopes": ["users", "auth"],
+ *     "expires_at": "2026-01-01T00:00:00.000Z",
+ *     "last_used_at": null,
+ *     "revoked_at": null,
+ *     "created_by": 1,
+ *     "created_at": "2025-01-15T10:30:00.000Z",
+ *     "updated_at": "2025-01-15T10:30:00.000Z"
+ *   }
+ * }
+ */
+router.post("/", requireKeyManager, validate({ body: createApiKeyBody }), async (req, res) => {
+  const { name, scopes, expires_at } = req.validated.body;
+
+  const expiresAt = expires_at ? new Date(expires_at) : null;
+  if (expiresAt && expiresAt <= new Date()) {
+    throw new ValidationError([
+      { location: "body", field: "expires_at", message: "must be in the future" },
+    ]);
+  }
+
+  const { key, prefix } = generateApiKey();
+
+  const apiKey = await ApiKeyModel.create({
+    name: name.trim(),
+    keyPrefix: prefix,
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    message: "API key created. Store it now, it will not be shown again.",
+    key,
+    apiKey,
+  });
+});
+
+/**
+ * List all API keys
+ * @route GET /api-keys
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @description Lists every API key, including revoked and expired ones, without
+ * the keys themselves
+ * @returns {Promise<express.Response>} JSON response containing array of API key objects
+ * @throws {401} Unauthorized if the API key or access token is missing or invalid
+ * @throws {403} Forbidden if the caller may not manage API keys
+ * @throws {500} Internal server error if fetching API keys fails
+ * @example
+ * // GET /api-keys
+ * // Response: 200 OK
+ * [
+ *   {
+ *     "id": 2,
+ *     "name": "Marketing site",
+ *     "key_prefix": "3f9a0c1b2d4e",
+ *     "scopes": ["users", "auth"],
+ *     "last_used_at": "2025-01-15T11:00:00.000Z",
+ *     ...
+ *   }
+ * ]
+ */
+router.get("/", requireKeyManager, async (req, res) => {
+  const apiKeys = await ApiKeyModel.findAll();
+  res.status(200).json(apiKeys);
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api-keys/:id
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - API key ID (integer)
+ * @param {express.Response} res - Express response object
+ * @description Revokes an API key immediately. The key's record is kept for auditing.
+ * @returns {Promise<express.Response>} JSON response with the revoked key's metadata
+ * @throws {401} Unauthorized if the API key or access token is missing or invalid
+ * @throws {403} Forbidden if the caller may not manage API keys
+ * @throws {404} Not found if the key doesn't exist or is already revoked
+ * @throws {422} Unprocessable entity if the API key ID is invalid
+ * @throws {500} Internal server error if revocation fails
+ * @example
+ * // DELETE /api-keys/2
+ * // Response: 200 OK
+ * {
+ *   "message": "API key 2 revoked",
+ *   "apiKey": { "id": 2, "revoked_at": "2025-01-16T09:00:00.000Z", ... }
+ * }
+ */
+router.delete("/:id", requireKeyManager, validate({ params: apiKeyIdParams }), async (req, res) => {
+  const { id: apiKeyId } = req.validated.params;
+
+  const apiKey = await ApiKeyModel.revoke(apiKeyId);
+
+  if (!apiKey) {
+    throw new NotFoundError("API key not found or already revoked", { code: "api_key_not_found" });
+  }
+
+  res.status(200).json({
+    message: `API key ${apiKeyId} revoked`,
+    apiKey,
+  });
+});
+
+/**
+ * Express router with all API key routes
+ * @type {express.Router}
+ * @description Exported router instance containing all API key management endpoints
+ */
+export default router;
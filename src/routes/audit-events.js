@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Audit log routes for the Express.js API
+ * @description Lets admins read the audit log of account and authentication events
+ * @module routes/audit-events
+ * @requires express
+ * @requires ../models/AuditEventModel
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { AuditEventModel } from "../models/AuditEventModel.js";
+import {
+  validateApiKey,
+  requireApiScope,
+  authenticateJwt,
+  authorize,
+} from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { ValidationError } from "../errors.js";
+import { encodeCursor, decodeCursor } from "../utils.js";
+import { listAuditEventsQuery } from "../schemas/audit-events.js";
+
+/**
+ * Express router instance for audit log routes
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Middleware required to read the audit log
+ * @type {Array<Function>}
+ * @description Requires an API key with the "audit" scope and a user holding the
+ * audit:read permission
+ */
+const requireAuditReader = [
+  validateApiKey,
+  requireApiScope("audit"),
+  authenticateJwt,
+  authorize("audit:read"),
+];
+
+/**
+ * List audit events
+ * @route GET /audit-events
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.actor_id] - Only events performed by this user
+ * @param {number} [req.query.target_id] - Only events performed on this user
+ * @param {string} [req.query.action] - Only events with this action, e.g. "user.updated"
+ * @param {string} [req.query.occurred_after] - Only events at or after this time (ISO 8601)
+ * @param {string} [req.query.occurred_before] - Only events before this time (ISO 8601)
+ * @param {number} [req.query.limit=50] - Events per page (max 200)
+ * @param {string} [req.query.cursor] - `next_cursor` from the previous page
+ * @param {express.Response} res - Express response object
+ * @description Returns events newest first. Requires the audit:read permission and an
+ * API key with the "audit" scope. The log is append-only: there are no endpoints to
+ * change or delete events, and the database rejects updates and deletes.
+ * @returns {Promise<express.Response>} A page of events and the cursor of the next page
+ * @throws {401} Unauthorized if the API key or access token is missing or invalid
+ * @throws {403} Forbidden if the key lacks the "audit" scope or the user the permission
+ * @throws {422} Unprocessable Entity if a filter or the cursor is invalid
+ * @example
+ * // GET /audit-events?target_id=7&action=user.updated
+ * // Headers: { "X-API-Key": "your-api-key", "Authorization": "Bearer <admin-token>" }
+ * // Response: 200 OK
+ * {
+ *   "data": [
+ *     {
+ *       "id": 12,
+ *       "occurred_at": "2025-07-23T10:30:00.000Z",
+ *       "action": "user.updated",
+ *       "actor_user_id": 1,
+ *       "api_key_id": 3,
+ *       "api_client_name": "Admin console",
+ *       "target_user_id": 7,
+ *       "changes": { "role": { "from": "member", "to": "support" } },
+ *       "metadata": null,
+ *       "ip_address": "203.0.113.7",
+ *       "user_agent": "Mozilla/5.0 ...",
+ *       "request_id": "1b4e28ba-2fa1-11d2-883f-0016d3cca427"
+ *     }
+ *   ],
+ *   "pagination": { "limit": 50, "next_cursor": null }
+ * }
+ */
+router.get("/", requireAuditReader, validate({ query: listAuditEventsQuery }), async (req, res) => {
+  const { actor_id, target_id, action, occurred_after, occurred_before, limit, cursor } =
+    req.validated.query;
+
+  let beforeId;
+  if (cursor !== undefined) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new ValidationError([
+        { location: "query", field: "cursor", message: "is not a valid cursor" },
+      ]);
+    }
+    beforeId = position.id;
+  }
+
+  // Fetch one extra row to learn whether another page exists
+  const rows = await AuditEventModel.findAll({
+    filters: {
+      actor_user_id: actor_id,
+      target_user_id: target_id,
+      action,
+      occurred_after: occurred_after && new Date(occurred_after),
+      occurred_before: occurred_before && new Date(occurred_before),
+    },
+    limit: limit + 1,
+    beforeId,
+  });
+
+  const hasMore = rows.length > limit;
+  const events = hasMore ? rows.slice(0, limit) : rows;
+
+  res.status(200).json({
+    data: events,
+    pagination: {
+      limit,
+      next_cursor: hasMore ? encodeCursor({ id: events[events.length - 1].id }) : null,
+    },
+  });
+});
+
+export default router;
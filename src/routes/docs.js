@@ -0,0 +1,86 @@
+/**
+ * @fileoverview API documentation routes for the Express.js API
+ * @description Serves the OpenAPI document and a Swagger UI page that renders it.
+ * Swagger UI's assets come from the swagger-ui-dist package, so the docs work
+ * without access to a CDN.
+ * @module routes/docs
+ * @requires express
+ * @requires swagger-ui-dist
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { getAbsoluteFSPath } from "swagger-ui-dist";
+import { buildOpenApiDocument } from "../openapi.js";
+
+/**
+ * Express router instance for documentation routes
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * The OpenAPI document, built once at startup
+ * @type {Object}
+ */
+const openApiDocument = buildOpenApiDocument();
+
+/**
+ * Swagger UI page
+ * @type {string}
+ */
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${openApiDocument.info.title}</title>
+    <link rel="stylesheet" href="/docs/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: "/openapi.json", dom_id: "#swagger-ui", deepLinking: true });
+    </script>
+  </body>
+</html>
+`;
+
+/**
+ * OpenAPI document
+ * @route GET /openapi.json
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @description Returns the OpenAPI 3.1 description of every endpoint, for client
+ * generators and API tools
+ * @returns {express.Response} JSON OpenAPI document
+ * @example
+ * // GET /openapi.json
+ * // Response: 200 OK
+ * { "openapi": "3.1.0", "info": { ... }, "paths": { ... }, "components": { ... } }
+ */
+router.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * Interactive API documentation
+ * @route GET /docs
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @description Swagger UI for /openapi.json. Requests can be sent from the page after
+ * entering an API key and access token under "Authorize".
+ * @returns {express.Response} HTML page
+ */
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+/**
+ * Swagger UI assets (scripts and styles)
+ */
+router.use("/docs", express.static(getAbsoluteFSPath(), { index: false }));
+
+export default router;
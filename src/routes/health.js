@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Health check routes for the Express.js API
+ * @description Liveness and readiness endpoints for Docker and orchestrator probes.
+ * They need no API key and are mounted at the root (/healthz, /readyz).
+ * @module routes/health
+ * @requires express
+ * @version 1.0.0
+ */
+
+import express from "express";
+import db from "../db/init.js";
+import logger from "../logger.js";
+import { isShuttingDown } from "../shutdown.js";
+
+/**
+ * Express router instance for health check routes
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Maximum time a readiness check may take before it counts as failed
+ * @type {number}
+ * @default 2000
+ */
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+/**
+ * Reject if a promise does not settle in time
+ * @private
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @returns {Promise} The promise's result, or a rejection after `ms`
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check that the database answers queries
+ * @private
+ * @async
+ * @returns {Promise<Object>} `{ status: "ok" }` or `{ status: "error", message }`
+ */
+async function checkDatabase() {
+  try {
+    await withTimeout(db.raw("select 1"), READINESS_TIMEOUT_MS);
+    return { status: "ok" };
+  } catch (error) {
+    logger.warn("Readiness check: database unavailable", error);
+    return { status: "error", message: "Database is unreachable" };
+  }
+}
+
+/**
+ * Check that every migration has been applied
+ * @private
+ * @async
+ * @returns {Promise<Object>} `{ status: "ok", pending: 0 }`, or `{ status: "error", ... }`
+ * with the number of pending migrations
+ */
+async function checkMigrations() {
+  try {
+    const [, pending] = await withTimeout(db.migrate.list(), READINESS_TIMEOUT_MS);
+
+    return pending.length === 0
+      ? { status: "ok", pending: 0 }
+      : { status: "error", pending: pending.length, message: "Migrations are pending" };
+  } catch (error) {
+    logger.warn("Readiness check: migration status unavailable", error);
+    return { status: "error", message: "Migration status could not be read" };
+  }
+}
+
+/**
+ * Liveness probe
+ * @route GET /healthz
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @description Reports that the process is running and serving requests. It does not
+ * check dependencies, so a database outage does not get the container restarted.
+ * @returns {express.Response} JSON response with status and uptime
+ * @example
+ * // GET /healthz
+ * // Response: 200 OK
+ * { "status": "ok", "uptime_seconds": 3605 }
+ */
+router.get("/healthz", (req, res) => {
+  res
+    .set("Cache-Control", "no-store")
+    .json({ status: "ok", uptime_seconds: Math.round(process.uptime()) });
+});
+
+/**
+ * Readiness probe
+ * @route GET /readyz
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @description Reports whether this instance should receive traffic: the database
+ * must answer and every migration must be applied. Returns 503 while either check
+ * fails and once shutdown has started.
+ * @returns {Promise<express.Response>} JSON response with the overall status and each check
+ * @example
+ * // GET /readyz
+ * // Response: 200 OK
+ * {
+ *   "status": "ready",
+ *   "checks": {
+ *     "database": { "status": "ok" },
+ *     "migrations": { "status": "ok", "pending": 0 }
+ *   }
+ * }
+ *
+ * // Response while the database is down: 503 Service Unavailable
+ * {
+ *   "status": "not_ready",
+ *   "checks": {
+ *     "database": { "status": "error", "message": "Database is unreachable" },
+ *     "migrations": { "status": "error", "message": "Migration status could not be read" }
+ *   }
+ * }
+ */
+router.get("/readyz", async (req, res) => {
+  if (isShuttingDown()) {
+    return res.status(503).json({ status: "shutting_down" });
+  }
+
+  const [database, migrations] = await Promise.all([checkDatabase(), checkMigrations()]);
+  const ready = database.status === "ok" && migrations.status === "ok";
+
+  res
+    .status(ready ? 200 : 503)
+    .set("Cache-Control", "no-store")
+    .json({ status: ready ? "ready" : "not_ready", checks: { database, migrations } });
+});
+
+export default router;
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Route table
+ * @description Every router and the path it is mounted at. The app mounts routers
+ * from here, and test/openapi.test.js checks the same list against the OpenAPI
+ * document, so a route cannot be added without being documented.
+ * @module routes/index
+ * @version 1.0.0
+ */
+
+import userRoutes from "./users.js";
+import userAuth from "./user-auth.js";
+import apiKeyRoutes from "./api-keys.js";
+import auditEventRoutes from "./audit-events.js";
+import healthRoutes from "./health.js";
+import metricsRoutes from "./metrics.js";
+import docsRoutes from "./docs.js";
+
+/**
+ * A router and its mount path
+ * @typedef {Object} RouteMount
+ * @property {string} path - Path the router is mounted at
+ * @property {express.Router} router - Router
+ */
+
+/**
+ * Health check, metrics and documentation routes
+ * @type {Array<RouteMount>}
+ * @description Mounted before CORS and body parsing; they need no API key
+ */
+export const serviceRoutes = [
+  { path: "/", router: healthRoutes },
+  { path: "/", router: metricsRoutes },
+  { path: "/", router: docsRoutes },
+];
+
+/**
+ * API routes
+ * @type {Array<RouteMount>}
+ * @see {@link ./users.js}, {@link ./user-auth.js}, {@link ./api-keys.js} and
+ * {@link ./audit-events.js}
+ */
+export const apiRoutes = [
+  { path: "/users", router: userRoutes },
+  { path: "/user-auth", router: userAuth },
+  { path: "/api-keys", router: apiKeyRoutes },
+  { path: "/audit-events", router: auditEventRoutes },
+];
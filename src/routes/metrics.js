@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Prometheus metrics route for the Express.js API
+ * @description Serves GET /metrics in the Prometheus text exposition format. Besides
+ * the HTTP and login metrics recorded as requests are handled, each scrape reads the
+ * number of active sessions, the state of the Knex and pg connection pools, the
+ * purge job counters and process memory.
+ * @module routes/metrics
+ * @requires express
+ * @version 1.0.0
+ */
+
+import express from "express";
+import db from "../db/init.js";
+import pool from "../config/database.js";
+import { SessionModel } from "../models/SessionModel.js";
+import { getPurgeMetrics } from "../jobs/purge-expired.js";
+import { registry, Counter, Gauge, METRICS_CONTENT_TYPE } from "../metrics.js";
+import { UnauthorizedError } from "../errors.js";
+import { safeEqual } from "../utils.js";
+
+/**
+ * Express router instance for the metrics route
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Bearer token required to scrape /metrics; when unset the endpoint is open and
+ * should only be reachable from the internal network
+ * @type {string|undefined}
+ */
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+/**
+ * Active sessions (not expired and not rotated)
+ * @type {Gauge}
+ */
+const sessionsActive = registry.register(
+  new Gauge("sessions_active", "Active sessions (not expired and not rotated)")
+);
+
+/**
+ * Users with at least one active session
+ * @type {Gauge}
+ */
+const sessionsActiveUsers = registry.register(
+  new Gauge("sessions_active_users", "Users with at least one active session")
+);
+
+/**
+ * Connections in each database pool, by state
+ * @type {Gauge}
+ */
+const dbPoolConnections = registry.register(
+  new Gauge("db_pool_connections", "Database pool connections by pool (knex, pg) and state (used, idle)")
+);
+
+/**
+ * Maximum size of each database pool
+ * @type {Gauge}
+ */
+const dbPoolMaxConnections = registry.register(
+  new Gauge("db_pool_max_connections", "Maximum connections per database pool")
+);
+
+/**
+ * Requests waiting for a connection from each database pool
+ * @type {Gauge}
+ */
+const dbPoolPendingAcquires = registry.register(
+  new Gauge("db_pool_pending_acquires", "Requests waiting for a database pool connection")
+);
+
+/**
+ * Purge runs started by this process
+ * @type {Counter}
+ */
+const purgeRunsTotal = registry.register(
+  new Counter("purge_runs_total", "Purges of expired sessions and tokens run by this process")
+);
+
+/**
+ * Purge runs that failed
+ * @type {Counter}
+ */
+const purgeFailuresTotal = registry.register(
+  new Counter("purge_failures_total", "Purges of expired sessions and tokens that failed")
+);
+
+/**
+ * Expired rows removed by purges, by table
+ * @type {Counter}
+ */
+const purgeRowsRemovedTotal = registry.register(
+  new Counter("purge_rows_removed_total", "Expired rows removed by purges, by table")
+);
+
+/**
+ * Process uptime
+ * @type {Gauge}
+ */
+const processUptime = registry.register(
+  new Gauge("process_uptime_seconds", "Time since the process started, in seconds")
+);
+
+/**
+ * Process memory, by type
+ * @type {Gauge}
+ */
+const processMemory = registry.register(
+  new Gauge("process_memory_bytes", "Process memory by type (rss, heap_total, heap_used, external)")
+);
+
+registry.addCollector(async () => {
+  // Drop the last values first so a failed query leaves no stale numbers behind
+  sessionsActive.reset();
+  sessionsActiveUsers.reset();
+
+  const { sessions, users } = await SessionModel.countActive();
+  sessionsActive.set({}, sessions);
+  sessionsActiveUsers.set({}, users);
+});
+
+registry.addCollector(() => {
+  dbPoolConnections.reset();
+  dbPoolMaxConnections.reset();
+  dbPoolPendingAcquires.reset();
+
+  // Knex uses a tarn pool, which does not exist once the connection is destroyed
+  const knexPool = db.client.pool;
+  if (knexPool) {
+    dbPoolConnections.set({ pool: "knex", state: "used" }, knexPool.numUsed());
+    dbPoolConnections.set({ pool: "knex", state: "idle" }, knexPool.numFree());
+    dbPoolMaxConnections.set({ pool: "knex" }, knexPool.max);
+    dbPoolPendingAcquires.set({ pool: "knex" }, knexPool.numPendingAcquires());
+  }
+
+  dbPoolConnections.set({ pool: "pg", state: "used" }, pool.totalCount - pool.idleCount);
+  dbPoolConnections.set({ pool: "pg", state: "idle" }, pool.idleCount);
+  dbPoolMaxConnections.set({ pool: "pg" }, pool.options.max);
+  dbPoolPendingAcquires.set({ pool: "pg" }, pool.waitingCount);
+});
+
+registry.addCollector(() => {
+  const { runs, failures, totalRemoved } = getPurgeMetrics();
+
+  purgeRunsTotal.set({}, runs);
+  purgeFailuresTotal.set({}, failures);
+  for (const [table, removed] of Object.entries(totalRemoved)) {
+    purgeRowsRemovedTotal.set({ table }, removed);
+  }
+});
+
+registry.addCollector(() => {
+  const { rss, heapTotal, heapUsed, external } = process.memoryUsage();
+
+  processUptime.set({}, Math.round(process.uptime()));
+  processMemory.set({ type: "rss" }, rss);
+  processMemory.set({ type: "heap_total" }, heapTotal);
+  processMemory.set({ type: "heap_used" }, heapUsed);
+  processMemory.set({ type: "external" }, external);
+});
+
+/**
+ * Require the metrics bearer token, if one is configured
+ * @private
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {Function} next - Express next function
+ * @throws {UnauthorizedError} If METRICS_TOKEN is set and the request does not carry it
+ */
+function requireMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) {
+    return next();
+  }
+
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token || !safeEqual(token, METRICS_TOKEN)) {
+    throw new UnauthorizedError("A valid metrics token is required", {
+      code: "metrics_token_invalid",
+    });
+  }
+
+  next();
+}
+
+/**
+ * Prometheus metrics
+ * @route GET /metrics
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @description Returns every metric in the Prometheus text exposition format. When
+ * METRICS_TOKEN is set, the scraper must send it as `Authorization: Bearer <token>`.
+ * @returns {Promise<express.Response>} Metrics as text/plain
+ * @throws {401} Unauthorized if METRICS_TOKEN is set and the token is missing or wrong
+ * @example
+ * // GET /metrics
+ * // Response: 200 OK
+ * # HELP http_requests_total HTTP requests handled, by method, route and status
+ * # TYPE http_requests_total counter
+ * http_requests_total{method="GET",route="/users/:id",status="200"} 1027
+ * ...
+ */
+router.get("/metrics", requireMetricsToken, async (req, res) => {
+  res
+    .set("Content-Type", METRICS_CONTENT_TYPE)
+    .set("Cache-Control", "no-store")
+    .send(await registry.render());
+});
+
+export default router;
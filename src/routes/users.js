@@ -8,9 +8,59 @@
  */
 
 import express from "express";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import { UserModel } from "../models/UserModel.js";
-import { hashPassword } from "../utils.js";
-import { validateApiKey } from "../middleware/auth.js";
+import { SessionModel } from "../models/SessionModel.js";
+import {
+  hashPassword,
+  verifyPassword,
+  encodeCursor,
+  decodeCursor,
+} from "../utils.js";
+import {
+  validateApiKey,
+  requireApiScope,
+  authenticateJwt,
+  authorize,
+  authorizeSelfOr,
+} from "../middleware/auth.js";
+import { hasPermission } from "../config/permissions.js";
+import { clearLoginAttempts } from "../middleware/login-protection.js";
+import { issueEmailVerification } from "../account-emails.js";
+import { AUDIT_ACTIONS, recordAuditEvent, diffChanges } from "../audit.js";
+import { parseFields, serializeUser, PUBLIC_USER_FIELDS } from "../serializers/user.js";
+import { importUsers } from "../user-import.js";
+import { searchTerms, highlightUser, MIN_SIMILARITY } from "../user-search.js";
+import { parseCsv, formatCsvRow } from "../formats/csv.js";
+import { parseNdjson, formatNdjsonLine } from "../formats/ndjson.js";
+import { setEtag, checkIfMatch } from "../etags.js";
+import { validate } from "../middleware/validate.js";
+import {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+} from "../errors.js";
+import {
+  userIdParams,
+  userFieldsQuery,
+  getUserQuery,
+  listUsersQuery,
+  searchUsersQuery,
+  importUsersQuery,
+  exportUsersQuery,
+  createUserBody,
+  updateProfileBody,
+  updateUserBody,
+  patchUserBody,
+  changePasswordBody,
+  deleteAccountBody,
+} from "../schemas/users.js";
+import logger from "../logger.js";
 
 /**
  * Express router instance for user routes
@@ -20,37 +70,356 @@ import { validateApiKey } from "../middleware/auth.js";
 const router = express.Router();
 
 /**
- * Get all users from the database
+ * API key middleware for /users endpoints
+ * @type {Array<Function>}
+ * @description Validates the X-API-Key header and requires the "users" scope
+ */
+const requireUsersApiKey = [validateApiKey, requireApiScope("users")];
+
+/**
+ * Parsers for the body of POST /users/import, by content type
+ * @type {Object<string, function(AsyncIterable<string>): AsyncGenerator>}
+ */
+const IMPORT_PARSERS = {
+  "text/csv": parseCsv,
+  "application/x-ndjson": parseNdjson,
+  "application/ndjson": parseNdjson,
+};
+
+/**
+ * Content type of each GET /users/export format
+ * @type {Object<string, string>}
+ */
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+/**
+ * User fields compared for the before/after diff of "user.updated" audit events
+ * @type {Array<string>}
+ */
+const AUDITED_USER_FIELDS = ["first_name", "last_name", "email", "role", "email_verified_at"];
+
+/**
+ * Check that the current user may see soft-deleted users
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {boolean} includeDeleted - Validated `include_deleted` query parameter
+ * @throws {ForbiddenError} If deleted users are requested without users:read_deleted
+ */
+function assertCanIncludeDeleted(req, includeDeleted) {
+  if (includeDeleted && !hasPermission(req.user.role, "users:read_deleted")) {
+    throw new ForbiddenError("Insufficient permissions to include deleted users");
+  }
+}
+
+/**
+ * Apply changes to a user on behalf of PUT and PATCH /users/:id
+ * @async
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {number} userId - ID of the user to update
+ * @param {Object} body - Validated fields to change; absent fields are left unchanged
+ * @returns {Promise<Object>} Updated user
+ * @throws {ForbiddenError} If `role` is changed without users:manage_roles
+ * @throws {NotFoundError} If the user doesn't exist
+ * @throws {PreconditionFailedError} If If-Match does not match the user's current ETag,
+ * or the user changes between the check and the write
+ * @throws {ConflictError} If the new email belongs to another user
+ */
+async function updateUser(req, userId, body) {
+  const changes = Object.fromEntries(
+    Object.entries(body).filter(([, value]) => value !== undefined)
+  );
+
+  if (changes.role !== undefined && !hasPermission(req.user.role, "users:manage_roles")) {
+    throw new ForbiddenError("Insufficient permissions to change roles");
+  }
+
+  const existingUser = await UserModel.findById(userId);
+  if (!existingUser) {
+    throw new NotFoundError("User not found", { code: "user_not_found" });
+  }
+
+  const conditional = checkIfMatch(req, existingUser);
+
+  // Check if email is being updated and if it already exists
+  const emailChanged = changes.email !== undefined && changes.email !== existingUser.email;
+  if (emailChanged) {
+    const emailExists = await UserModel.findByEmail(changes.email);
+    if (emailExists) {
+      throw new ConflictError("Email already exists", { code: "email_taken" });
+    }
+
+    // The new address has to be verified again
+    changes.email_verified_at = null;
+  }
+
+  const updatedUser = await UserModel.update(userId, changes, {
+    expectedUpdatedAt: conditional ? existingUser.updated_at : undefined,
+  });
+
+  if (!updatedUser) {
+    throw new PreconditionFailedError("The resource has been modified since it was read", {
+      code: "etag_mismatch",
+    });
+  }
+
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_UPDATED, {
+    targetUserId: userId,
+    changes: diffChanges(existingUser, updatedUser, AUDITED_USER_FIELDS),
+  });
+
+  if (emailChanged) {
+    await issueEmailVerification(updatedUser).catch((error) => {
+      logger.error("Failed to send verification email", error);
+    });
+  }
+
+  return updatedUser;
+}
+
+/**
+ * Produce the body of GET /users/export a batch of users at a time
+ * @async
+ * @generator
+ * @function
+ * @param {string} format - "csv" or "ndjson"
+ * @param {Array<string>} fields - Public fields to include, in column order
+ * @param {boolean} includeDeleted - Include soft-deleted users
+ * @yields {string} The CSV header, then the lines for each batch of users
+ */
+async function* exportLines(format, fields, includeDeleted) {
+  if (format === "csv") {
+    yield formatCsvRow(fields);
+  }
+
+  for await (const users of UserModel.findInBatches({ includeDeleted })) {
+    yield users
+      .map((user) => {
+        const data = serializeUser(user, fields);
+        return format === "csv"
+          ? formatCsvRow(fields.map((field) => data[field]))
+          : formatNdjsonLine(data);
+      })
+      .join("");
+  }
+}
+
+/**
+ * Turn a validated GET /users query into UserModel.findAll options
+ * @function
+ * @param {Object} query - Query validated against listUsersQuery
+ * @returns {Object} List options
+ * @throws {ValidationError} If the cursor is invalid or combined with page
+ */
+function parseListQuery(query) {
+  const { limit, page, cursor, sort, order } = query;
+
+  if (cursor !== undefined && page !== undefined) {
+    throw new ValidationError([
+      { location: "query", field: "cursor", message: "cannot be combined with page" },
+    ]);
+  }
+
+  const filters = { include_deleted: query.include_deleted };
+  for (const field of ["email", "name"]) {
+    if (query[field] !== undefined) {
+      filters[field] = query[field].trim();
+    }
+  }
+
+  for (const field of ["created_after", "created_before"]) {
+    if (query[field] !== undefined) {
+      filters[field] = new Date(query[field]);
+    }
+  }
+
+  const options = { filters, sort, order, limit };
+
+  if (cursor !== undefined) {
+    const position = decodeCursor(cursor, UserModel.SORT_VALUE_TYPES[sort]);
+    if (!position || position.sort !== sort || position.order !== order) {
+      throw new ValidationError([
+        { location: "query", field: "cursor", message: "is not a valid cursor for this sort and order" },
+      ]);
+    }
+    options.after = { value: position.value, id: position.id };
+  } else {
+    const pageNumber = page === undefined ? 1 : page;
+    options.page = pageNumber;
+    options.offset = (pageNumber - 1) * limit;
+  }
+
+  return options;
+}
+
+/**
+ * Parse the `fields` query parameter, reporting errors as validation errors
+ * @function
+ * @param {express.Request} req - Express request object
+ * @returns {Array<string>|null} Selected fields, or null for all public fields
+ * @throws {ValidationError} If fields lists an unknown field
+ */
+function parseFieldsQuery(req) {
+  const { fields, error } = parseFields(req.query.fields);
+
+  if (error) {
+    throw new ValidationError([{ location: "query", field: "fields", message: error }]);
+  }
+
+  return fields;
+}
+
+/**
+ * Build an absolute URL for the current list endpoint with updated query parameters
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {Object} params - Query parameters to set; undefined values are removed
+ * @returns {string} Absolute URL
+ */
+function buildListUrl(req, params) {
+  const url = new URL(
+    `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}`
+  );
+
+  for (const [key, value] of Object.entries(req.query)) {
+    if (typeof value === "string") {
+      url.searchParams.set(key, value);
+    }
+  }
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  return url.toString();
+}
+
+/**
+ * Get a page of users from the database
  * @route GET /users
  * @function
  * @async
  * @param {express.Request} req - Express request object
+ * @param {Object} req.query - Query string parameters
+ * @param {string} [req.query.limit=20] - Page size (1-100)
+ * @param {string} [req.query.page=1] - Page number for offset pagination
+ * @param {string} [req.query.cursor] - Opaque cursor from a previous response for cursor pagination
+ * @param {string} [req.query.email] - Case-insensitive email substring filter
+ * @param {string} [req.query.name] - Case-insensitive first or last name substring filter
+ * @param {string} [req.query.created_after] - ISO 8601 date; only users created at or after it
+ * @param {string} [req.query.created_before] - ISO 8601 date; only users created before it
+ * @param {string} [req.query.sort=created_at] - Sort column (id, first_name, last_name, email, created_at, updated_at)
+ * @param {string} [req.query.order=desc] - Sort direction (asc or desc)
+ * @param {string} [req.query.fields] - Comma-separated public fields to include (e.g. id,email)
+ * @param {string} [req.query.include_deleted=false] - "true" to include soft-deleted users
  * @param {express.Response} res - Express response object
- * @description Retrieves all users from the PostgreSQL database
- * @returns {Promise<express.Response>} JSON response containing array of user objects
+ * @description Retrieves a page of users with pagination metadata. Navigation links
+ * are also sent in the Link header and the total in the X-Total-Count header. Requires
+ * an API key and a bearer access token with the users:list permission (admin).
+ * Soft-deleted users are left out unless `include_deleted=true` is given, which also
+ * requires the users:read_deleted permission.
+ * @returns {Promise<express.Response>} JSON response containing users and pagination metadata
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:list permission, or asks for
+ * deleted users without users:read_deleted
+ * @throws {422} Unprocessable entity if a query parameter is invalid
  * @throws {500} Internal server error if fetching users fails
  * @example
- * // GET /users
+ * // GET /users?limit=1&name=john&sort=email&order=asc
  * // Response: 200 OK
- * [
- *   {
- *     "id": 1,
- *     "first_name": "John",
- *     "last_name": "Doe",
- *     "email": "johndoe@example.com",
- *     "created_at": "2025-01-15T10:30:00.000Z",
- *     "updated_at": "2025-01-15T10:30:00.000Z"
+ * // Link: <http://localhost:8000/users?limit=1&name=john&sort=email&order=asc&page=2>; rel="next", ...
+ * {
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "first_name": "John",
+ *       "last_name": "Doe",
+ *       "email": "johndoe@example.com",
+ *       "created_at": "2025-01-15T10:30:00.000Z",
+ *       "updated_at": "2025-01-15T10:30:00.000Z"
+ *     }
+ *   ],
+ *   "pagination": {
+ *     "total": 2,
+ *     "limit": 1,
+ *     "page": 1,
+ *     "total_pages": 2,
+ *     "next_cursor": "eyJzb3J0..."
  *   }
- * ]
+ * }
  */
-router.get("/", validateApiKey, async (req, res) => {
-  try {
-    const users = await UserModel.findAll();
-    res.status(200).json(users);
-  } catch (error) {
-    console.error("Get users error:", error);
-    res.status(500).json({ error: "Failed to fetch users" });
+router.get("/", requireUsersApiKey, authenticateJwt, authorize("users:list"), validate({ query: listUsersQuery }), async (req, res) => {
+  assertCanIncludeDeleted(req, req.validated.query.include_deleted);
+
+  const options = parseListQuery(req.validated.query);
+  const fields = parseFieldsQuery(req);
+
+  const { page, ...findOptions } = options;
+
+  // Fetch one extra row to learn whether another page exists
+  const [rows, total] = await Promise.all([
+    UserModel.findAll({ ...findOptions, limit: options.limit + 1 }),
+    UserModel.count(options.filters),
+  ]);
+
+  const hasMore = rows.length > options.limit;
+  const users = hasMore ? rows.slice(0, options.limit) : rows;
+  const last = users[users.length - 1];
+
+  const nextCursor = hasMore
+    ? encodeCursor({
+        sort: options.sort,
+        order: options.order,
+        value: last[options.sort],
+        id: last.id,
+      })
+    : null;
+
+  const pagination = {
+    total,
+    limit: options.limit,
+    next_cursor: nextCursor,
+  };
+
+  const links = [];
+
+  if (page === undefined) {
+    if (nextCursor) {
+      links.push(`<${buildListUrl(req, { cursor: nextCursor })}>; rel="next"`);
+    }
+  } else {
+    const totalPages = Math.max(1, Math.ceil(total / options.limit));
+    pagination.page = page;
+    pagination.total_pages = totalPages;
+
+    links.push(`<${buildListUrl(req, { page: 1 })}>; rel="first"`);
+    if (page > 1) {
+      links.push(
+        `<${buildListUrl(req, { page: Math.min(page - 1, totalPages) })}>; rel="prev"`
+      );
+    }
+    if (hasMore) {
+      links.push(`<${buildListUrl(req, { page: page + 1 })}>; rel="next"`);
+    }
+    links.push(`<${buildListUrl(req, { page: totalPages })}>; rel="last"`);
   }
+
+  res.set("X-Total-Count", String(total));
+  if (links.length) {
+    res.set("Link", links.join(", "));
+  }
+
+  res.status(200).json({
+    data: users.map((user) => serializeUser(user, fields)),
+    pagination,
+  });
 });
 
 /**
@@ -63,11 +432,15 @@ router.get("/", validateApiKey, async (req, res) => {
  * @param {string} req.body.first_name - User's first name (required)
  * @param {string} req.body.last_name - User's last name (required)
  * @param {string} req.body.email - User's email address (required)
+ * @param {string} req.body.password - User's password (required)
+ * @param {string} [req.query.fields] - Comma-separated public fields to include in the response
  * @param {express.Response} res - Express response object
- * @description Creates a new user in the PostgreSQL database
+ * @description Creates a new user in the PostgreSQL database and emails a link to
+ * verify the address. The password must be 8 to 128 characters and contain at least
+ * one letter and one digit.
  * @returns {Promise<express.Response>} JSON response with created user and success message
- * @throws {400} Bad request if required fields are missing or invalid
  * @throws {409} Conflict if email already exists
+ * @throws {422} Unprocessable entity if fields are missing or invalid
  * @throws {500} Internal server error if user creation fails
  * @example
  * // POST /users
@@ -75,7 +448,8 @@ router.get("/", validateApiKey, async (req, res) => {
  * {
  *   "first_name": "Jane",
  *   "last_name": "Smith",
- *   "email": "janesmith@example.com"
+ *   "email": "janesmith@example.com",
+ *   "password": "s3cure-passw0rd"
  * }
  * // Response: 201 Created
  * {
@@ -90,40 +464,426 @@ router.get("/", validateApiKey, async (req, res) => {
  *   }
  * }
  */
-router.post("/", validateApiKey, async (req, res) => {
-  try {
-    const { first_name, last_name, email, password } = req.body;
+router.post("/", requireUsersApiKey, validate({ query: userFieldsQuery, body: createUserBody }), async (req, res) => {
+  const fields = parseFieldsQuery(req);
 
-    if (!first_name || !last_name || !email || !password) {
-      return res.status(400).json({ error: "Missing required fields: first_name, last_name, email, password" });
-    }
+  const { first_name, last_name, email, password } = req.validated.body;
 
-    // Check if email already exists
-    const existingUser = await UserModel.findByEmail(email);
-    if (existingUser) {
-      return res.status(409).json({ error: "Email already exists" });
-    }
+  // Check if email already exists
+  const existingUser = await UserModel.findByEmail(email);
+  if (existingUser) {
+    throw new ConflictError("Email already exists", { code: "email_taken" });
+  }
+
+  // Hash the password
+  const passwordHash = await hashPassword(password);
+
+  // Create new user with hashed password
+  const newUser = await UserModel.create({
+    first_name,
+    last_name,
+    email,
+    password: passwordHash,
+  });
 
-    // Hash the password
-    const { hash, salt } = hashPassword(password);
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_CREATED, { targetUserId: newUser.id });
 
-    // Create new user with hashed password
-    const newUser = await UserModel.create({
-      first_name,
-      last_name,
-      email,
-      password: hash,
-      salt: salt
+  await issueEmailVerification(newUser).catch((error) => {
+    logger.error("Failed to send verification email", error);
+  });
+
+  res.status(201).json({
+    message: `${first_name} has been added to the Database`,
+    user: serializeUser(newUser, fields),
+  });
+});
+
+/**
+ * Import users from a CSV or NDJSON file
+ * @route POST /users/import
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object; the body is a CSV file with a
+ * header row (`text/csv`) or one JSON object per line (`application/x-ndjson`)
+ * @param {string} [req.query.on_duplicate=fail] - For rows whose email belongs to an
+ * existing user: "skip" them, "update" the user's name, role and password, or "fail"
+ * the row
+ * @param {string} [req.query.dry_run=false] - "true" to validate and report without saving
+ * @param {express.Response} res - Express response object
+ * @description Each row has `first_name`, `last_name` and `email`, and optionally
+ * `password` and `role`; other columns are ignored. Rows without a password get no
+ * password, so those users set one with POST /user-auth/forgot-password. The body is
+ * parsed as it arrives and saved in batches of `USER_IMPORT_BATCH_SIZE` rows, each in
+ * its own transaction, so memory use does not grow with the file. Invalid rows are
+ * reported with their line number and do not stop the import. No emails are sent.
+ * Requires an API key and a bearer access token with the users:import permission
+ * (admin).
+ * @returns {Promise<express.Response>} JSON summary with counts and per-row errors
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:import permission
+ * @throws {415} Unsupported media type if the body is neither CSV nor NDJSON
+ * @throws {422} Unprocessable entity if a query parameter is invalid
+ * @throws {500} Internal server error if the import fails
+ * @example
+ * // POST /users/import?on_duplicate=skip
+ * // Content-Type: text/csv
+ * // first_name,last_name,email,password
+ * // Jane,Smith,jane@example.com,s3cure-passw0rd
+ * // Bob,Brown,not-an-email,
+ * // Response: 200 OK
+ * {
+ *   "dry_run": false,
+ *   "on_duplicate": "skip",
+ *   "processed": 2,
+ *   "created": 1,
+ *   "updated": 0,
+ *   "skipped": 0,
+ *   "failed": 1,
+ *   "errors": [
+ *     { "line": 3, "field": "email", "code": "validation_failed", "message": "must be a valid email address" }
+ *   ],
+ *   "errors_truncated": false
+ * }
+ */
+router.post("/import", requireUsersApiKey, authenticateJwt, authorize("users:import"), validate({ query: importUsersQuery }), async (req, res) => {
+  const { on_duplicate, dry_run } = req.validated.query;
+
+  const contentType = req.is(Object.keys(IMPORT_PARSERS));
+  if (!contentType) {
+    throw new UnsupportedMediaTypeError("Send the users as text/csv or application/x-ndjson");
+  }
+
+  req.setEncoding("utf8");
+  const result = await importUsers(IMPORT_PARSERS[contentType](req), {
+    onDuplicate: on_duplicate,
+    dryRun: dry_run,
+    canManageRoles: hasPermission(req.user.role, "users:manage_roles"),
+  });
+
+  if (!dry_run) {
+    const { created, updated, skipped, failed } = result;
+    await recordAuditEvent(req, AUDIT_ACTIONS.USERS_IMPORTED, {
+      metadata: { content_type: contentType, on_duplicate, created, updated, skipped, failed },
     });
+  }
+
+  res.status(200).json(result);
+});
+
+/**
+ * Export all users as CSV or NDJSON
+ * @route GET /users/export
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {string} [req.query.format=csv] - "csv" (with a header row) or "ndjson"
+ * @param {string} [req.query.fields] - Comma-separated public fields to include, in order
+ * @param {string} [req.query.include_deleted=false] - "true" to include soft-deleted users
+ * @param {express.Response} res - Express response object
+ * @description Streams every user in ID order as a file download, reading the table in
+ * batches so the export is never held in memory. Dates are ISO 8601. In CSV, values
+ * starting with =, +, -, @ or a tab are prefixed with an apostrophe so spreadsheets do
+ * not run them as formulas. Requires an API key and a bearer access token with the
+ * users:export permission (admin); `include_deleted` also requires users:read_deleted.
+ * @returns {Promise<void>} Resolves when the whole file has been sent
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:export permission, or asks for
+ * deleted users without users:read_deleted
+ * @throws {422} Unprocessable entity if a query parameter is invalid
+ * @example
+ * // GET /users/export?format=csv&fields=id,email,role
+ * // Response: 200 OK
+ * // Content-Type: text/csv; charset=utf-8
+ * // Content-Disposition: attachment; filename="users.csv"
+ * // id,email,role
+ * // 1,johndoe@example.com,admin
+ * // 2,janesmith@example.com,support
+ */
+router.get("/export", requireUsersApiKey, authenticateJwt, authorize("users:export"), validate({ query: exportUsersQuery }), async (req, res) => {
+  const { format, include_deleted } = req.validated.query;
+
+  assertCanIncludeDeleted(req, include_deleted);
+
+  const fields =
+    parseFieldsQuery(req) ||
+    PUBLIC_USER_FIELDS.filter((field) => include_deleted || field !== "deleted_at");
 
-    res.status(201).json({
-      message: `${first_name} has been added to the Database`,
-      user: newUser,
+  await recordAuditEvent(req, AUDIT_ACTIONS.USERS_EXPORTED, {
+    metadata: { format, fields, include_deleted },
+  });
+
+  res.status(200).attachment(`users.${format}`).type(EXPORT_CONTENT_TYPES[format]);
+  await pipeline(Readable.from(exportLines(format, fields, include_deleted)), res);
+});
+
+/**
+ * Search users by name and email
+ * @route GET /users/search
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {string} req.query.q - Names or email address to look for
+ * @param {string} [req.query.limit=20] - Results per page (1-100)
+ * @param {string} [req.query.page=1] - Page number
+ * @param {string} [req.query.fields] - Comma-separated public fields to include (e.g. id,email)
+ * @param {string} [req.query.include_deleted=false] - "true" to include soft-deleted users
+ * @param {express.Response} res - Express response object
+ * @description Finds users whose first name, last name or email contain words starting
+ * with every word of `q` (Postgres full-text search), or are similar enough to `q` to
+ * allow for typos (pg_trgm; see USER_SEARCH_MIN_SIMILARITY). Results are ranked best
+ * first, each with its `score` and a `highlights` object holding the matching fields
+ * as HTML-escaped text with the matches wrapped in `<mark>`. Requires an API key and a
+ * bearer access token with the users:search permission (admin and support);
+ * `include_deleted` also requires users:read_deleted.
+ * @returns {Promise<express.Response>} JSON response with ranked results and pagination metadata
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:search permission, or asks for
+ * deleted users without users:read_deleted
+ * @throws {422} Unprocessable entity if `q` is missing or has no letters or digits, or
+ * another query parameter is invalid
+ * @example
+ * // GET /users/search?q=jane%20smtih
+ * // Response: 200 OK
+ * {
+ *   "data": [
+ *     {
+ *       "user": {
+ *         "id": 2,
+ *         "first_name": "Jane",
+ *         "last_name": "Smith",
+ *         "email": "janesmith@example.com",
+ *         ...
+ *       },
+ *       "score": 0.548,
+ *       "highlights": {
+ *         "first_name": "<mark>Jane</mark>",
+ *         "last_name": "<mark>Smith</mark>",
+ *         "email": "<mark>jane</mark>smith@example.com"
+ *       }
+ *     }
+ *   ],
+ *   "pagination": { "total": 1, "limit": 20, "page": 1, "total_pages": 1 }
+ * }
+ */
+router.get("/search", requireUsersApiKey, authenticateJwt, authorize("users:search"), validate({ query: searchUsersQuery }), async (req, res) => {
+  const { q, limit, page, include_deleted } = req.validated.query;
+
+  assertCanIncludeDeleted(req, include_deleted);
+
+  const fields = parseFieldsQuery(req);
+  const terms = searchTerms(q);
+
+  if (!terms.length) {
+    throw new ValidationError([
+      { location: "query", field: "q", message: "must contain a letter or digit" },
+    ]);
+  }
+
+  const { users, total } = await UserModel.search(terms, {
+    minSimilarity: MIN_SIMILARITY,
+    includeDeleted: include_deleted,
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.set("X-Total-Count", String(total));
+  res.status(200).json({
+    data: users.map(({ score, ...user }) => ({
+      user: serializeUser(user, fields),
+      score: Math.round(score * 1000) / 1000,
+      highlights: highlightUser(user, terms),
+    })),
+    pagination: {
+      total,
+      limit,
+      page,
+      total_pages: Math.max(1, Math.ceil(total / limit)),
+    },
+  });
+});
+
+/**
+ * Get the authenticated user's own profile
+ * @route GET /users/me
+ * @function
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.user - Current user attached by authenticateJwt
+ * @param {string} [req.query.fields] - Comma-separated public fields to include (e.g. id,email)
+ * @param {express.Response} res - Express response object
+ * @description Returns the user identified by the bearer access token, with its
+ * version in the ETag header. Does not require an API key.
+ * @returns {express.Response} JSON response with the user object
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {422} Unprocessable entity if fields lists an unknown field
+ * @example
+ * // GET /users/me
+ * // Authorization: Bearer <jwt-token>
+ * // Response: 200 OK
+ * {
+ *   "id": 1,
+ *   "first_name": "John",
+ *   "last_name": "Doe",
+ *   "email": "johndoe@example.com",
+ *   "created_at": "2025-01-15T10:30:00.000Z",
+ *   "updated_at": "2025-01-15T10:30:00.000Z"
+ * }
+ */
+router.get("/me", authenticateJwt, validate({ query: userFieldsQuery }), (req, res) => {
+  const fields = parseFieldsQuery(req);
+
+  setEtag(res, req.user);
+  res.status(200).json(serializeUser(req.user, fields));
+});
+
+/**
+ * Update the authenticated user's own profile
+ * @route PUT /users/me
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.user - Current user attached by authenticateJwt
+ * @param {Object} req.body - Updated user data; omitted fields are left unchanged
+ * @param {string} [req.body.first_name] - User's first name
+ * @param {string} [req.body.last_name] - User's last name
+ * @param {string} [req.body.email] - User's email address
+ * @param {express.Response} res - Express response object
+ * @description Updates the profile of the user identified by the bearer access token
+ * @returns {Promise<express.Response>} JSON response with updated user object
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {409} Conflict if the email already belongs to another user
+ * @throws {422} Unprocessable entity if no field is provided or a field is invalid
+ * @throws {500} Internal server error if update fails
+ * @example
+ * // PUT /users/me
+ * // Authorization: Bearer <jwt-token>
+ * // Request body: { "first_name": "Johnny" }
+ * // Response: 200 OK
+ * {
+ *   "message": "Profile updated successfully",
+ *   "user": { "id": 1, "first_name": "Johnny", ... }
+ * }
+ */
+router.put("/me", authenticateJwt, validate({ body: updateProfileBody }), async (req, res) => {
+  const changes = { ...req.validated.body };
+  const emailChanged = changes.email && changes.email !== req.user.email;
+
+  if (emailChanged) {
+    const emailExists = await UserModel.findByEmail(changes.email);
+    if (emailExists) {
+      throw new ConflictError("Email already exists", { code: "email_taken" });
+    }
+
+    // The new address has to be verified again
+    changes.email_verified_at = null;
+  }
+
+  const updatedUser = await UserModel.update(req.user.id, changes);
+
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_UPDATED, {
+    targetUserId: req.user.id,
+    changes: diffChanges(req.user, updatedUser, AUDITED_USER_FIELDS),
+  });
+
+  if (emailChanged) {
+    await issueEmailVerification(updatedUser).catch((error) => {
+      logger.error("Failed to send verification email", error);
     });
-  } catch (error) {
-    console.error("Create user error:", error);
-    res.status(500).json({ error: "Failed to create user" });
   }
+
+  setEtag(res, updatedUser);
+  res.status(200).json({
+    message: "Profile updated successfully",
+    user: serializeUser(updatedUser),
+  });
+});
+
+/**
+ * Change the authenticated user's password
+ * @route PUT /users/me/password
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.user - Current user attached by authenticateJwt
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.current_password - User's current password
+ * @param {string} req.body.new_password - Replacement password
+ * @param {express.Response} res - Express response object
+ * @description Changes the password after re-checking the current one, then ends all
+ * of the user's sessions so other devices must log in again. Access tokens already
+ * issued stay valid until they expire.
+ * @returns {Promise<express.Response>} JSON response with success message
+ * @throws {401} Unauthorized if the access token or current password is invalid
+ * @throws {422} Unprocessable entity if either password is missing or the new one is too weak
+ * @throws {500} Internal server error if the change fails
+ * @example
+ * // PUT /users/me/password
+ * // Authorization: Bearer <jwt-token>
+ * // Request body: { "current_password": "password123", "new_password": "n3w-passw0rd" }
+ * // Response: 200 OK
+ * { "message": "Password updated successfully" }
+ */
+router.put("/me/password", authenticateJwt, validate({ body: changePasswordBody }), async (req, res) => {
+  const { current_password, new_password } = req.validated.body;
+
+  const user = await UserModel.findById(req.user.id, {
+    withCredentials: true,
+  });
+
+  if (!(await verifyPassword(current_password, user.password_hash, user.salt))) {
+    throw new UnauthorizedError("Current password is incorrect", { code: "invalid_password" });
+  }
+
+  await UserModel.update(user.id, {
+    password_hash: await hashPassword(new_password),
+    salt: null,
+  });
+  await SessionModel.deleteByUserId(user.id);
+
+  await recordAuditEvent(req, AUDIT_ACTIONS.PASSWORD_CHANGED, { targetUserId: user.id });
+
+  res.status(200).json({ message: "Password updated successfully" });
+});
+
+/**
+ * Delete the authenticated user's own account
+ * @route DELETE /users/me
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.user - Current user attached by authenticateJwt
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - User's current password, as confirmation
+ * @param {express.Response} res - Express response object
+ * @description Deletes the account identified by the bearer access token, together
+ * with all of its sessions. Like DELETE /users/:id this is a soft delete: an admin can
+ * restore the account until it is purged.
+ * @returns {Promise<express.Response>} JSON response with success message
+ * @throws {401} Unauthorized if the access token or password is invalid
+ * @throws {422} Unprocessable entity if the password is missing
+ * @throws {500} Internal server error if deletion fails
+ * @example
+ * // DELETE /users/me
+ * // Authorization: Bearer <jwt-token>
+ * // Request body: { "password": "password123" }
+ * // Response: 200 OK
+ * { "message": "Account deleted successfully" }
+ */
+router.delete("/me", authenticateJwt, validate({ body: deleteAccountBody }), async (req, res) => {
+  const { password } = req.validated.body;
+
+  const user = await UserModel.findById(req.user.id, {
+    withCredentials: true,
+  });
+
+  if (!(await verifyPassword(password, user.password_hash, user.salt))) {
+    throw new UnauthorizedError("Password is incorrect", { code: "invalid_password" });
+  }
+
+  await UserModel.delete(user.id);
+
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_DELETED, { targetUserId: user.id });
+
+  res.status(200).json({ message: "Account deleted successfully" });
 });
 
 /**
@@ -134,10 +894,21 @@ router.post("/", validateApiKey, async (req, res) => {
  * @param {express.Request} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - User ID (integer)
+ * @param {string} [req.query.fields] - Comma-separated public fields to include (e.g. id,email)
+ * @param {string} [req.query.include_deleted=false] - "true" to also find a soft-deleted user
  * @param {express.Response} res - Express response object
- * @description Retrieves a single user by their unique identifier
+ * @description Retrieves a single user by their unique identifier. Requires an API key
+ * and a bearer access token; users may read themselves, reading anyone else requires
+ * the users:read permission (admin, support). A soft-deleted user is only found with
+ * `include_deleted=true` and the users:read_deleted permission. The user's version is
+ * sent in the ETag header, for If-Match on PUT and PATCH; a matching If-None-Match
+ * gets 304 Not Modified.
  * @returns {Promise<express.Response>} JSON response with user object if found
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user may not read this user, or asks for deleted
+ * users without users:read_deleted
  * @throws {404} Not found if user doesn't exist
+ * @throws {422} Unprocessable entity if the user ID or fields are invalid
  * @throws {500} Internal server error if fetching user fails
  * @example
  * // GET /users/1
@@ -151,26 +922,21 @@ router.post("/", validateApiKey, async (req, res) => {
  *   "updated_at": "2025-01-15T10:30:00.000Z"
  * }
  */
-router.get("/:id", validateApiKey, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = parseInt(id);
+router.get("/:id", requireUsersApiKey, authenticateJwt, authorizeSelfOr("users:read"), validate({ params: userIdParams, query: getUserQuery }), async (req, res) => {
+  const { id: userId } = req.validated.params;
+  const { include_deleted } = req.validated.query;
+  const fields = parseFieldsQuery(req);
 
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: "Invalid user ID format" });
-    }
+  assertCanIncludeDeleted(req, include_deleted);
 
-    const user = await UserModel.findById(userId);
+  const user = await UserModel.findById(userId, { includeDeleted: include_deleted });
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    res.status(200).json(user);
-  } catch (error) {
-    console.error("Get user by ID error:", error);
-    res.status(500).json({ error: "Failed to fetch user" });
+  if (!user) {
+    throw new NotFoundError("User not found", { code: "user_not_found" });
   }
+
+  setEtag(res, user);
+  res.status(200).json(serializeUser(user, fields));
 });
 
 /**
@@ -185,11 +951,20 @@ router.get("/:id", validateApiKey, async (req, res) => {
  * @param {string} [req.body.first_name] - User's first name
  * @param {string} [req.body.last_name] - User's last name
  * @param {string} [req.body.email] - User's email address
+ * @param {string} [req.body.role] - User's role (admin, support or member); requires users:manage_roles
+ * @param {string} [req.query.fields] - Comma-separated public fields to include in the response
  * @param {express.Response} res - Express response object
- * @description Updates a user's information in the database
+ * @description Updates a user's information in the database; omitted fields are left
+ * unchanged. Requires an API key and a bearer access token; users may update
+ * themselves, updating anyone else requires the users:update permission. Honours
+ * If-Match like PATCH /users/:id.
  * @returns {Promise<express.Response>} JSON response with updated user object
- * @throws {400} Bad request if user ID is invalid or email already exists
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user may not update this user or change roles
  * @throws {404} Not found if user doesn't exist
+ * @throws {409} Conflict if email already exists
+ * @throws {412} Precondition failed if If-Match does not match the current ETag
+ * @throws {422} Unprocessable entity if the user ID or a field is invalid, or no field is provided
  * @throws {500} Internal server error if update fails
  * @example
  * // PUT /users/1
@@ -211,46 +986,186 @@ router.get("/:id", validateApiKey, async (req, res) => {
  *   }
  * }
  */
-router.put("/:id", validateApiKey, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = parseInt(id);
+router.put("/:id", requireUsersApiKey, authenticateJwt, authorizeSelfOr("users:update"), validate({ params: userIdParams, query: userFieldsQuery, body: updateUserBody }), async (req, res) => {
+  const { id: userId } = req.validated.params;
+  const fields = parseFieldsQuery(req);
 
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: "Invalid user ID format" });
-    }
+  const { first_name, last_name, email, role } = req.validated.body;
+  const updatedUser = await updateUser(req, userId, { first_name, last_name, email, role });
 
-    const { first_name, last_name, email } = req.body;
+  setEtag(res, updatedUser);
+  res.status(200).json({
+    message: "User updated successfully",
+    user: serializeUser(updatedUser, fields),
+  });
+});
 
-    // Check if user exists
-    const existingUser = await UserModel.findById(userId);
-    if (!existingUser) {
-      return res.status(404).json({ error: "User not found" });
-    }
+/**
+ * Partially update a user with a JSON Merge Patch
+ * @route PATCH /users/:id
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - User ID (integer)
+ * @param {Object} req.body - JSON Merge Patch (RFC 7396) document, sent as
+ * `application/merge-patch+json` (or `application/json`)
+ * @param {string} [req.body.first_name] - User's first name
+ * @param {string} [req.body.last_name] - User's last name
+ * @param {string} [req.body.email] - User's email address
+ * @param {string} [req.body.role] - User's role (admin, support or member); requires users:manage_roles
+ * @param {string} [req.headers.if-match] - ETag from GET /users/:id; the patch is only
+ * applied if the user has not changed since
+ * @param {string} [req.query.fields] - Comma-separated public fields to include in the response
+ * @param {express.Response} res - Express response object
+ * @description Members present in the patch replace the stored values and absent
+ * members are left unchanged. `null` would remove a field, and every patchable field
+ * is required, so it is rejected. Send the ETag of the version being edited in
+ * If-Match to avoid overwriting someone else's change; the new ETag is returned in
+ * the ETag header. Same permissions as PUT /users/:id.
+ * @returns {Promise<express.Response>} JSON response with updated user object
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user may not update this user or change roles
+ * @throws {404} Not found if user doesn't exist
+ * @throws {409} Conflict if email already exists
+ * @throws {412} Precondition failed if If-Match does not match the current ETag
+ * @throws {422} Unprocessable entity if the user ID or a member is invalid, or the patch is empty
+ * @throws {500} Internal server error if update fails
+ * @example
+ * // PATCH /users/1
+ * // Content-Type: application/merge-patch+json
+ * // If-Match: "1736937000000"
+ * // Request body:
+ * { "last_name": "Smith" }
+ * // Response: 200 OK
+ * // ETag: "1736937600000"
+ * {
+ *   "message": "User updated successfully",
+ *   "user": { "id": 1, "first_name": "John", "last_name": "Smith", ... }
+ * }
+ */
+router.patch("/:id", requireUsersApiKey, authenticateJwt, authorizeSelfOr("users:update"), validate({ params: userIdParams, query: userFieldsQuery, body: patchUserBody }), async (req, res) => {
+  const { id: userId } = req.validated.params;
+  const fields = parseFieldsQuery(req);
 
-    // Check if email is being updated and if it already exists
-    if (email && email !== existingUser.email) {
-      const emailExists = await UserModel.findByEmail(email);
-      if (emailExists) {
-        return res.status(409).json({ error: "Email already exists" });
-      }
-    }
+  const updatedUser = await updateUser(req, userId, req.validated.body);
 
-    // Update user
-    const updatedUser = await UserModel.update(userId, {
-      first_name,
-      last_name,
-      email
-    });
+  setEtag(res, updatedUser);
+  res.status(200).json({
+    message: "User updated successfully",
+    user: serializeUser(updatedUser, fields),
+  });
+});
 
-    res.status(200).json({
-      message: "User updated successfully",
-      user: updatedUser,
-    });
-  } catch (error) {
-    console.error("Update user error:", error);
-    res.status(500).json({ error: "Failed to update user" });
+/**
+ * Unlock a user's account after failed logins
+ * @route POST /users/:id/unlock
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - User ID (integer)
+ * @param {express.Response} res - Express response object
+ * @description Clears the user's failed login count, lockout and per-account login
+ * rate limit. Requires an API key and a bearer access token with the users:unlock
+ * permission (admin).
+ * @returns {Promise<express.Response>} JSON response with success message
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:unlock permission
+ * @throws {404} Not found if user doesn't exist
+ * @throws {422} Unprocessable entity if user ID is invalid
+ * @throws {500} Internal server error if unlocking fails
+ * @example
+ * // POST /users/3/unlock
+ * // Response: 200 OK
+ * {
+ *   "message": "User 3 unlocked"
+ * }
+ */
+router.post("/:id/unlock", requireUsersApiKey, authenticateJwt, authorize("users:unlock"), validate({ params: userIdParams }), async (req, res) => {
+  const { id: userId } = req.validated.params;
+
+  const user = await UserModel.findById(userId);
+
+  if (!user) {
+    throw new NotFoundError("User not found", { code: "user_not_found" });
+  }
+
+  await UserModel.resetFailedLogins(userId);
+  await clearLoginAttempts(user.email);
+
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_UNLOCKED, { targetUserId: userId });
+
+  res.status(200).json({ message: `User ${userId} unlocked` });
+});
+
+/**
+ * Restore a soft-deleted user
+ * @route POST /users/:id/restore
+ * @function
+ * @async
+ * @param {express.Request} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - User ID (integer)
+ * @param {string} [req.query.fields] - Comma-separated public fields to include in the response
+ * @param {express.Response} res - Express response object
+ * @description Clears the user's `deleted_at` so they can sign in again with their old
+ * password. Sessions and tokens revoked by the delete stay revoked. Only possible until
+ * the purge job removes the user, `USER_RETENTION_DAYS` after the delete. Requires an
+ * API key and a bearer access token with the users:restore permission (admin).
+ * @returns {Promise<express.Response>} JSON response with the restored user
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:restore permission
+ * @throws {404} Not found if user doesn't exist or was already purged
+ * @throws {409} Conflict if the user is not deleted, or another user has since
+ * registered the email
+ * @throws {422} Unprocessable entity if user ID is invalid
+ * @throws {500} Internal server error if restoring fails
+ * @example
+ * // POST /users/3/restore
+ * // Response: 200 OK
+ * {
+ *   "message": "User 3 restored",
+ *   "user": {
+ *     "id": 3,
+ *     "first_name": "Alice",
+ *     "last_name": "Johnson",
+ *     "email": "alicejohnson@example.com",
+ *     "role": "member",
+ *     "deleted_at": null,
+ *     "created_at": "2025-01-15T10:30:00.000Z",
+ *     "updated_at": "2025-01-20T09:00:00.000Z"
+ *   }
+ * }
+ */
+router.post("/:id/restore", requireUsersApiKey, authenticateJwt, authorize("users:restore"), validate({ params: userIdParams, query: userFieldsQuery }), async (req, res) => {
+  const { id: userId } = req.validated.params;
+  const fields = parseFieldsQuery(req);
+
+  const user = await UserModel.findById(userId, { includeDeleted: true });
+
+  if (!user) {
+    throw new NotFoundError("User not found", { code: "user_not_found" });
+  }
+
+  if (!user.deleted_at) {
+    throw new ConflictError("User is not deleted", { code: "user_not_deleted" });
   }
+
+  // The address may have been registered again while the user was deleted
+  const emailExists = await UserModel.findByEmail(user.email);
+  if (emailExists) {
+    throw new ConflictError("Email already exists", { code: "email_taken" });
+  }
+
+  const restoredUser = await UserModel.restore(userId);
+
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_RESTORED, { targetUserId: userId });
+
+  res.status(200).json({
+    message: `User ${userId} restored`,
+    user: serializeUser(restoredUser, fields),
+  });
 });
 
 /**
@@ -262,10 +1177,16 @@ router.put("/:id", validateApiKey, async (req, res) => {
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - User ID to delete (integer)
  * @param {express.Response} res - Express response object
- * @description Removes a user from the database by their ID
+ * @description Soft-deletes a user by their ID: the user disappears from every
+ * endpoint, their sessions and tokens are revoked, and their email can be registered
+ * again. The row is kept for `USER_RETENTION_DAYS` (default 30), during which
+ * POST /users/:id/restore brings it back, and is then purged. Requires an API key and
+ * a bearer access token with the users:delete permission (admin).
  * @returns {Promise<express.Response>} JSON response with success message
- * @throws {400} Bad request if user ID is invalid
+ * @throws {401} Unauthorized if the access token is missing or invalid
+ * @throws {403} Forbidden if the user lacks the users:delete permission
  * @throws {404} Not found if user doesn't exist
+ * @throws {422} Unprocessable entity if user ID is invalid
  * @throws {500} Internal server error if deletion fails
  * @example
  * // DELETE /users/1
@@ -274,28 +1195,20 @@ router.put("/:id", validateApiKey, async (req, res) => {
  *   "message": "User 1 deleted successfully from database"
  * }
  */
-router.delete("/:id", validateApiKey, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = parseInt(id);
+router.delete("/:id", requireUsersApiKey, authenticateJwt, authorize("users:delete"), validate({ params: userIdParams }), async (req, res) => {
+  const { id: userId } = req.validated.params;
 
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: "Invalid user ID format" });
-    }
+  const deleted = await UserModel.delete(userId);
 
-    const deleted = await UserModel.delete(userId);
+  if (!deleted) {
+    throw new NotFoundError("User not found", { code: "user_not_found" });
+  }
 
-    if (!deleted) {
-      return res.status(404).json({ error: "User not found" });
-    }
+  await recordAuditEvent(req, AUDIT_ACTIONS.USER_DELETED, { targetUserId: userId });
 
-    res.status(200).json({
-      message: `User ${id} deleted successfully from database`
-    });
-  } catch (error) {
-    console.error("Delete user error:", error);
-    res.status(500).json({ error: "Failed to delete user" });
-  }
+  res.status(200).json({
+    message: `User ${userId} deleted successfully from database`
+  });
 });
 
 /**
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Request schemas for the /api-keys endpoints
+ * @description JSON Schemas for the bodies and route parameters accepted by
+ * src/routes/api-keys.js, used by the validate middleware and the API docs
+ * @module schemas/api-keys
+ * @requires ./common
+ * @version 1.0.0
+ */
+
+import { API_KEY_SCOPES } from "../config/permissions.js";
+import { idParamsSchema } from "./common.js";
+
+export { idParamsSchema as apiKeyIdParams };
+
+/**
+ * Request body for POST /api-keys
+ * @type {Object}
+ */
+export const createApiKeyBody = {
+  type: "object",
+  required: ["name", "scopes"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 255, pattern: "\\S" },
+    scopes: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: Object.values(API_KEY_SCOPES) },
+    },
+    expires_at: { type: ["string", "null"], format: "date-time" },
+  },
+};
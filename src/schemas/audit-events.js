@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Request schemas for the /audit-events endpoints
+ * @description JSON Schemas for query strings accepted by src/routes/audit-events.js,
+ * used by the validate middleware and the API docs
+ * @module schemas/audit-events
+ * @version 1.0.0
+ */
+
+import { AUDIT_ACTIONS } from "../audit.js";
+
+/**
+ * Default number of audit events per page
+ * @type {number}
+ */
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+
+/**
+ * Maximum number of audit events per page
+ * @type {number}
+ */
+export const MAX_AUDIT_PAGE_SIZE = 200;
+
+/**
+ * Query string for GET /audit-events
+ * @type {Object}
+ */
+export const listAuditEventsQuery = {
+  type: "object",
+  properties: {
+    actor_id: { type: "integer", minimum: 1, description: "User who performed the action" },
+    target_id: { type: "integer", minimum: 1, description: "User the action was performed on" },
+    action: { type: "string", enum: Object.values(AUDIT_ACTIONS) },
+    occurred_after: { type: "string", format: "date-time" },
+    occurred_before: { type: "string", format: "date-time" },
+    limit: {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_AUDIT_PAGE_SIZE,
+      default: DEFAULT_AUDIT_PAGE_SIZE,
+    },
+    cursor: { type: "string", minLength: 1, description: "next_cursor of the previous page" },
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Shared request schemas
+ * @description JSON Schema fragments reused by the per-route schemas, for use with
+ * the validate middleware and the API docs
+ * @module schemas/common
+ * @version 1.0.0
+ */
+
+/**
+ * A person's first or last name
+ * @type {Object}
+ */
+export const nameSchema = Object.freeze({
+  type: "string",
+  minLength: 1,
+  maxLength: 255,
+});
+
+/**
+ * An email address
+ * @type {Object}
+ */
+export const emailSchema = Object.freeze({
+  type: "string",
+  format: "email",
+  maxLength: 255,
+});
+
+/**
+ * A new password: 8 to 128 characters with at least one letter and one digit
+ * @type {Object}
+ * @description The maximum length bounds the cost of hashing untrusted input
+ */
+export const newPasswordSchema = Object.freeze({
+  type: "string",
+  minLength: 8,
+  maxLength: 128,
+  pattern: "^(?=.*\\p{L})(?=.*\\p{N})",
+  errorMessage: "must be 8 to 128 characters and contain at least one letter and one digit",
+});
+
+/**
+ * A password checked against a stored hash (no strength rules, so old passwords still work)
+ * @type {Object}
+ */
+export const currentPasswordSchema = Object.freeze({
+  type: "string",
+  minLength: 1,
+  maxLength: 1024,
+});
+
+/**
+ * Route parameters with a positive integer `id`
+ * @type {Object}
+ */
+export const idParamsSchema = Object.freeze({
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+  },
+});
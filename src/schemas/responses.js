@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Response schemas
+ * @description JSON Schemas for the resources and error bodies the API returns, used
+ * by the OpenAPI document (src/openapi.js)
+ * @module schemas/responses
+ * @version 1.0.0
+ */
+
+import { ROLES, API_KEY_SCOPES } from "../config/permissions.js";
+import { AUDIT_ACTIONS } from "../audit.js";
+
+/**
+ * A timestamp as returned by the API
+ * @type {Object}
+ */
+const timestamp = { type: "string", format: "date-time" };
+
+/**
+ * Public representation of a user (see src/serializers/user.js)
+ * @type {Object}
+ * @description Endpoints that accept `fields` return only the selected properties
+ */
+export const userSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    first_name: { type: "string" },
+    last_name: { type: "string" },
+    email: { type: "string", format: "email" },
+    role: { type: "string", enum: Object.values(ROLES) },
+    email_verified_at: { type: ["string", "null"], format: "date-time" },
+    created_at: timestamp,
+    updated_at: timestamp,
+    deleted_at: {
+      type: ["string", "null"],
+      format: "date-time",
+      description: "Set on soft-deleted users, only returned with include_deleted",
+    },
+  },
+};
+
+/**
+ * Public representation of a session (see src/serializers/session.js)
+ * @type {Object}
+ */
+export const sessionSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    user_id: { type: "integer" },
+    user_agent: { type: ["string", "null"] },
+    ip_address: { type: ["string", "null"] },
+    created_at: timestamp,
+    last_seen_at: { type: ["string", "null"], format: "date-time" },
+    expires_at: timestamp,
+    current: {
+      type: "boolean",
+      description: "True for the session the caller's access token belongs to",
+    },
+  },
+};
+
+/**
+ * An API key without the key itself
+ * @type {Object}
+ */
+export const apiKeySchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    name: { type: "string" },
+    key_prefix: { type: "string" },
+    scopes: { type: "array", items: { type: "string", enum: Object.values(API_KEY_SCOPES) } },
+    expires_at: { type: ["string", "null"], format: "date-time" },
+    last_used_at: { type: ["string", "null"], format: "date-time" },
+    revoked_at: { type: ["string", "null"], format: "date-time" },
+    created_by: { type: ["integer", "null"] },
+    created_at: timestamp,
+    updated_at: timestamp,
+  },
+};
+
+/**
+ * An entry of the audit log
+ * @type {Object}
+ */
+export const auditEventSchema = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    occurred_at: timestamp,
+    action: { type: "string", enum: Object.values(AUDIT_ACTIONS) },
+    actor_user_id: { type: ["integer", "null"], description: "User who performed the action" },
+    api_key_id: { type: ["integer", "null"], description: "Stored API key the request used" },
+    api_client_name: { type: ["string", "null"] },
+    target_user_id: { type: ["integer", "null"], description: "User the action was performed on" },
+    changes: {
+      type: ["object", "null"],
+      description: "Changed fields as { field: { from, to } }",
+      additionalProperties: {
+        type: "object",
+        properties: { from: {}, to: {} },
+      },
+    },
+    metadata: { type: ["object", "null"], description: "Other details, e.g. a failure reason" },
+    ip_address: { type: ["string", "null"] },
+    user_agent: { type: ["string", "null"] },
+    request_id: { type: ["string", "null"] },
+  },
+};
+
+/**
+ * Tokens issued by login and refresh
+ * @type {Object}
+ */
+export const tokenResponseSchema = {
+  type: "object",
+  properties: {
+    token: { type: "string", description: "JWT access token" },
+    refreshToken: { type: "string", description: "Single-use refresh token" },
+    session: { type: "string", description: "Encrypted session" },
+    sessionExpires: timestamp,
+  },
+};
+
+/**
+ * One result of GET /users/search (see src/user-search.js)
+ * @type {Object}
+ */
+export const userSearchResultSchema = {
+  type: "object",
+  properties: {
+    user: { $ref: "#/components/schemas/User" },
+    score: { type: "number", description: "Relevance; higher is better" },
+    highlights: {
+      type: "object",
+      description:
+        "Matching fields as HTML-escaped text with the matches wrapped in <mark> tags; " +
+        "fields without a match are left out",
+      properties: {
+        first_name: { type: "string" },
+        last_name: { type: "string" },
+        email: { type: "string" },
+      },
+    },
+  },
+};
+
+/**
+ * Result of POST /users/import (see src/user-import.js)
+ * @type {Object}
+ */
+export const importResultSchema = {
+  type: "object",
+  properties: {
+    dry_run: { type: "boolean" },
+    on_duplicate: { type: "string", enum: ["skip", "update", "fail"] },
+    processed: { type: "integer", description: "Rows read, including invalid ones" },
+    created: { type: "integer" },
+    updated: { type: "integer" },
+    skipped: { type: "integer" },
+    failed: { type: "integer" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          line: { type: "integer", description: "Line the row starts on" },
+          field: { type: ["string", "null"] },
+          code: {
+            type: "string",
+            enum: [
+              "invalid_record",
+              "validation_failed",
+              "forbidden",
+              "duplicate_in_file",
+              "email_taken",
+              "batch_failed",
+            ],
+          },
+          message: { type: "string" },
+        },
+      },
+    },
+    errors_truncated: { type: "boolean", description: "More errors occurred than are listed" },
+  },
+};
+
+/**
+ * A response carrying only a message
+ * @type {Object}
+ */
+export const messageSchema = {
+  type: "object",
+  properties: {
+    message: { type: "string" },
+  },
+};
+
+/**
+ * RFC 9457 problem details (see src/middleware/error-handler.js)
+ * @type {Object}
+ */
+export const problemSchema = {
+  type: "object",
+  required: ["type", "title", "status", "code"],
+  properties: {
+    type: { type: "string", description: "PROBLEM_TYPE_BASE_URL followed by the code" },
+    title: { type: "string" },
+    status: { type: "integer" },
+    detail: { type: "string", description: "Human-readable explanation; may change" },
+    code: { type: "string", description: "Stable, machine-readable error code" },
+    instance: { type: "string" },
+    request_id: { type: "string", description: "Same as the X-Request-Id response header" },
+  },
+};
+
+/**
+ * Problem details for a request that failed validation
+ * @type {Object}
+ */
+export const validationProblemSchema = {
+  allOf: [
+    { $ref: "#/components/schemas/Problem" },
+    {
+      type: "object",
+      properties: {
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              location: { type: "string", enum: ["params", "query", "body"] },
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+  ],
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Request schemas for the /user-auth endpoints
+ * @description JSON Schemas for request bodies accepted by src/routes/user-auth.js,
+ * used by the validate middleware and the API docs
+ * @module schemas/user-auth
+ * @requires ./common
+ * @version 1.0.0
+ */
+
+import {
+  emailSchema,
+  newPasswordSchema,
+  currentPasswordSchema,
+  idParamsSchema,
+} from "./common.js";
+
+export { idParamsSchema as sessionIdParams };
+
+/**
+ * An opaque token issued by the API, such as a refresh or email token
+ * @type {Object}
+ */
+const tokenSchema = {
+  type: "string",
+  minLength: 1,
+  maxLength: 256,
+};
+
+/**
+ * Request body for POST /user-auth
+ * @type {Object}
+ */
+export const loginBody = {
+  type: "object",
+  required: ["email", "password"],
+  properties: {
+    email: emailSchema,
+    password: currentPasswordSchema,
+  },
+};
+
+/**
+ * Request body for POST /user-auth/refresh
+ * @type {Object}
+ */
+export const refreshBody = {
+  type: "object",
+  required: ["refreshToken"],
+  properties: {
+    refreshToken: { ...tokenSchema, description: "Refresh token from login or a previous refresh" },
+  },
+};
+
+/**
+ * Request body for POST /user-auth/forgot-password and
+ * POST /user-auth/resend-verification
+ * @type {Object}
+ */
+export const emailBody = {
+  type: "object",
+  required: ["email"],
+  properties: {
+    email: emailSchema,
+  },
+};
+
+/**
+ * Request body for POST /user-auth/verify-email
+ * @type {Object}
+ */
+export const verifyEmailBody = {
+  type: "object",
+  required: ["token"],
+  properties: {
+    token: { ...tokenSchema, description: "Token from the verification email" },
+  },
+};
+
+/**
+ * Request body for POST /user-auth/verify-session and POST /user-auth/logout
+ * @type {Object}
+ */
+export const sessionBody = {
+  type: "object",
+  required: ["session"],
+  properties: {
+    session: {
+      type: "string",
+      minLength: 1,
+      maxLength: 1024,
+      description: "Encrypted session from login or refresh",
+    },
+  },
+};
+
+/**
+ * Request body for POST /user-auth/reset-password
+ * @type {Object}
+ */
+export const resetPasswordBody = {
+  type: "object",
+  required: ["token", "password"],
+  properties: {
+    token: tokenSchema,
+    password: newPasswordSchema,
+  },
+};
+
+/**
+ * Query string for GET /user-auth/sessions
+ * @type {Object}
+ */
+export const listSessionsQuery = {
+  type: "object",
+  properties: {
+    user_id: { type: "integer", minimum: 1 },
+  },
+};
+
+/**
+ * Query string for DELETE /user-auth/sessions
+ * @type {Object}
+ */
+export const revokeSessionsQuery = {
+  type: "object",
+  properties: {
+    keep_current: {
+      type: "boolean",
+      default: false,
+      description: "Keep the session the access token belongs to",
+    },
+  },
+};
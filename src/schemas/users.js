@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Request schemas for the /users endpoints
+ * @description JSON Schemas for the bodies, route parameters and query strings
+ * accepted by src/routes/users.js, used by the validate middleware and the API docs
+ * @module schemas/users
+ * @requires ./common
+ * @version 1.0.0
+ */
+
+import { UserModel } from "../models/UserModel.js";
+import { ROLES } from "../config/permissions.js";
+import {
+  nameSchema,
+  emailSchema,
+  newPasswordSchema,
+  currentPasswordSchema,
+  idParamsSchema,
+} from "./common.js";
+
+export { idParamsSchema as userIdParams };
+
+/**
+ * Default number of users returned per page
+ * @type {number}
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Maximum number of users a client may request per page
+ * @type {number}
+ */
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * The `fields` query parameter; the listed names are checked by parseFields
+ * @type {Object}
+ */
+const fieldsProperty = {
+  type: "string",
+  description: "Comma-separated public fields to include, e.g. id,email",
+};
+
+/**
+ * The `include_deleted` query parameter, allowed with the users:read_deleted permission
+ * @type {Object}
+ */
+const includeDeletedProperty = {
+  type: "boolean",
+  default: false,
+  description: "Include soft-deleted users (requires users:read_deleted)",
+};
+
+/**
+ * Query string accepted by endpoints that return a user
+ * @type {Object}
+ */
+export const userFieldsQuery = {
+  type: "object",
+  properties: {
+    fields: fieldsProperty,
+  },
+};
+
+/**
+ * Query string for GET /users/:id
+ * @type {Object}
+ */
+export const getUserQuery = {
+  type: "object",
+  properties: {
+    fields: fieldsProperty,
+    include_deleted: includeDeletedProperty,
+  },
+};
+
+/**
+ * Query string for GET /users
+ * @type {Object}
+ */
+export const listUsersQuery = {
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+    page: { type: "integer", minimum: 1 },
+    cursor: { type: "string", minLength: 1 },
+    email: { type: "string", minLength: 1, maxLength: 255 },
+    name: { type: "string", minLength: 1, maxLength: 255 },
+    created_after: { type: "string", format: "date-time" },
+    created_before: { type: "string", format: "date-time" },
+    sort: { type: "string", enum: UserModel.SORTABLE_COLUMNS, default: "created_at" },
+    order: { type: "string", enum: ["asc", "desc"], default: "desc" },
+    fields: fieldsProperty,
+    include_deleted: includeDeletedProperty,
+  },
+};
+
+/**
+ * Query string for GET /users/search
+ * @type {Object}
+ */
+export const searchUsersQuery = {
+  type: "object",
+  required: ["q"],
+  properties: {
+    q: {
+      type: "string",
+      minLength: 1,
+      maxLength: 200,
+      description: "Names or email address to look for; prefixes and typos also match",
+    },
+    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+    page: { type: "integer", minimum: 1, default: 1 },
+    fields: fieldsProperty,
+    include_deleted: includeDeletedProperty,
+  },
+};
+
+/**
+ * Request body for POST /users
+ * @type {Object}
+ */
+export const createUserBody = {
+  type: "object",
+  required: ["first_name", "last_name", "email", "password"],
+  additionalProperties: false,
+  properties: {
+    first_name: nameSchema,
+    last_name: nameSchema,
+    email: emailSchema,
+    password: newPasswordSchema,
+  },
+};
+
+/**
+ * Request body for PUT /users/me
+ * @type {Object}
+ */
+export const updateProfileBody = {
+  type: "object",
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    first_name: nameSchema,
+    last_name: nameSchema,
+    email: emailSchema,
+  },
+};
+
+/**
+ * Request body for PUT /users/:id
+ * @type {Object}
+ */
+export const updateUserBody = {
+  type: "object",
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    ...updateProfileBody.properties,
+    role: { type: "string", enum: Object.values(ROLES) },
+  },
+};
+
+/**
+ * JSON Merge Patch (RFC 7396) document for PATCH /users/:id
+ * @type {Object}
+ * @description Present members replace the stored values and absent ones are left
+ * unchanged. A `null` member would remove the field, but every patchable field is
+ * required on a user, so the string types reject it.
+ */
+export const patchUserBody = {
+  ...updateUserBody,
+  description: "JSON Merge Patch; null members are rejected since every field is required",
+};
+
+/**
+ * Ways POST /users/import can handle a row whose email belongs to an existing user
+ * @type {Array<string>}
+ * @description "skip" leaves the user alone, "update" overwrites their name, role and
+ * password with the row's values, and "fail" reports the row as an error
+ */
+export const DUPLICATE_STRATEGIES = ["skip", "update", "fail"];
+
+/**
+ * Query string for POST /users/import
+ * @type {Object}
+ */
+export const importUsersQuery = {
+  type: "object",
+  properties: {
+    on_duplicate: {
+      type: "string",
+      enum: DUPLICATE_STRATEGIES,
+      default: "fail",
+      description: "What to do with rows whose email belongs to an existing user",
+    },
+    dry_run: {
+      type: "boolean",
+      default: false,
+      description: "Validate and report without saving anything",
+    },
+  },
+};
+
+/**
+ * One row of a POST /users/import file
+ * @type {Object}
+ * @description Other columns or properties are ignored, so an export can be imported
+ * again. Without a password the user sets one through the password reset flow.
+ */
+export const importUserRecord = {
+  type: "object",
+  required: ["first_name", "last_name", "email"],
+  properties: {
+    first_name: nameSchema,
+    last_name: nameSchema,
+    email: emailSchema,
+    password: newPasswordSchema,
+    role: { type: "string", enum: Object.values(ROLES) },
+  },
+};
+
+/**
+ * Query string for GET /users/export
+ * @type {Object}
+ */
+export const exportUsersQuery = {
+  type: "object",
+  properties: {
+    format: { type: "string", enum: ["csv", "ndjson"], default: "csv" },
+    fields: fieldsProperty,
+    include_deleted: includeDeletedProperty,
+  },
+};
+
+/**
+ * Request body for PUT /users/me/password
+ * @type {Object}
+ */
+export const changePasswordBody = {
+  type: "object",
+  required: ["current_password", "new_password"],
+  additionalProperties: false,
+  properties: {
+    current_password: currentPasswordSchema,
+    new_password: newPasswordSchema,
+  },
+};
+
+/**
+ * Request body for DELETE /users/me
+ * @type {Object}
+ */
+export const deleteAccountBody = {
+  type: "object",
+  required: ["password"],
+  additionalProperties: false,
+  properties: {
+    password: currentPasswordSchema,
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Session serialization for API responses
+ * @description Converts session rows into the device listing shown to users, without
+ * refresh token hashes or rotation bookkeeping
+ * @module serializers/session
+ * @version 1.0.0
+ */
+
+/**
+ * Build the public representation of a session
+ * @function
+ * @param {Object} session - Session row from SessionModel
+ * @param {string|null} [currentFamilyId=null] - Session family of the caller's access
+ * token, used to flag the session the request was made from
+ * @returns {Object} Public session object
+ * @example
+ * serializeSession(session, req.sessionFamilyId);
+ * // Returns: { id: 4, user_agent: "Mozilla/5.0 ...", ip_address: "203.0.113.7", current: true, ... }
+ */
+export function serializeSession(session, currentFamilyId = null) {
+  return {
+    id: session.id,
+    user_id: session.user_id,
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    created_at: session.created_at,
+    last_seen_at: session.last_seen_at,
+    expires_at: session.expires_at,
+    current: !!currentFamilyId && session.family_id === currentFamilyId,
+  };
+}
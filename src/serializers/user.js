@@ -0,0 +1,81 @@
+/**
+ * @fileoverview User serialization for API responses
+ * @description Converts user rows into their public representation, with optional
+ * field selection driven by the `fields` query parameter
+ * @module serializers/user
+ * @requires ../models/UserModel
+ * @version 1.0.0
+ */
+
+import { UserModel } from "../models/UserModel.js";
+
+/**
+ * Fields that may appear in a public user representation
+ * @type {Array<string>}
+ */
+export const PUBLIC_USER_FIELDS = UserModel.PUBLIC_COLUMNS;
+
+/**
+ * Parse a comma-separated `fields` query parameter
+ * @function
+ * @param {string|undefined} value - Raw query parameter value
+ * @returns {{ fields: Array<string>|null }|{ error: string }} Selected fields
+ * (null when all public fields are wanted) or a validation error
+ * @example
+ * parseFields("id,email");
+ * // Returns: { fields: ["id", "email"] }
+ * parseFields("id,password_hash");
+ * // Returns: { error: "Unknown fields: password_hash" }
+ */
+export function parseFields(value) {
+  if (value === undefined) {
+    return { fields: null };
+  }
+
+  if (typeof value !== "string") {
+    return { error: "fields must be a comma-separated list" };
+  }
+
+  const fields = [
+    ...new Set(
+      value
+        .split(",")
+        .map((field) => field.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (!fields.length) {
+    return { error: "fields must list at least one field" };
+  }
+
+  const unknown = fields.filter((field) => !PUBLIC_USER_FIELDS.includes(field));
+  if (unknown.length) {
+    return { error: `Unknown fields: ${unknown.join(", ")}` };
+  }
+
+  return { fields };
+}
+
+/**
+ * Build the public representation of a user
+ * @function
+ * @param {Object} user - User row from UserModel
+ * @param {Array<string>|null} [fields=null] - Fields to include; all public fields when null
+ * @returns {Object} Public user object; credential columns are never included
+ * @example
+ * serializeUser(user, ["id", "email"]);
+ * // Returns: { id: 1, email: "johndoe@example.com" }
+ */
+export function serializeUser(user, fields = null) {
+  const selected = fields || PUBLIC_USER_FIELDS;
+  const result = {};
+
+  for (const field of selected) {
+    if (PUBLIC_USER_FIELDS.includes(field) && field in user) {
+      result[field] = user[field];
+    }
+  }
+
+  return result;
+}
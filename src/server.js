@@ -0,0 +1,66 @@
+/**
+ * @fileoverview HTTP server entry point
+ * @description Starts the Express application from src/app.js, prepares the database
+ * and background jobs, and shuts everything down on SIGTERM or SIGINT
+ * @version 1.0.0
+ */
+
+import app from "./app.js";
+import { testConnection, closePool } from "./config/database.js";
+import { initializeDatabase, closeDatabase } from "./db/init.js";
+import { startPurgeScheduler } from "./jobs/purge-expired.js";
+import logger from "./logger.js";
+import { handleShutdownSignals } from "./shutdown.js";
+
+/**
+ * Server port number from environment variable or default 8000
+ * @type {number}
+ * @default 8000
+ */
+const port = process.env.PORT || 8000;
+
+/** * Domain name for the server, defaults to 'localhost'
+ * @type {string}
+ * @default "localhost"
+ */
+const domain = process.env.DOMAIN || "localhost";
+
+/**
+ * Stops the purge scheduler, if it was started
+ * @type {function(): void}
+ */
+let stopPurge = () => {};
+
+/**
+ * Start the Express server
+ * @function
+ * @description Starts the server on the specified port and logs the startup message
+ * @param {number} port - The port number to listen on
+ * @param {Function} callback - Callback function executed when server starts
+ * @example
+ * // Server running at http://localhost:8000/
+ */
+const server = app.listen(port, async () => {
+  logger.info(`Server running at http://${domain}:${port}/`);
+
+  // Test database connection on startup
+  await testConnection();
+
+  // Initialize database (run migrations and seeds)
+  await initializeDatabase();
+
+  // Purge expired sessions and tokens periodically, unless a cron job does it
+  if (process.env.PURGE_SCHEDULER_ENABLED !== "false") {
+    stopPurge = startPurgeScheduler();
+  }
+});
+
+/**
+ * Graceful shutdown
+ * @description On SIGTERM or SIGINT, stop accepting connections, let in-flight
+ * requests finish, then stop background jobs and close the database pools
+ * @see {@link ./shutdown.js}
+ */
+handleShutdownSignals(server, {
+  cleanup: [() => stopPurge(), closeDatabase, closePool],
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Graceful shutdown
+ * @description Stops the HTTP server on SIGTERM or SIGINT without dropping requests:
+ * new connections are refused, in-flight requests are allowed to finish, and then
+ * resources such as the database pools are closed. Readiness checks report the
+ * instance as unavailable as soon as shutdown starts, so load balancers stop sending
+ * traffic to it.
+ * @version 1.0.0
+ */
+
+import logger from './logger.js';
+
+/**
+ * Maximum time to wait for in-flight requests before closing their connections
+ * @type {number}
+ * @default 10000 (10 seconds)
+ */
+export const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+/**
+ * Whether shutdown has started
+ * @private
+ * @type {boolean}
+ */
+let shuttingDown = false;
+
+/**
+ * Check whether the process is shutting down
+ * @function
+ * @returns {boolean} True once a shutdown signal has been received
+ */
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Middleware that closes keep-alive connections once shutdown has started
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @description Sets `Connection: close` on responses sent while draining, so clients
+ * reconnect to another instance instead of reusing a connection to this one
+ * @returns {void}
+ */
+export function closeConnectionsOnShutdown(req, res, next) {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+  }
+  next();
+}
+
+/**
+ * Shut the server down gracefully
+ * @async
+ * @function
+ * @param {import('http').Server} server - HTTP server to stop
+ * @param {Object} [options={}] - Shutdown options
+ * @param {Array<function(): (void|Promise<void>)>} [options.cleanup=[]] - Run in order
+ * after the server has closed, e.g. stopping timers and closing database pools. A
+ * failing step is logged and the remaining steps still run.
+ * @param {number} [options.timeoutMs=SHUTDOWN_TIMEOUT_MS] - Time allowed for in-flight
+ * requests; connections still open after it are destroyed
+ * @param {string} [options.signal] - Signal that triggered the shutdown, for the log
+ * @returns {Promise<void>} Resolves when every cleanup step has run; sets
+ * `process.exitCode` to 1 if requests had to be cut off or a step failed
+ * @description Calling it again while a shutdown is in progress does nothing.
+ */
+export async function shutdown(server, options = {}) {
+  if (shuttingDown) {
+    return;
+  }
+
+  shuttingDown = true;
+  const { cleanup = [], timeoutMs = SHUTDOWN_TIMEOUT_MS, signal } = options;
+  logger.info('Shutting down', { signal, timeout_ms: timeoutMs });
+
+  let forced = false;
+  const forceTimer = setTimeout(() => {
+    forced = true;
+    logger.warn('In-flight requests did not finish in time; closing connections');
+    server.closeAllConnections();
+  }, timeoutMs);
+  forceTimer.unref();
+
+  // Keep-alive connections become idle once their in-flight request is answered;
+  // close them as they do so that server.close() can complete
+  const idleTimer = setInterval(() => server.closeIdleConnections(), 100);
+  idleTimer.unref();
+
+  await new Promise((resolve) => {
+    server.close(resolve);
+    server.closeIdleConnections();
+  });
+  clearTimeout(forceTimer);
+  clearInterval(idleTimer);
+
+  let failed = forced;
+  for (const step of cleanup) {
+    try {
+      await step();
+    } catch (error) {
+      failed = true;
+      logger.error('Shutdown step failed', error);
+    }
+  }
+
+  logger.info('Shutdown complete');
+  process.exitCode = failed ? 1 : 0;
+}
+
+/**
+ * Shut the server down gracefully on SIGTERM and SIGINT
+ * @function
+ * @param {import('http').Server} server - HTTP server to stop
+ * @param {Object} [options={}] - Options passed to shutdown()
+ * @returns {void}
+ * @example
+ * const server = app.listen(port);
+ * handleShutdownSignals(server, { cleanup: [stopPurge, closeDatabase, closePool] });
+ */
+export function handleShutdownSignals(server, options = {}) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => shutdown(server, { ...options, signal }));
+  }
+}
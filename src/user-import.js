@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Bulk user import
+ * @description Validates parsed CSV or NDJSON records one at a time and saves them in
+ * batches, each in its own transaction, collecting per-row errors instead of stopping
+ * at the first bad row
+ * @version 1.0.0
+ */
+
+import { UserModel } from './models/UserModel.js';
+import { validateValue } from './middleware/validate.js';
+import { importUserRecord, DUPLICATE_STRATEGIES } from './schemas/users.js';
+import { hashPassword } from './utils.js';
+import logger from './logger.js';
+
+export { DUPLICATE_STRATEGIES };
+
+/**
+ * Rows saved per transaction
+ * @type {number}
+ * @default 500
+ */
+export const IMPORT_BATCH_SIZE = parseInt(process.env.USER_IMPORT_BATCH_SIZE) || 500;
+
+/**
+ * Most row errors listed in an import result; later ones are only counted
+ * @type {number}
+ */
+export const MAX_REPORTED_ERRORS = 1000;
+
+/**
+ * Import users from parsed records
+ * @async
+ * @function
+ * @param {AsyncIterable<{line: number, record?: Object, error?: string}>} entries -
+ * Output of parseCsv or parseNdjson
+ * @param {Object} [options={}] - Import options
+ * @param {string} [options.onDuplicate='fail'] - One of DUPLICATE_STRATEGIES
+ * @param {boolean} [options.dryRun=false] - Validate and look up duplicates without saving
+ * @param {boolean} [options.canManageRoles=false] - Whether rows may set `role`
+ * @param {number} [options.batchSize=IMPORT_BATCH_SIZE] - Rows saved per transaction
+ * @returns {Promise<Object>} Counts of `processed`, `created`, `updated`, `skipped` and
+ * `failed` rows, and `errors` listing the first MAX_REPORTED_ERRORS problems as
+ * `{ line, field, code, message }` (a row may have several)
+ * @description Rows are validated against the importUserRecord schema; unknown
+ * columns are ignored, so an export can be imported again. An email that appears
+ * twice in the input fails on its second appearance. If saving a batch fails, none of
+ * its rows are saved and each is reported with code `batch_failed`; other batches
+ * are unaffected.
+ * @example
+ * const result = await importUsers(parseCsv(req), { onDuplicate: 'skip' });
+ * // Returns: { processed: 3, created: 2, updated: 0, skipped: 1, failed: 0, errors: [], ... }
+ */
+export async function importUsers(entries, options = {}) {
+  const {
+    onDuplicate = 'fail',
+    dryRun = false,
+    canManageRoles = false,
+    batchSize = IMPORT_BATCH_SIZE,
+  } = options;
+
+  const result = {
+    dry_run: dryRun,
+    on_duplicate: onDuplicate,
+    processed: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    errors_truncated: false,
+  };
+
+  const seenEmails = new Map();
+  let batch = [];
+
+  const failRow = (line, problems) => {
+    result.failed += 1;
+    for (const { field = null, code, message } of problems) {
+      if (result.errors.length < MAX_REPORTED_ERRORS) {
+        result.errors.push({ line, field, code, message });
+      } else {
+        result.errors_truncated = true;
+      }
+    }
+  };
+
+  const flush = async () => {
+    if (batch.length) {
+      await saveBatch(batch, { onDuplicate, dryRun }, result, failRow);
+      batch = [];
+    }
+  };
+
+  for await (const { line, record, error } of entries) {
+    result.processed += 1;
+
+    if (error) {
+      failRow(line, [{ code: 'invalid_record', message: `Record ${error}` }]);
+      continue;
+    }
+
+    const fieldErrors = [];
+    const row = validateValue(importUserRecord, record, '', 'body', fieldErrors);
+
+    if (fieldErrors.length) {
+      failRow(
+        line,
+        fieldErrors.map(({ field, message }) => ({ field, code: 'validation_failed', message }))
+      );
+      continue;
+    }
+
+    if (row.role !== undefined && !canManageRoles) {
+      failRow(line, [
+        { field: 'role', code: 'forbidden', message: 'Insufficient permissions to set roles' },
+      ]);
+      continue;
+    }
+
+    if (seenEmails.has(row.email)) {
+      failRow(line, [
+        {
+          field: 'email',
+          code: 'duplicate_in_file',
+          message: `Email already appears on line ${seenEmails.get(row.email)}`,
+        },
+      ]);
+      continue;
+    }
+    seenEmails.set(row.email, line);
+
+    batch.push({ line, row });
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return result;
+}
+
+/**
+ * Save one batch of validated rows and add the outcome to the result
+ * @private
+ * @async
+ * @param {Array<{line: number, row: Object}>} batch - Validated rows with their line numbers
+ * @param {Object} options - `onDuplicate` and `dryRun`
+ * @param {Object} result - Import result to update
+ * @param {function(number, Array<Object>): void} failRow - Records a failed row and its problems
+ * @returns {Promise<void>}
+ */
+async function saveBatch(batch, { onDuplicate, dryRun }, result, failRow) {
+  const lines = new Map(batch.map(({ line, row }) => [row.email, line]));
+
+  // Hash outside the transaction so row locks are not held while scrypt runs
+  const rows = await Promise.all(
+    batch.map(async ({ row }) => ({
+      first_name: row.first_name,
+      last_name: row.last_name,
+      email: row.email,
+      ...(row.role !== undefined && { role: row.role }),
+      ...(row.password !== undefined && !dryRun && {
+        password_hash: await hashPassword(row.password),
+      }),
+    }))
+  );
+
+  let saved;
+  try {
+    saved = await UserModel.importBatch(rows, { onDuplicate, dryRun });
+  } catch (error) {
+    logger.error('Import batch failed', error);
+    for (const line of lines.values()) {
+      failRow(line, [
+        { code: 'batch_failed', message: 'The batch containing this row could not be saved' },
+      ]);
+    }
+    return;
+  }
+
+  result.created += saved.created.length;
+  result.updated += saved.updated.length;
+
+  for (const email of saved.duplicates) {
+    if (onDuplicate === 'skip') {
+      result.skipped += 1;
+    } else {
+      failRow(lines.get(email), [
+        { field: 'email', code: 'email_taken', message: 'Email already exists' },
+      ]);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview User search terms and highlighting
+ * @description Splits search queries into the terms UserModel.search matches, and marks
+ * where those terms matched in a user's names and email for GET /users/search
+ * @version 1.0.0
+ */
+
+import { UserModel } from './models/UserModel.js';
+
+/**
+ * Lowest trigram word similarity (0 to 1) at which a user matches a misspelled query
+ * @type {number}
+ * @default 0.3
+ */
+export const MIN_SIMILARITY = parseFloat(process.env.USER_SEARCH_MIN_SIMILARITY) || 0.3;
+
+/**
+ * User fields that are searched and highlighted
+ * @type {Array<string>}
+ */
+export const SEARCH_FIELDS = ['first_name', 'last_name', 'email'];
+
+/**
+ * Characters replaced when escaping highlighted text for HTML
+ * @private
+ * @type {Object<string, string>}
+ */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Split a search query into lowercase terms
+ * @function
+ * @param {string} query - Search query as typed
+ * @returns {Array<string>} Distinct runs of letters and digits, in order; punctuation,
+ * including the @ and dots of email addresses, separates terms
+ * @example
+ * searchTerms('Jane  jane@Example.com');
+ * // Returns: ['jane', 'example', 'com']
+ */
+export function searchTerms(query) {
+  return [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+/**
+ * Mark the parts of a user's searched fields that match the search terms
+ * @function
+ * @param {Object} user - User row
+ * @param {Array<string>} terms - Terms from searchTerms
+ * @param {Object} [options={}] - Highlight options
+ * @param {number} [options.minSimilarity=MIN_SIMILARITY] - Similarity at which a
+ * misspelled word counts as a match
+ * @returns {Object<string, string>} For each field with a match, its HTML-escaped value
+ * with the matches wrapped in `<mark>` tags
+ * @description A word matches a term it starts with, in which case only that prefix is
+ * marked, or a term of at least UserModel.MIN_FUZZY_TERM_LENGTH characters it is similar
+ * enough to (by the same trigram measure Postgres uses), in which case the whole word is
+ * marked.
+ * @example
+ * highlightUser({ first_name: 'Jane', last_name: 'Smith', email: 'jane@example.com' }, ['jan', 'smtih']);
+ * // Returns: { first_name: '<mark>Jan</mark>e', last_name: '<mark>Smith</mark>', email: '<mark>jan</mark>e@example.com' }
+ */
+export function highlightUser(user, terms, options = {}) {
+  const { minSimilarity = MIN_SIMILARITY } = options;
+  const fuzzyTerms = terms.filter((term) => term.length >= UserModel.MIN_FUZZY_TERM_LENGTH);
+  const highlights = {};
+
+  for (const field of SEARCH_FIELDS) {
+    if (typeof user[field] === 'string') {
+      const highlighted = highlightText(user[field], terms, fuzzyTerms, minSimilarity);
+      if (highlighted !== null) {
+        highlights[field] = highlighted;
+      }
+    }
+  }
+
+  return highlights;
+}
+
+/**
+ * Mark the matching words of one value
+ * @private
+ * @param {string} value - Field value
+ * @param {Array<string>} terms - Lowercase search terms, matched as prefixes
+ * @param {Array<string>} fuzzyTerms - Terms also matched by similarity
+ * @param {number} minSimilarity - Similarity at which a misspelled word matches
+ * @returns {string|null} Escaped value with `<mark>` tags, or null if nothing matched
+ */
+function highlightText(value, terms, fuzzyTerms, minSimilarity) {
+  let result = '';
+  let position = 0;
+
+  for (const { 0: word, index } of value.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const lowerWord = word.toLowerCase();
+    const prefix = terms
+      .filter((term) => lowerWord.startsWith(term))
+      .reduce((longest, term) => Math.max(longest, term.length), 0);
+
+    let length = prefix;
+    if (!length && fuzzyTerms.some((term) => wordSimilarity(term, lowerWord) >= minSimilarity)) {
+      length = word.length;
+    }
+
+    if (length) {
+      result += escapeHtml(value.slice(position, index));
+      result += `<mark>${escapeHtml(value.slice(index, index + length))}</mark>`;
+      position = index + length;
+    }
+  }
+
+  if (!position) {
+    return null;
+  }
+
+  return result + escapeHtml(value.slice(position));
+}
+
+/**
+ * Trigrams of a word, padded the way pg_trgm pads them
+ * @private
+ * @param {string} word - Lowercase word
+ * @returns {Set<string>} Trigrams
+ */
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const result = new Set();
+
+  for (let index = 0; index + 3 <= padded.length; index += 1) {
+    result.add(padded.slice(index, index + 3));
+  }
+
+  return result;
+}
+
+/**
+ * Share of a term's trigrams that a word also has, like pg_trgm's word_similarity
+ * @private
+ * @param {string} term - Lowercase search term
+ * @param {string} word - Lowercase word
+ * @returns {number} Similarity from 0 to 1
+ */
+function wordSimilarity(term, word) {
+  const termTrigrams = trigrams(term);
+  const wordTrigrams = trigrams(word);
+  let shared = 0;
+
+  for (const trigram of termTrigrams) {
+    if (wordTrigrams.has(trigram)) {
+      shared += 1;
+    }
+  }
+
+  return shared / termTrigrams.size;
+}
+
+/**
+ * Escape text for use in HTML
+ * @private
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
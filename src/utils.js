@@ -5,101 +5,413 @@
  */
 
 import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
 
-const SESSION_SECRET = process.env.SESSION_SECRET || 'fallback-session-secret-key';
-const ALGORITHM = 'aes-256-cbc'; // Use CBC instead of GCM for simplicity
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12; // 96-bit nonce, as recommended for GCM
 
 /**
- * Generate password hash and salt
+ * Current scrypt parameters for new password hashes
+ * @type {{ ln: number, r: number, p: number, keyLength: number, saltLength: number }}
+ * @description `ln` is log2 of the CPU/memory cost N. Raising any value makes older
+ * hashes report needsRehash, so they are upgraded on the next successful login.
+ */
+const SCRYPT_PARAMS = Object.freeze({
+  ln: 15,
+  r: 8,
+  p: 1,
+  keyLength: 64,
+  saltLength: 16,
+});
+
+/**
+ * Iterations used by legacy PBKDF2 hashes (separate hex hash and salt columns)
+ * @type {number}
+ */
+const LEGACY_PBKDF2_ITERATIONS = 10000;
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+/**
+ * Derive a scrypt key
+ * @private
+ * @async
  * @param {string} password - Plain text password
- * @returns {Object} Object containing hash and salt
+ * @param {Buffer} salt - Salt
+ * @param {Object} params - scrypt parameters (ln, r, p, keyLength)
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveScryptKey(password, salt, { ln, r, p, keyLength }) {
+  const N = 2 ** ln;
+  return scrypt(password, salt, keyLength, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+/**
+ * Parse a PHC-format scrypt hash
+ * @private
+ * @param {string} storedHash - Hash such as `$scrypt$ln=15,r=8,p=1$<salt>$<hash>`
+ * @returns {Object|null} Parameters, salt and hash, or null if not a scrypt PHC string
+ */
+function parseScryptHash(storedHash) {
+  const match = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(
+    storedHash || ''
+  );
+
+  if (!match) {
+    return null;
+  }
+
+  const hash = Buffer.from(match[5], 'base64');
+  return {
+    ln: parseInt(match[1]),
+    r: parseInt(match[2]),
+    p: parseInt(match[3]),
+    salt: Buffer.from(match[4], 'base64'),
+    hash,
+    keyLength: hash.length,
+  };
+}
+
+/**
+ * Hash a password with scrypt
+ * @async
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} PHC-format hash that embeds the algorithm, parameters and salt
  * @example
- * const { hash, salt } = hashPassword('mypassword123');
- * // Returns: { hash: 'abc123...', salt: 'def456...' }
+ * const passwordHash = await hashPassword('mypassword123');
+ * // Returns: '$scrypt$ln=15,r=8,p=1$3q2+7w...$Zm9vYmFy...'
  */
-export function hashPassword(password) {
-  const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-  return { hash, salt };
+export async function hashPassword(password) {
+  const { ln, r, p, saltLength } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(saltLength);
+  const hash = await deriveScryptKey(password, salt, SCRYPT_PARAMS);
+
+  const encode = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+  return `$scrypt$ln=${ln},r=${r},p=${p}$${encode(salt)}$${encode(hash)}`;
 }
 
 /**
- * Verify password against stored hash and salt
+ * Verify a password against a stored hash
+ * @async
  * @param {string} password - Plain text password to verify
- * @param {string} storedHash - Stored password hash
- * @param {string} storedSalt - Stored password salt
- * @returns {boolean} True if password matches, false otherwise
+ * @param {string} storedHash - Stored password hash (PHC scrypt string, or legacy PBKDF2 hex)
+ * @param {string|null} [storedSalt] - Stored salt, only used by legacy PBKDF2 hashes
+ * @returns {Promise<boolean>} True if password matches, false otherwise
+ * @description Comparison is constant time. Legacy hashes from before scrypt are still
+ * accepted; see needsRehash.
  * @example
- * const isValid = verifyPassword('mypassword123', storedHash, storedSalt);
+ * const isValid = await verifyPassword('mypassword123', user.password_hash, user.salt);
  * // Returns: true or false
  */
-export function verifyPassword(password, storedHash, storedSalt) {
-  const hash = crypto.pbkdf2Sync(password, storedSalt, 10000, 64, 'sha512').toString('hex');
-  return hash === storedHash;
+export async function verifyPassword(password, storedHash, storedSalt) {
+  if (!storedHash) {
+    return false;
+  }
+
+  const scryptHash = parseScryptHash(storedHash);
+  if (scryptHash) {
+    const hash = await deriveScryptKey(password, scryptHash.salt, scryptHash);
+    return crypto.timingSafeEqual(hash, scryptHash.hash);
+  }
+
+  if (!storedSalt) {
+    return false;
+  }
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const hash = await pbkdf2(password, storedSalt, LEGACY_PBKDF2_ITERATIONS, 64, 'sha512');
+  return expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Check whether a stored hash should be replaced with one using current parameters
+ * @param {string} storedHash - Stored password hash
+ * @returns {boolean} True for legacy PBKDF2 hashes and scrypt hashes with outdated parameters
+ * @example
+ * if (needsRehash(user.password_hash)) {
+ *   await UserModel.update(user.id, { password_hash: await hashPassword(password), salt: null });
+ * }
+ */
+export function needsRehash(storedHash) {
+  const scryptHash = parseScryptHash(storedHash);
+
+  return (
+    !scryptHash ||
+    scryptHash.ln !== SCRYPT_PARAMS.ln ||
+    scryptHash.r !== SCRYPT_PARAMS.r ||
+    scryptHash.p !== SCRYPT_PARAMS.p ||
+    scryptHash.keyLength !== SCRYPT_PARAMS.keyLength
+  );
 }
 
+/**
+ * Session encryption keys, primary key first
+ * @type {Array<{ id: string, key: Buffer }>}
+ * @description Read from SESSION_SECRETS (comma-separated, newest first) or the single
+ * SESSION_SECRET. New sessions are encrypted with the first secret; every listed secret
+ * can still decrypt. Each key ID is derived from its secret, so it stays the same when
+ * the secret moves down the list during rotation.
+ */
+const SESSION_KEYS = (
+  process.env.SESSION_SECRETS ||
+  process.env.SESSION_SECRET ||
+  'fallback-session-secret-key'
+)
+  .split(',')
+  .map((secret) => secret.trim())
+  .filter(Boolean)
+  .map((secret) => ({
+    id: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8),
+    key: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'session-encryption', 32)),
+  }));
+
 /**
  * Encrypt session data
  * @param {Object} payload - Session data to encrypt
- * @returns {string} Encrypted session string
+ * @returns {string} Session token of the form `<keyId>.<iv>.<ciphertext>.<tag>` (base64url parts)
+ * @throws {Error} If encryption fails
+ * @description Uses AES-256-GCM with the primary session key. The key ID is
+ * authenticated along with the ciphertext.
  * @example
  * const encrypted = encrypt({ sessionId: 1, expiresAt: new Date() });
- * // Returns: encrypted string
+ * // Returns: '1a2b3c4d.Yk9v...'
  */
 export function encrypt(payload) {
-  try {
-    const text = JSON.stringify(payload);
-    const key = crypto.scryptSync(SESSION_SECRET, 'salt', 32);
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return `${iv.toString('hex')}:${encrypted}`;
-  } catch (error) {
-    console.error('Encryption error:', error);
-    // Fallback to simple base64 encoding if encryption fails
-    const text = JSON.stringify(payload);
-    return Buffer.from(text).toString('base64');
-  }
+  const { id, key } = SESSION_KEYS[0];
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(id));
+
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), 'utf8'),
+    cipher.final(),
+  ]);
+
+  return [id, iv, ciphertext, cipher.getAuthTag()]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
 }
 
 /**
  * Decrypt session data
- * @param {string} encryptedText - Encrypted session string
- * @returns {Object|null} Decrypted session data or null if invalid
+ * @param {string} encryptedText - Session token produced by encrypt
+ * @returns {Object|null} Decrypted session data, or null if the token is malformed,
+ * was encrypted with an unknown key, or fails authentication
  * @example
  * const decrypted = decrypt(encryptedString);
  * // Returns: { sessionId: 1, expiresAt: '2025-01-01T00:00:00Z' } or null
  */
 export function decrypt(encryptedText) {
+  const parts = typeof encryptedText === 'string' ? encryptedText.split('.') : [];
+
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [keyId, ivText, ciphertextText, tagText] = parts;
+  const sessionKey = SESSION_KEYS.find(({ id }) => id === keyId);
+
+  if (!sessionKey) {
+    return null;
+  }
+
+  try {
+    const iv = Buffer.from(ivText, 'base64url');
+    const tag = Buffer.from(tagText, 'base64url');
+
+    if (iv.length !== IV_LENGTH || tag.length !== 16) {
+      return null;
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, sessionKey.key, iv);
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(tag);
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertextText, 'base64url')),
+      decipher.final(),
+    ]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    // Authentication failure: tampered token or wrong key
+    return null;
+  }
+}
+
+/**
+ * Sign a short-lived JWT access token for a user
+ * @param {Object} user - User object
+ * @param {number} user.id - User ID
+ * @param {string} user.role - User role, included as the `role` claim
+ * @param {string} [sessionFamilyId] - Family ID of the session the token was issued
+ * for, included as the `sid` claim
+ * @returns {string} Signed JWT valid for one hour
+ * @example
+ * const token = signAccessToken({ id: 1, role: 'admin' }, session.family_id);
+ * // Returns: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+ */
+export function signAccessToken(user, sessionFamilyId) {
+  const claims = { id: user.id, role: user.role };
+
+  if (sessionFamilyId) {
+    claims.sid = sessionFamilyId;
+  }
+
+  return jwt.sign(claims, JWT_SECRET, {
+    expiresIn: '1hr', // Set token expiration to 1 hour
+  });
+}
+
+/**
+ * Verify a JWT access token
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} Decoded token claims
+ * @throws {jwt.JsonWebTokenError} If the token is malformed, expired or has a bad signature
+ * @example
+ * const { id, exp } = verifyAccessToken(token);
+ */
+export function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * Generate a random opaque token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} URL-safe token string
+ * @example
+ * const refreshToken = generateToken();
+ * // Returns: 'Xq3v0dS8...'
+ */
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Token to hash
+ * @returns {string} Hex-encoded SHA-256 digest
+ * @description Tokens are high-entropy random values, so a fast unsalted hash is
+ * enough to keep a database leak from exposing usable tokens.
+ * @example
+ * const refreshTokenHash = hashToken(refreshToken);
+ * // Returns: '5e884898da...'
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both values are equal
+ * @description Avoids leaking through response timing how much of a secret matched
+ * @example
+ * const matches = safeEqual(hashToken(presentedKey), storedKeyHash);
+ * // Returns: true or false
+ */
+export function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    // Still do the work so a length mismatch is not observably faster
+    crypto.timingSafeEqual(bufferA, bufferA);
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Generate a new API key
+ * @returns {{ key: string, prefix: string }} Full key to hand out once, and its public prefix
+ * @description Keys have the form `<prefix>.<secret>`. The prefix is stored in plain
+ * text to find the key; only a hash of the full key is stored.
+ * @example
+ * const { key, prefix } = generateApiKey();
+ * // Returns: { key: '3f9a0c1b2d4e.Xq3v0dS8...', prefix: '3f9a0c1b2d4e' }
+ */
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  return { key: `${prefix}.${generateToken()}`, prefix };
+}
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} position - Keyset position of the last returned row
+ * @returns {string} Opaque, URL-safe cursor string
+ * @example
+ * const cursor = encodeCursor({ value: '2025-01-15T10:30:00.000Z', id: 42 });
+ * // Returns: 'eyJ2YWx1ZSI6...'
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Largest value a Postgres integer column (and so a row ID) can hold
+ * @private
+ * @type {number}
+ */
+const MAX_POSTGRES_INTEGER = 2147483647;
+
+/**
+ * Checks that a cursor value can be compared with a column of the given type
+ * @private
+ * @type {Object<string, function(*): boolean>}
+ */
+const CURSOR_VALUE_CHECKS = {
+  integer: (value) => Number.isInteger(value) && Math.abs(value) <= MAX_POSTGRES_INTEGER,
+  // Postgres rejects strings containing NUL characters
+  string: (value) => typeof value === 'string' && !value.includes('\0'),
+  'date-time': (value) =>
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !isNaN(Date.parse(value)),
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor string produced by encodeCursor
+ * @param {string} [valueType] - Type the position's `value` must have: "integer",
+ * "string" or "date-time" (an ISO 8601 timestamp); omit for cursors without a value
+ * @returns {Object|null} Decoded keyset position or null if malformed
+ * @description Cursors come back from clients, so a tampered one must be rejected here
+ * rather than reach the database as a value that does not fit the sort column.
+ * @example
+ * const position = decodeCursor(req.query.cursor, 'date-time');
+ * // Returns: { value: '2025-01-15T10:30:00.000Z', id: 42 } or null
+ */
+export function decodeCursor(cursor, valueType) {
   try {
-    // Check if it's the new format (has colons)
-    if (encryptedText.includes(':')) {
-      const [ivHex, encrypted] = encryptedText.split(':');
-      
-      if (!ivHex || !encrypted) {
-        return null;
-      }
-      
-      const key = crypto.scryptSync(SESSION_SECRET, 'salt', 32);
-      const iv = Buffer.from(ivHex, 'hex');
-      
-      const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return JSON.parse(decrypted);
-    } else {
-      // Fallback: treat as base64 encoded
-      const text = Buffer.from(encryptedText, 'base64').toString('utf8');
-      return JSON.parse(text);
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (
+      !position ||
+      typeof position !== 'object' ||
+      !CURSOR_VALUE_CHECKS.integer(position.id) ||
+      position.id < 1
+    ) {
+      return null;
     }
-  } catch (error) {
-    console.error('Decryption error:', error);
+
+    if (valueType && !CURSOR_VALUE_CHECKS[valueType](position.value)) {
+      return null;
+    }
+
+    return position;
+  } catch {
     return null;
   }
 }
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview SessionModel tests
+ */
+
+import "./helpers/setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { createUser, createSession } from "./helpers/factories.js";
+import { SessionModel } from "../src/models/SessionModel.js";
+
+useTestDatabase();
+
+/**
+ * A date relative to now
+ * @param {number} ms - Offset in milliseconds
+ * @returns {Date} Date
+ */
+function fromNow(ms) {
+  return new Date(Date.now() + ms);
+}
+
+let user;
+
+beforeEach(async () => {
+  user = await createUser();
+});
+
+test("create starts a new family and records the device", async () => {
+  const session = await SessionModel.create(user.id, fromNow(60 * 1000), {
+    userAgent: "x".repeat(600),
+    ipAddress: "203.0.113.7",
+  });
+
+  assert.equal(session.user_id, user.id);
+  assert.match(session.family_id, /^[0-9a-f-]{36}$/);
+  assert.equal(session.user_agent.length, 512);
+  assert.equal(session.ip_address, "203.0.113.7");
+  assert.deepEqual(await SessionModel.findById(session.id), session);
+});
+
+test("rotate replaces a session within its family, once", async () => {
+  const { session } = await createSession(user);
+
+  const replacement = await SessionModel.rotate(session, "next-hash", { ipAddress: "198.51.100.1" });
+  assert.equal(replacement.family_id, session.family_id);
+  assert.equal(replacement.refresh_token_hash, "next-hash");
+  assert.equal(replacement.ip_address, "198.51.100.1");
+  assert.ok((await SessionModel.findById(session.id)).rotated_at);
+  assert.equal((await SessionModel.findByRefreshTokenHash("next-hash")).id, replacement.id);
+
+  assert.equal(await SessionModel.rotate(session, "other-hash"), null);
+});
+
+test("active lookups and counts skip expired and rotated sessions", async () => {
+  const other = await createUser();
+  const { session: active } = await createSession(user);
+  const { session: rotated } = await createSession(user);
+  await SessionModel.rotate(rotated, "rotated-hash");
+  await createSession(user, { expiresAt: fromNow(-1000) });
+  await createSession(other);
+
+  const sessions = await SessionModel.findActiveByUserId(user.id);
+  assert.equal(sessions.length, 2);
+  assert.ok(sessions.some((session) => session.id === active.id));
+  assert.equal((await SessionModel.findByUserId(user.id)).length, 4);
+
+  assert.deepEqual(await SessionModel.countActive(), { sessions: 3, users: 2 });
+
+  assert.equal(await SessionModel.isValid(active.id), true);
+  assert.equal(await SessionModel.isValid(rotated.id), false);
+});
+
+test("touch extends a session unless it has been rotated", async () => {
+  const { session } = await createSession(user);
+  const expiresAt = fromNow(7 * 24 * 60 * 60 * 1000);
+
+  const touched = await SessionModel.touch(session.id, expiresAt, { userAgent: "curl/8" });
+  assert.equal(touched.expires_at.getTime(), expiresAt.getTime());
+  assert.equal(touched.user_agent, "curl/8");
+
+  await SessionModel.rotate(touched, "rotated-hash");
+  assert.equal(await SessionModel.touch(session.id, expiresAt), null);
+});
+
+test("updateExpiration changes the expiry", async () => {
+  const { session } = await createSession(user);
+  const expiresAt = fromNow(60 * 1000);
+
+  const updated = await SessionModel.updateExpiration(session.id, expiresAt);
+
+  assert.equal(updated.expires_at.getTime(), expiresAt.getTime());
+  assert.equal(await SessionModel.updateExpiration(999999, expiresAt), null);
+});
+
+test("deleteByUserId can keep one family", async () => {
+  const { session: current } = await createSession(user);
+  await createSession(user);
+  await createSession(user);
+
+  assert.equal(await SessionModel.deleteByUserId(user.id, { exceptFamilyId: current.family_id }), 2);
+  assert.deepEqual(
+    (await SessionModel.findByUserId(user.id)).map((session) => session.id),
+    [current.id]
+  );
+  assert.equal(await SessionModel.deleteByUserId(user.id), 1);
+});
+
+test("deleteById and deleteByFamilyId remove sessions", async () => {
+  const { session } = await createSession(user);
+  const replacement = await SessionModel.rotate(session, "next-hash");
+  const { session: other } = await createSession(user);
+
+  assert.equal(await SessionModel.deleteByFamilyId(session.family_id), 2);
+  assert.equal(await SessionModel.findById(replacement.id), null);
+  assert.equal(await SessionModel.deleteById(other.id), 1);
+  assert.equal(await SessionModel.deleteById(other.id), 0);
+});
+
+test("deleteExpired removes expired sessions in batches", async () => {
+  for (let index = 0; index < 5; index += 1) {
+    await createSession(user, { expiresAt: fromNow(-1000) });
+  }
+  const { session: active } = await createSession(user);
+
+  assert.equal(await SessionModel.deleteExpired({ batchSize: 2 }), 5);
+  assert.deepEqual(
+    (await SessionModel.findByUserId(user.id)).map((session) => session.id),
+    [active.id]
+  );
+});
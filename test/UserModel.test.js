@@ -0,0 +1,208 @@
+/**
+ * @fileoverview UserModel tests
+ */
+
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { createUser, createSampleUsers, createSession } from "./helpers/factories.js";
+import { UserModel } from "../src/models/UserModel.js";
+import { SessionModel } from "../src/models/SessionModel.js";
+
+useTestDatabase();
+
+test("create stores a user and returns its public columns", async () => {
+  const user = await UserModel.create({
+    first_name: "Bob",
+    last_name: "Brown",
+    email: "bob@example.com",
+    password: "hash",
+  });
+
+  assert.equal(user.role, "member");
+  assert.equal(user.password_hash, undefined);
+  assert.deepEqual(Object.keys(user).sort(), [...UserModel.PUBLIC_COLUMNS].sort());
+});
+
+test("findById and findByEmail return credentials only when asked", async () => {
+  const user = await createUser();
+
+  const byId = await UserModel.findById(user.id);
+  assert.equal(byId.email, user.email);
+  assert.equal(byId.password_hash, undefined);
+
+  const byEmail = await UserModel.findByEmail(user.email, { withCredentials: true });
+  assert.equal(byEmail.id, user.id);
+  assert.ok(byEmail.password_hash);
+
+  assert.equal(await UserModel.findById(999999), null);
+  assert.equal(await UserModel.findByEmail("nobody@example.com"), null);
+});
+
+test("findAll and count apply filters, sorting and keyset pagination", async () => {
+  const [admin, support, member] = await createSampleUsers();
+
+  const byName = await UserModel.findAll({ filters: { name: "SMI" } });
+  assert.deepEqual(byName.map((user) => user.id), [support.id]);
+  assert.equal(await UserModel.count({ name: "SMI" }), 1);
+  assert.equal(await UserModel.count(), 3);
+
+  const wildcard = await UserModel.findAll({ filters: { email: "%" } });
+  assert.deepEqual(wildcard, []);
+
+  const ascending = await UserModel.findAll({ sort: "id", order: "asc" });
+  assert.deepEqual(ascending.map((user) => user.id), [admin.id, support.id, member.id]);
+
+  const after = await UserModel.findAll({
+    sort: "id",
+    order: "asc",
+    after: { value: admin.id, id: admin.id },
+    limit: 1,
+  });
+  assert.deepEqual(after.map((user) => user.id), [support.id]);
+
+  await assert.rejects(UserModel.findAll({ sort: "password_hash" }), /Cannot sort users/);
+});
+
+test("update and delete report missing users", async () => {
+  const user = await createUser();
+
+  const updated = await UserModel.update(user.id, { first_name: "Renamed" });
+  assert.equal(updated.first_name, "Renamed");
+  assert.ok(updated.updated_at >= user.updated_at);
+
+  assert.equal(await UserModel.update(999999, { first_name: "Nobody" }), null);
+  assert.equal(await UserModel.delete(user.id), true);
+  assert.equal(await UserModel.delete(user.id), false);
+});
+
+test("update with expectedUpdatedAt only applies to the expected version", async () => {
+  const user = await createUser();
+
+  const updated = await UserModel.update(
+    user.id,
+    { first_name: "First" },
+    { expectedUpdatedAt: user.updated_at }
+  );
+  assert.equal(updated.first_name, "First");
+
+  const stale = await UserModel.update(
+    user.id,
+    { first_name: "Second" },
+    { expectedUpdatedAt: user.updated_at }
+  );
+  assert.equal(stale, null);
+});
+
+test("delete is a soft delete that hides the user and revokes their sessions", async () => {
+  const user = await createUser();
+  await createSession(user);
+
+  assert.equal(await UserModel.delete(user.id), true);
+
+  assert.equal(await UserModel.findById(user.id), null);
+  assert.equal(await UserModel.findByEmail(user.email), null);
+  assert.equal(await UserModel.count(), 0);
+  assert.equal(await UserModel.update(user.id, { first_name: "Ghost" }), null);
+  assert.deepEqual(await SessionModel.findByUserId(user.id), []);
+
+  const deleted = await UserModel.findById(user.id, { includeDeleted: true });
+  assert.ok(deleted.deleted_at);
+  assert.equal(await UserModel.count({ include_deleted: true }), 1);
+
+  const restored = await UserModel.restore(user.id);
+  assert.equal(restored.deleted_at, null);
+  assert.equal(await UserModel.restore(user.id), null);
+  assert.equal((await UserModel.findByEmail(user.email)).id, user.id);
+});
+
+test("a deleted user's email can be used by a new user", async () => {
+  const user = await createUser();
+  await UserModel.delete(user.id);
+
+  const replacement = await UserModel.create({
+    first_name: "New",
+    last_name: "Owner",
+    email: user.email,
+    password: "hash",
+  });
+
+  assert.equal((await UserModel.findByEmail(user.email)).id, replacement.id);
+});
+
+test("purgeDeleted only removes users deleted before the cutoff", async () => {
+  const longGone = await createUser({ deleted_at: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) });
+  const recent = await createUser({ deleted_at: new Date() });
+  const active = await createUser();
+
+  const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  assert.equal(await UserModel.purgeDeleted({ before: cutoff, batchSize: 1 }), 1);
+
+  assert.equal(await UserModel.findById(longGone.id, { includeDeleted: true }), null);
+  assert.ok(await UserModel.findById(recent.id, { includeDeleted: true }));
+  assert.ok(await UserModel.findById(active.id));
+});
+
+test("search matches prefixes and typos, ranks the best match first and skips deleted users", async () => {
+  const [john, jane, alice] = await createSampleUsers();
+
+  const prefix = await UserModel.search(["jo"]);
+  assert.deepEqual(prefix.users.map((user) => user.id).sort(), [john.id, alice.id].sort());
+
+  const ranked = await UserModel.search(["john"]);
+  assert.deepEqual(ranked.users.map((user) => user.id), [john.id, alice.id]);
+  assert.ok(ranked.users[0].score > ranked.users[1].score);
+
+  const typo = await UserModel.search(["smtih"]);
+  assert.deepEqual(typo.users.map((user) => user.id), [jane.id]);
+
+  const page = await UserModel.search(["john"], { limit: 1, offset: 1 });
+  assert.equal(page.total, 2);
+  assert.deepEqual(page.users.map((user) => user.id), [alice.id]);
+
+  await UserModel.delete(alice.id);
+  assert.equal((await UserModel.search(["alice"])).total, 0);
+  assert.equal((await UserModel.search(["alice"], { includeDeleted: true })).total, 1);
+});
+
+test("markEmailVerified only verifies the address the token was sent to", async () => {
+  const user = await createUser({ email_verified_at: null });
+
+  assert.equal(await UserModel.markEmailVerified(user.id, "old@example.com"), null);
+
+  const verified = await UserModel.markEmailVerified(user.id, user.email);
+  assert.ok(verified.email_verified_at);
+});
+
+test("recordFailedLogin locks the account at the limit and resetFailedLogins clears it", async () => {
+  const user = await createUser();
+  const options = { maxAttempts: 2, lockoutMs: 60 * 1000 };
+
+  const first = await UserModel.recordFailedLogin(user.id, options);
+  assert.equal(first.failed_login_attempts, 1);
+  assert.equal(first.locked_until, null);
+
+  const second = await UserModel.recordFailedLogin(user.id, options);
+  assert.equal(second.failed_login_attempts, 2);
+  assert.ok(second.locked_until > new Date());
+
+  assert.equal(await UserModel.recordFailedLogin(999999, options), null);
+
+  assert.equal(await UserModel.resetFailedLogins(user.id), true);
+  const reset = await UserModel.findById(user.id, { withCredentials: true });
+  assert.equal(reset.failed_login_attempts, 0);
+  assert.equal(reset.locked_until, null);
+});
+
+test("recordFailedLogin starts counting again once a lock has expired", async () => {
+  const user = await createUser({
+    failed_login_attempts: 5,
+    locked_until: new Date(Date.now() - 1000),
+  });
+
+  const updated = await UserModel.recordFailedLogin(user.id, { maxAttempts: 5, lockoutMs: 1000 });
+
+  assert.equal(updated.failed_login_attempts, 1);
+  assert.equal(updated.locked_until, null);
+});
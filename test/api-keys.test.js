@@ -0,0 +1,118 @@
+/**
+ * @fileoverview /api-keys route tests
+ * @description Creating, listing and revoking API keys, and authenticating with them
+ */
+
+import "./helpers/setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { useServer } from "./helpers/http.js";
+import { API_KEY, createUser, createApiKey, accessTokenFor } from "./helpers/factories.js";
+
+useTestDatabase();
+const api = useServer();
+
+let admin;
+let member;
+
+beforeEach(async () => {
+  admin = await createUser({ role: "admin" });
+  member = await createUser();
+});
+
+test("POST /api-keys creates a key that authenticates requests", async () => {
+  const res = await api.request("POST", "/api-keys", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+    body: { name: "Mobile app", scopes: ["auth", "auth"] },
+  });
+
+  assert.equal(res.status, 201);
+  assert.ok(res.body.key.startsWith(`${res.body.apiKey.key_prefix}.`));
+  assert.deepEqual(res.body.apiKey.scopes, ["auth"]);
+  assert.equal(res.body.apiKey.created_by, admin.id);
+  assert.equal(res.body.apiKey.key_hash, undefined);
+
+  const login = await api.request("POST", "/user-auth", {
+    apiKey: res.body.key,
+    body: { email: member.email, password: member.password },
+  });
+  assert.equal(login.status, 200);
+});
+
+test("POST /api-keys validates the body", async () => {
+  const res = await api.request("POST", "/api-keys", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+    body: { name: "Old", scopes: ["users"], expires_at: "2000-01-01T00:00:00Z" },
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.errors[0].field, "expires_at");
+});
+
+test("/api-keys routes require an admin and a key with the api_keys scope", async () => {
+  const asMember = await api.request("GET", "/api-keys", {
+    apiKey: API_KEY,
+    token: accessTokenFor(member),
+  });
+  assert.equal(asMember.status, 403);
+
+  const { key } = await createApiKey({ scopes: ["users", "auth"] });
+  const withoutScope = await api.request("GET", "/api-keys", {
+    apiKey: key,
+    token: accessTokenFor(admin),
+  });
+  assert.equal(withoutScope.status, 403);
+  assert.equal(withoutScope.body.code, "api_key_scope_missing");
+});
+
+test("GET /api-keys lists keys without their hashes", async () => {
+  const { apiKey } = await createApiKey();
+
+  const res = await api.request("GET", "/api-keys", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map((key) => key.id), [apiKey.id]);
+  assert.equal(res.body[0].key_hash, undefined);
+});
+
+test("DELETE /api-keys/:id revokes a key", async () => {
+  const { key, apiKey } = await createApiKey();
+  const revoke = () =>
+    api.request("DELETE", `/api-keys/${apiKey.id}`, {
+      apiKey: API_KEY,
+      token: accessTokenFor(admin),
+    });
+
+  const res = await revoke();
+  assert.equal(res.status, 200);
+  assert.ok(res.body.apiKey.revoked_at);
+
+  const again = await revoke();
+  assert.equal(again.status, 404);
+  assert.equal(again.body.code, "api_key_not_found");
+
+  const withRevokedKey = await api.request("POST", "/user-auth", {
+    apiKey: key,
+    body: { email: member.email, password: member.password },
+  });
+  assert.equal(withRevokedKey.status, 401);
+  assert.equal(withRevokedKey.body.code, "api_key_invalid");
+});
+
+test("expired API keys are rejected", async () => {
+  const { key } = await createApiKey({ expiresAt: new Date(Date.now() - 1000) });
+
+  const res = await api.request("POST", "/user-auth", {
+    apiKey: key,
+    body: { email: member.email, password: member.password },
+  });
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "api_key_invalid");
+});
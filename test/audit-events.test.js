@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Audit log tests
+ * @description Events written by the /users and /user-auth routes, the
+ * GET /audit-events endpoint, and the append-only guarantee of the table
+ */
+
+import "./helpers/setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { useServer } from "./helpers/http.js";
+import {
+  API_KEY,
+  createUser,
+  createApiKey,
+  accessTokenFor,
+  captureMail,
+} from "./helpers/factories.js";
+import db from "../src/db/init.js";
+import { AuditEventModel } from "../src/models/AuditEventModel.js";
+
+useTestDatabase();
+const api = useServer();
+captureMail();
+
+let admin;
+let member;
+
+beforeEach(async () => {
+  admin = await createUser({ role: "admin" });
+  member = await createUser();
+});
+
+/**
+ * List audit events as the admin
+ * @param {string} [query=""] - Query string, including the leading "?"
+ * @returns {Promise<Object>} Response
+ */
+function listEvents(query = "") {
+  return api.request("GET", `/audit-events${query}`, {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+}
+
+test("PUT /users/:id records the actor, client and a before/after diff", async () => {
+  await api.request("PUT", `/users/${member.id}`, {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+    headers: { "User-Agent": "admin-console/1.0" },
+    body: { role: "support", first_name: member.first_name },
+  });
+
+  const res = await listEvents(`?action=user.updated&target_id=${member.id}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.length, 1);
+  const [event] = res.body.data;
+  assert.equal(event.actor_user_id, admin.id);
+  assert.equal(event.api_client_name, "env:API_KEY");
+  assert.deepEqual(event.changes, { role: { from: "member", to: "support" } });
+  assert.equal(event.ip_address, "127.0.0.1");
+  assert.equal(event.user_agent, "admin-console/1.0");
+  assert.ok(event.request_id);
+});
+
+test("user creation and deletion are recorded", async () => {
+  const created = await api.request("POST", "/users", {
+    apiKey: API_KEY,
+    body: { first_name: "Bob", last_name: "Brown", email: "bob@example.com", password: "secret123" },
+  });
+  const userId = created.body.user.id;
+
+  await api.request("DELETE", `/users/${userId}`, {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+
+  const res = await listEvents(`?target_id=${userId}`);
+  assert.deepEqual(res.body.data.map((event) => event.action), ["user.deleted", "user.created"]);
+  assert.equal(res.body.data[0].actor_user_id, admin.id);
+  assert.equal(res.body.data[1].actor_user_id, null);
+});
+
+test("successful and failed logins are recorded with the reason", async () => {
+  const login = (email, password) =>
+    api.request("POST", "/user-auth", { apiKey: API_KEY, body: { email, password } });
+
+  await login(member.email, "wrong-password1");
+  await login("nobody@example.com", "password1");
+  await login(member.email, member.password);
+
+  const failed = await listEvents("?action=auth.login_failed");
+  assert.deepEqual(
+    failed.body.data.map((event) => [event.target_user_id, event.metadata.reason]),
+    [
+      [null, "unknown_email"],
+      [member.id, "invalid_password"],
+    ]
+  );
+
+  const succeeded = await listEvents(`?action=auth.login_succeeded&actor_id=${member.id}`);
+  assert.equal(succeeded.body.data.length, 1);
+  assert.ok(succeeded.body.data[0].metadata.session_id);
+});
+
+test("GET /audit-events filters by time range and paginates with a cursor", async () => {
+  const before = new Date(Date.now() - 60 * 1000);
+  for (let index = 0; index < 3; index += 1) {
+    await AuditEventModel.create({ action: "user.unlocked", targetUserId: member.id });
+  }
+
+  const firstPage = await listEvents("?limit=2");
+  assert.equal(firstPage.body.data.length, 2);
+  assert.ok(firstPage.body.pagination.next_cursor);
+
+  const secondPage = await listEvents(
+    `?limit=2&cursor=${firstPage.body.pagination.next_cursor}`
+  );
+  assert.equal(secondPage.body.data.length, 1);
+  assert.equal(secondPage.body.pagination.next_cursor, null);
+  assert.ok(secondPage.body.data[0].id < firstPage.body.data[1].id);
+
+  const inRange = await listEvents(`?occurred_after=${before.toISOString()}`);
+  assert.equal(inRange.body.data.length, 3);
+
+  const outOfRange = await listEvents(`?occurred_before=${before.toISOString()}`);
+  assert.equal(outOfRange.body.data.length, 0);
+});
+
+test("GET /audit-events validates filters", async () => {
+  const unknownAction = await listEvents("?action=user.renamed");
+  assert.equal(unknownAction.status, 422);
+
+  const badCursor = await listEvents("?cursor=not-a-cursor");
+  assert.equal(badCursor.status, 422);
+  assert.equal(badCursor.body.errors[0].field, "cursor");
+});
+
+test("GET /audit-events requires an admin and a key with the audit scope", async () => {
+  const asMember = await api.request("GET", "/audit-events", {
+    apiKey: API_KEY,
+    token: accessTokenFor(member),
+  });
+  assert.equal(asMember.status, 403);
+
+  const { key } = await createApiKey({ scopes: ["users"] });
+  const withoutScope = await api.request("GET", "/audit-events", {
+    apiKey: key,
+    token: accessTokenFor(admin),
+  });
+  assert.equal(withoutScope.status, 403);
+  assert.equal(withoutScope.body.code, "api_key_scope_missing");
+});
+
+test("audit events cannot be updated or deleted", async () => {
+  const event = await AuditEventModel.create({ action: "user.deleted", targetUserId: member.id });
+
+  // Each attempt runs in a savepoint, so the rejected statement does not abort the test transaction
+  await assert.rejects(
+    db.transaction((trx) => trx("audit_events").where({ id: event.id }).update({ action: "user.created" })),
+    /append-only/
+  );
+  await assert.rejects(
+    db.transaction((trx) => trx("audit_events").where({ id: event.id }).del()),
+    /append-only/
+  );
+  await assert.rejects(
+    db.transaction((trx) => trx.raw("truncate audit_events")),
+    /append-only/
+  );
+
+  const [stored] = await AuditEventModel.findAll({ filters: { target_user_id: member.id } });
+  assert.equal(stored.action, "user.deleted");
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Test database
+ * @description Creates a schema for the test file, applies the migrations to it, and
+ * runs every test inside a transaction that is rolled back afterwards, so tests start
+ * from an empty database and never see each other's rows
+ */
+
+import { before, after, beforeEach, afterEach } from "node:test";
+import {
+  initializeDatabase,
+  closeDatabase,
+  getKnexInstance,
+  setKnexInstance,
+} from "../../src/db/init.js";
+import { closePool } from "../../src/config/database.js";
+
+/**
+ * Register the hooks that give the test file an isolated database
+ * @function
+ * @returns {void}
+ * @description Call once at the top level of a test file. The schema is named by
+ * DB_SCHEMA (see test/helpers/setup.js) and dropped when the file finishes.
+ * @example
+ * import "./helpers/setup.js";
+ * import { useTestDatabase } from "./helpers/database.js";
+ *
+ * useTestDatabase();
+ */
+export function useTestDatabase() {
+  const schema = process.env.DB_SCHEMA;
+  let trx;
+
+  before(async () => {
+    const db = getKnexInstance();
+    await db.raw("drop schema if exists ?? cascade", [schema]);
+    await db.raw("create schema ??", [schema]);
+    await initializeDatabase();
+  });
+
+  beforeEach(async () => {
+    trx = await getKnexInstance().transaction();
+    setKnexInstance(trx);
+  });
+
+  afterEach(async () => {
+    setKnexInstance();
+    await trx.rollback();
+  });
+
+  after(async () => {
+    try {
+      await getKnexInstance().raw("drop schema if exists ?? cascade", [schema]);
+    } catch (error) {
+      // Throwing would skip the after hooks registered later, such as the one that
+      // stops the test server, and the file would never exit
+      console.error(`Could not drop test schema ${schema}:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      // Close the pools even when the database is unreachable, or the file never exits
+      try {
+        await closeDatabase();
+      } finally {
+        await closePool();
+      }
+    }
+  });
+}
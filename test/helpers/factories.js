@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Test factories
+ * @description Create users, sessions and API keys directly in the database. Users are
+ * built with the same row builder as the development seed (src/db/seeds/01_users.js).
+ * Rows are written through the test transaction and disappear after each test.
+ */
+
+import db from "../../src/db/init.js";
+import { SAMPLE_USERS, buildUserRow } from "../../src/db/seeds/01_users.js";
+import { UserModel } from "../../src/models/UserModel.js";
+import { SessionModel } from "../../src/models/SessionModel.js";
+import { ApiKeyModel } from "../../src/models/ApiKeyModel.js";
+import { setMailTransport } from "../../src/mailer.js";
+import { generateApiKey, generateToken, hashToken, signAccessToken } from "../../src/utils.js";
+
+/**
+ * API key accepted for every scope (the API_KEY environment variable, see setup.js)
+ * @type {string}
+ */
+export const API_KEY = process.env.API_KEY;
+
+/**
+ * Counter that keeps factory emails unique within a test file
+ * @type {number}
+ */
+let sequence = 0;
+
+/**
+ * Create a user
+ * @async
+ * @param {Object} [overrides={}] - Column values, plus an optional plain `password`
+ * @returns {Promise<Object>} The user's public columns and its plain `password`
+ * @description Defaults to a verified member with a unique email
+ * @example
+ * const admin = await createUser({ role: "admin" });
+ * const unverified = await createUser({ email_verified_at: null });
+ */
+export async function createUser(overrides = {}) {
+  sequence += 1;
+
+  const attributes = {
+    first_name: "Test",
+    last_name: `User${sequence}`,
+    email: `user${sequence}@example.com`,
+    role: "member",
+    password: `password-${sequence}`,
+    ...overrides,
+  };
+
+  const [user] = await db("users")
+    .insert(await buildUserRow(attributes))
+    .returning(UserModel.columns());
+
+  return { ...user, password: attributes.password };
+}
+
+/**
+ * Create the development seed users
+ * @async
+ * @returns {Promise<Array<Object>>} Admin, support and member users, as createUser returns
+ * them; created one after another so their IDs ascend in that order
+ */
+export async function createSampleUsers() {
+  const users = [];
+  for (const attributes of SAMPLE_USERS) {
+    users.push(await createUser(attributes));
+  }
+  return users;
+}
+
+/**
+ * Create a session with a refresh token
+ * @async
+ * @param {Object} user - User the session belongs to
+ * @param {Object} [options={}] - Session options
+ * @param {Date} [options.expiresAt] - Expiry, one day from now by default
+ * @returns {Promise<{ session: Object, refreshToken: string }>} Session row and its plain refresh token
+ */
+export async function createSession(user, { expiresAt } = {}) {
+  const refreshToken = generateToken();
+  const session = await SessionModel.create(
+    user.id,
+    expiresAt || new Date(Date.now() + 24 * 60 * 60 * 1000),
+    { refreshTokenHash: hashToken(refreshToken) }
+  );
+
+  return { session, refreshToken };
+}
+
+/**
+ * Create an API key
+ * @async
+ * @param {Object} [options={}] - Key options
+ * @param {Array<string>} [options.scopes=["*"]] - Granted scopes
+ * @param {Date|null} [options.expiresAt=null] - Expiry
+ * @returns {Promise<{ key: string, apiKey: Object }>} Plain key and the stored key
+ */
+export async function createApiKey({ scopes = ["*"], expiresAt = null } = {}) {
+  const { key, prefix } = generateApiKey();
+  const apiKey = await ApiKeyModel.create({
+    name: `Test key ${prefix}`,
+    keyPrefix: prefix,
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt,
+  });
+
+  return { key, apiKey };
+}
+
+/**
+ * Sign an access token for a user
+ * @function
+ * @param {Object} user - User to sign the token for
+ * @param {string} [sessionFamilyId] - Session family the token belongs to
+ * @returns {string} JWT access token
+ */
+export function accessTokenFor(user, sessionFamilyId) {
+  return signAccessToken(user, sessionFamilyId);
+}
+
+/**
+ * Capture outgoing email instead of printing it
+ * @function
+ * @returns {Array<Object>} Messages sent from now on, in order; clear it with `length = 0`
+ * @example
+ * const mailbox = captureMail();
+ * // ... trigger a password reset ...
+ * const token = tokenFromMail(mailbox.at(-1));
+ */
+export function captureMail() {
+  const mailbox = [];
+  setMailTransport({ send: async (message) => mailbox.push(message) });
+  return mailbox;
+}
+
+/**
+ * Read the token from the link in an account email
+ * @function
+ * @param {Object} message - Message captured by captureMail
+ * @returns {string|null} Token, or null if the message has no link
+ */
+export function tokenFromMail(message) {
+  const match = /[?&]token=([^&\s]+)/.exec(message?.text || "");
+  return match ? decodeURIComponent(match[1]) : null;
+}
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Test HTTP client
+ * @description Serves the Express application on a random port for the duration of a
+ * test file and sends requests to it with fetch
+ */
+
+import { before, after } from "node:test";
+import app from "../../src/app.js";
+
+/**
+ * A response with its body already read
+ * @typedef {Object} TestResponse
+ * @property {number} status - HTTP status code
+ * @property {Headers} headers - Response headers
+ * @property {*} body - Parsed JSON for JSON and problem+json responses, text otherwise
+ */
+
+/**
+ * Start the application for the test file
+ * @function
+ * @returns {{ request: function(string, string, Object=): Promise<TestResponse> }}
+ * Client whose `request(method, path, options)` accepts `headers`, `body` (sent as
+ * JSON), `apiKey` (sent as X-API-Key) and `token` (sent as a Bearer token)
+ * @example
+ * const api = useServer();
+ *
+ * test("GET /healthz", async () => {
+ *   const res = await api.request("GET", "/healthz");
+ *   assert.equal(res.status, 200);
+ * });
+ */
+export function useServer() {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve, reject) => {
+      server.once("listening", resolve);
+      server.once("error", reject);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    // before may have failed before the server was created
+    if (!server) {
+      return;
+    }
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  return {
+    async request(method, path, { headers = {}, body, apiKey, token } = {}) {
+      const requestHeaders = { ...headers };
+
+      if (apiKey) {
+        requestHeaders["X-API-Key"] = apiKey;
+      }
+
+      if (token) {
+        requestHeaders.Authorization = `Bearer ${token}`;
+      }
+
+      if (body !== undefined) {
+        requestHeaders["Content-Type"] ??= "application/json";
+      }
+
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: requestHeaders,
+        body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+      });
+
+      const text = await response.text();
+      const isJson = /[/+]json/.test(response.headers.get("content-type") || "");
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson && text ? JSON.parse(text) : text,
+      };
+    },
+  };
+}
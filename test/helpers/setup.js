@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Test environment
+ * @description Sets the environment the application reads at import time. Import it
+ * before anything from src/ in every test file. Values already set in the environment
+ * win, so the database connection can be pointed elsewhere with DB_HOST, DB_NAME, etc.
+ */
+
+/**
+ * Defaults for the test run
+ * @type {Object<string, string>}
+ */
+const TEST_ENV = {
+  NODE_ENV: "test",
+  // Each test file runs in its own process and migrates into its own schema
+  DB_SCHEMA: `test_${process.pid}`,
+  LOG_LEVEL: "silent",
+  API_KEY: "test-api-key",
+  JWT_SECRET: "test-jwt-secret",
+  SESSION_SECRET: "test-session-secret",
+  REQUIRE_EMAIL_VERIFICATION: "false",
+  // Failed logins are delayed progressively; fewer attempts keep lockout tests fast
+  LOGIN_MAX_FAILED_ATTEMPTS: "3",
+  // Every request comes from 127.0.0.1; keep the per-IP login limit out of the way
+  LOGIN_RATE_LIMIT_PER_IP: "1000",
+};
+
+for (const [name, value] of Object.entries(TEST_ENV)) {
+  process.env[name] ??= value;
+}
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview OpenAPI coverage tests
+ * @description Fails when a mounted route is missing from the OpenAPI document, when
+ * the document lists a route that is not mounted, or when a `$ref` is broken
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOpenApiDocument } from "../src/openapi.js";
+import { serviceRoutes, apiRoutes } from "../src/routes/index.js";
+
+/**
+ * Routes declared directly on the app in src/app.js rather than in a router
+ * @type {Array<string>}
+ */
+const APP_ROUTES = ["GET /"];
+
+/**
+ * List the routes of mounted routers as "METHOD /openapi/{path}" strings
+ * @param {Array<{path: string, router: Object}>} mounts - Route table entries
+ * @returns {Array<string>} Routes, e.g. "GET /users/{id}"
+ */
+function listMountedRoutes(mounts) {
+  return mounts.flatMap(({ path, router }) =>
+    router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) => {
+        const fullPath = `${path}${layer.route.path}`.replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+        const openApiPath = fullPath.replace(/:(\w+)/g, "{$1}");
+
+        return Object.keys(layer.route.methods)
+          .filter((method) => method !== "_all")
+          .map((method) => `${method.toUpperCase()} ${openApiPath}`);
+      })
+  );
+}
+
+/**
+ * List the operations in an OpenAPI document as "METHOD /path" strings
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<string>} Operations
+ */
+function listDocumentedRoutes(document) {
+  return Object.entries(document.paths).flatMap(([path, item]) =>
+    Object.keys(item).map((method) => `${method.toUpperCase()} ${path}`)
+  );
+}
+
+const document = buildOpenApiDocument();
+const mounted = [...APP_ROUTES, ...listMountedRoutes([...serviceRoutes, ...apiRoutes])];
+const documented = listDocumentedRoutes(document);
+
+test("the document is OpenAPI 3.1", () => {
+  assert.equal(document.openapi, "3.1.0");
+  assert.ok(document.components.securitySchemes.ApiKeyAuth);
+  assert.ok(document.components.securitySchemes.BearerAuth);
+});
+
+test("every mounted route is documented", () => {
+  const missing = mounted.filter((route) => !documented.includes(route));
+  assert.deepEqual(missing, [], `Routes missing from src/openapi.js: ${missing.join(", ")}`);
+});
+
+test("every documented route is mounted", () => {
+  const stale = documented.filter((route) => !mounted.includes(route));
+  assert.deepEqual(stale, [], `Documented routes that do not exist: ${stale.join(", ")}`);
+});
+
+test("every $ref resolves", () => {
+  const refs = [];
+  JSON.stringify(document, (key, value) => {
+    if (key === "$ref") refs.push(value);
+    return value;
+  });
+
+  const broken = refs.filter((ref) => {
+    const target = ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node?.[key], document);
+    return target === undefined;
+  });
+
+  assert.deepEqual([...new Set(broken)], []);
+});
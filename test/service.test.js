@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Service route tests
+ * @description GET /, health checks, metrics, API documentation and the behaviour
+ * every response shares: request IDs and problem+json errors
+ */
+
+import "./helpers/setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { useServer } from "./helpers/http.js";
+
+useTestDatabase();
+const api = useServer();
+
+test("GET / answers with a greeting", async () => {
+  const res = await api.request("GET", "/");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body, "Hello World!");
+});
+
+test("every response carries a request ID, and a valid inbound one is kept", async () => {
+  const generated = await api.request("GET", "/");
+  assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+  const forwarded = await api.request("GET", "/", { headers: { "X-Request-Id": "trace-123" } });
+  assert.equal(forwarded.headers.get("x-request-id"), "trace-123");
+});
+
+test("unknown routes answer with a 404 problem", async () => {
+  const res = await api.request("GET", "/does-not-exist");
+
+  assert.equal(res.status, 404);
+  assert.match(res.headers.get("content-type"), /^application\/problem\+json/);
+  assert.equal(res.body.status, 404);
+  assert.equal(res.body.request_id, res.headers.get("x-request-id"));
+});
+
+test("malformed JSON bodies answer with a 400 problem", async () => {
+  const res = await api.request("POST", "/users", { body: "{not json" });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.status, 400);
+});
+
+test("GET /healthz reports the process is up", async () => {
+  const res = await api.request("GET", "/healthz");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ok");
+  assert.equal(typeof res.body.uptime_seconds, "number");
+  assert.equal(res.headers.get("cache-control"), "no-store");
+});
+
+test("GET /readyz checks the database and migrations", async () => {
+  const res = await api.request("GET", "/readyz");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ready");
+  assert.equal(res.body.checks.database.status, "ok");
+  assert.equal(res.body.checks.migrations.status, "ok");
+});
+
+test("GET /metrics serves Prometheus metrics", async () => {
+  await api.request("GET", "/healthz");
+  const res = await api.request("GET", "/metrics");
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(res.body, /http_requests_total\{method="GET",route="\/healthz",status="200"\} \d+/);
+  assert.match(res.body, /sessions_active 0/);
+});
+
+test("GET /openapi.json serves the OpenAPI document", async () => {
+  const res = await api.request("GET", "/openapi.json");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.openapi, "3.1.0");
+  assert.ok(res.body.paths["/users"]);
+});
+
+test("GET /docs serves Swagger UI and its assets", async () => {
+  const page = await api.request("GET", "/docs");
+  assert.equal(page.status, 200);
+  assert.match(page.body, /swagger-ui-bundle\.js/);
+
+  const asset = await api.request("GET", "/docs/swagger-ui-bundle.js");
+  assert.equal(asset.status, 200);
+});
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview /user-auth route tests
+ * @description Login and lockout, refresh token rotation, password reset, email
+ * verification, session tokens and session management
+ */
+
+import "./helpers/setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { useServer } from "./helpers/http.js";
+import {
+  API_KEY,
+  createUser,
+  createSession,
+  createApiKey,
+  accessTokenFor,
+  captureMail,
+  tokenFromMail,
+} from "./helpers/factories.js";
+import { SessionModel } from "../src/models/SessionModel.js";
+import { UserModel } from "../src/models/UserModel.js";
+import { encrypt } from "../src/utils.js";
+
+useTestDatabase();
+const api = useServer();
+const mailbox = captureMail();
+
+let user;
+
+beforeEach(async () => {
+  mailbox.length = 0;
+  user = await createUser();
+});
+
+/**
+ * Log a user in
+ * @param {Object} credentials - Email and password
+ * @returns {Promise<Object>} Response
+ */
+function login({ email, password }) {
+  return api.request("POST", "/user-auth", { apiKey: API_KEY, body: { email, password } });
+}
+
+test("POST /user-auth issues an access token, refresh token and session", async () => {
+  const res = await login(user);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.user, { id: user.id, role: "member" });
+  assert.ok(res.body.token);
+  assert.ok(res.body.refreshToken);
+  assert.ok(res.body.session);
+
+  const me = await api.request("GET", "/users/me", { token: res.body.token });
+  assert.equal(me.body.id, user.id);
+});
+
+test("POST /user-auth rejects wrong passwords and unknown emails alike", async () => {
+  const wrongPassword = await login({ email: user.email, password: "wrong-password1" });
+  const unknownEmail = await login({ email: "nobody@example.com", password: "password1" });
+
+  assert.equal(wrongPassword.status, 401);
+  assert.equal(unknownEmail.status, 401);
+  assert.equal(wrongPassword.body.code, "invalid_credentials");
+  assert.equal(wrongPassword.body.detail, unknownEmail.body.detail);
+});
+
+test("POST /user-auth requires email and password", async () => {
+  const res = await login({ email: user.email });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, "validation_failed");
+  assert.deepEqual(res.body.errors.map((error) => error.field), ["password"]);
+});
+
+test("POST /user-auth rejects credentials that are not strings", async () => {
+  const res = await login({ email: {}, password: [1] });
+
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["email", "password"]);
+});
+
+test("POST /user-auth locks the account after repeated failures", async () => {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS);
+
+  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+    await login({ email: user.email, password: "wrong-password1" });
+  }
+
+  // A locked account is refused like a wrong password, so it cannot reveal the email
+  const res = await login(user);
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "invalid_credentials");
+
+  const unknownEmail = await login({ email: "nobody@example.com", password: user.password });
+  assert.equal(res.body.detail, unknownEmail.body.detail);
+
+  const stored = await UserModel.findByEmail(user.email, { withCredentials: true });
+  assert.ok(new Date(stored.locked_until) > new Date());
+});
+
+test("POST /user-auth blocks unverified users when verification is required", async (t) => {
+  const unverified = await createUser({ email_verified_at: null });
+  process.env.REQUIRE_EMAIL_VERIFICATION = "true";
+  t.after(() => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = "false";
+  });
+
+  const res = await login(unverified);
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "email_not_verified");
+});
+
+test("POST /user-auth requires an API key with the auth scope", async () => {
+  const { key } = await createApiKey({ scopes: ["users"] });
+
+  const res = await api.request("POST", "/user-auth", {
+    apiKey: key,
+    body: { email: user.email, password: user.password },
+  });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "api_key_scope_missing");
+});
+
+test("POST /user-auth/refresh rotates the refresh token", async () => {
+  const { body: tokens } = await login(user);
+
+  const res = await api.request("POST", "/user-auth/refresh", {
+    apiKey: API_KEY,
+    body: { refreshToken: tokens.refreshToken },
+  });
+
+  assert.equal(res.status, 200);
+  assert.notEqual(res.body.refreshToken, tokens.refreshToken);
+  assert.ok(res.body.token);
+});
+
+test("POST /user-auth/refresh revokes the family when a rotated token is reused", async () => {
+  const { body: tokens } = await login(user);
+  const refresh = (refreshToken) =>
+    api.request("POST", "/user-auth/refresh", { apiKey: API_KEY, body: { refreshToken } });
+
+  const rotated = await refresh(tokens.refreshToken);
+  const reused = await refresh(tokens.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, "refresh_token_revoked");
+
+  const afterRevocation = await refresh(rotated.body.refreshToken);
+  assert.equal(afterRevocation.status, 401);
+  assert.equal(afterRevocation.body.code, "refresh_token_invalid");
+});
+
+test("POST /user-auth/refresh rejects expired refresh tokens", async () => {
+  const { refreshToken } = await createSession(user, { expiresAt: new Date(Date.now() - 1000) });
+
+  const res = await api.request("POST", "/user-auth/refresh", {
+    apiKey: API_KEY,
+    body: { refreshToken },
+  });
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "refresh_token_expired");
+});
+
+test("POST /user-auth/refresh and /forgot-password reject malformed bodies with 422", async () => {
+  const badToken = await api.request("POST", "/user-auth/refresh", {
+    apiKey: API_KEY,
+    body: { refreshToken: 42 },
+  });
+  assert.equal(badToken.status, 422);
+  assert.equal(badToken.body.errors[0].field, "refreshToken");
+
+  const badEmail = await api.request("POST", "/user-auth/forgot-password", {
+    apiKey: API_KEY,
+    body: { email: { $ne: null } },
+  });
+  assert.equal(badEmail.status, 422);
+  assert.equal(badEmail.body.errors[0].field, "email");
+  assert.equal(mailbox.length, 0);
+});
+
+test("POST /user-auth/forgot-password and /reset-password reset the password", async () => {
+  await createSession(user);
+
+  const unknown = await api.request("POST", "/user-auth/forgot-password", {
+    apiKey: API_KEY,
+    body: { email: "nobody@example.com" },
+  });
+  assert.equal(unknown.status, 202);
+  assert.equal(mailbox.length, 0);
+
+  const forgot = await api.request("POST", "/user-auth/forgot-password", {
+    apiKey: API_KEY,
+    body: { email: user.email },
+  });
+  assert.equal(forgot.status, 202);
+  assert.equal(forgot.body.message, unknown.body.message);
+
+  const token = tokenFromMail(mailbox[0]);
+  const reset = await api.request("POST", "/user-auth/reset-password", {
+    apiKey: API_KEY,
+    body: { token, password: "brandnew123" },
+  });
+  assert.equal(reset.status, 200);
+  assert.deepEqual(await SessionModel.findByUserId(user.id), []);
+
+  const reused = await api.request("POST", "/user-auth/reset-password", {
+    apiKey: API_KEY,
+    body: { token, password: "another123" },
+  });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.code, "invalid_token");
+
+  const res = await login({ email: user.email, password: "brandnew123" });
+  assert.equal(res.status, 200);
+});
+
+test("POST /user-auth/resend-verification and /verify-email verify the address", async () => {
+  const unverified = await createUser({ email_verified_at: null });
+
+  const resend = await api.request("POST", "/user-auth/resend-verification", {
+    apiKey: API_KEY,
+    body: { email: unverified.email },
+  });
+  assert.equal(resend.status, 202);
+  assert.equal(mailbox.length, 1);
+
+  const res = await api.request("POST", "/user-auth/verify-email", {
+    apiKey: API_KEY,
+    body: { token: tokenFromMail(mailbox[0]) },
+  });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.user.email_verified_at);
+
+  const invalid = await api.request("POST", "/user-auth/verify-email", {
+    apiKey: API_KEY,
+    body: { token: "not-a-token" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "invalid_token");
+});
+
+test("POST /user-auth/resend-verification sends nothing for verified users", async () => {
+  const res = await api.request("POST", "/user-auth/resend-verification", {
+    apiKey: API_KEY,
+    body: { email: user.email },
+  });
+
+  assert.equal(res.status, 202);
+  assert.equal(mailbox.length, 0);
+});
+
+test("POST /user-auth/verify-token decodes a valid access token", async () => {
+  const res = await api.request("POST", "/user-auth/verify-token", {
+    token: accessTokenFor(user),
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.userId, user.id);
+  assert.equal(res.body.role, "member");
+
+  const invalid = await api.request("POST", "/user-auth/verify-token", { token: "nope" });
+  assert.equal(invalid.status, 401);
+});
+
+test("POST /user-auth/verify-session renews a session", async () => {
+  const { body: tokens } = await login(user);
+
+  const res = await api.request("POST", "/user-auth/verify-session", {
+    apiKey: API_KEY,
+    body: { session: tokens.session },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.userId, user.id);
+  assert.equal(res.body.user.email, user.email);
+  assert.ok(res.body.session);
+});
+
+test("POST /user-auth/verify-session rejects invalid, rotated and expired sessions", async () => {
+  const verify = (session) =>
+    api.request("POST", "/user-auth/verify-session", { apiKey: API_KEY, body: { session } });
+
+  const invalid = await verify("garbage");
+  assert.equal(invalid.body.code, "session_invalid");
+
+  const { body: tokens } = await login(user);
+  await api.request("POST", "/user-auth/refresh", {
+    apiKey: API_KEY,
+    body: { refreshToken: tokens.refreshToken },
+  });
+  const rotated = await verify(tokens.session);
+  assert.equal(rotated.body.code, "session_rotated");
+
+  const { session: expired } = await createSession(user, { expiresAt: new Date(Date.now() - 1000) });
+  const res = await verify(encrypt({ sessionId: expired.id, expiresAt: expired.expires_at }));
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "session_expired");
+  assert.equal(await SessionModel.findById(expired.id), null);
+});
+
+test("POST /user-auth/logout ends the session family", async () => {
+  const { body: tokens } = await login(user);
+
+  const res = await api.request("POST", "/user-auth/logout", {
+    apiKey: API_KEY,
+    body: { session: tokens.session },
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await SessionModel.findByUserId(user.id), []);
+
+  const missing = await api.request("POST", "/user-auth/logout", { apiKey: API_KEY, body: {} });
+  assert.equal(missing.status, 422);
+  assert.equal(missing.body.errors[0].field, "session");
+});
+
+test("GET /user-auth/sessions lists the user's sessions and marks the current one", async () => {
+  const { body: tokens } = await login(user);
+  await createSession(user);
+
+  const res = await api.request("GET", "/user-auth/sessions", { token: tokens.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.length, 2);
+  assert.equal(res.body.data.filter((session) => session.current).length, 1);
+});
+
+test("GET /user-auth/sessions needs sessions:manage for other users", async () => {
+  const admin = await createUser({ role: "admin" });
+  await createSession(user);
+
+  const asMember = await api.request("GET", `/user-auth/sessions?user_id=${admin.id}`, {
+    token: accessTokenFor(user),
+  });
+  assert.equal(asMember.status, 403);
+
+  const asAdmin = await api.request("GET", `/user-auth/sessions?user_id=${user.id}`, {
+    token: accessTokenFor(admin),
+  });
+  assert.equal(asAdmin.status, 200);
+  assert.equal(asAdmin.body.data.length, 1);
+});
+
+test("DELETE /user-auth/sessions revokes sessions, optionally keeping the current one", async () => {
+  const { body: tokens } = await login(user);
+  await createSession(user);
+  await createSession(user);
+
+  const keepCurrent = await api.request("DELETE", "/user-auth/sessions?keep_current=true", {
+    token: tokens.token,
+  });
+  assert.equal(keepCurrent.status, 200);
+  assert.equal(keepCurrent.body.revoked, 2);
+
+  const all = await api.request("DELETE", "/user-auth/sessions", { token: tokens.token });
+  assert.equal(all.body.revoked, 1);
+});
+
+test("DELETE /user-auth/sessions/:id revokes one session and hides other users' sessions", async () => {
+  const { session } = await createSession(user);
+  const other = await createUser();
+  const { session: otherSession } = await createSession(other);
+
+  const hidden = await api.request("DELETE", `/user-auth/sessions/${otherSession.id}`, {
+    token: accessTokenFor(user),
+  });
+  assert.equal(hidden.status, 404);
+  assert.equal(hidden.body.code, "session_not_found");
+
+  const res = await api.request("DELETE", `/user-auth/sessions/${session.id}`, {
+    token: accessTokenFor(user),
+  });
+  assert.equal(res.status, 204);
+  assert.equal(await SessionModel.findById(session.id), null);
+  assert.ok(await UserModel.findById(user.id));
+});
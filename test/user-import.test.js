@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Bulk import and export tests
+ * @description POST /users/import and GET /users/export, and the streaming CSV and
+ * NDJSON parsers they use
+ */
+
+import "./helpers/setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { useServer } from "./helpers/http.js";
+import {
+  API_KEY,
+  createSampleUsers,
+  accessTokenFor,
+  captureMail,
+} from "./helpers/factories.js";
+import { UserModel } from "../src/models/UserModel.js";
+import { AuditEventModel } from "../src/models/AuditEventModel.js";
+import { parseCsv } from "../src/formats/csv.js";
+import { parseNdjson } from "../src/formats/ndjson.js";
+
+useTestDatabase();
+const api = useServer();
+const mailbox = captureMail();
+
+let admin;
+let support;
+let member;
+
+beforeEach(async () => {
+  mailbox.length = 0;
+  [admin, support, member] = await createSampleUsers();
+});
+
+/**
+ * Send a file to POST /users/import as a user
+ * @param {Object} user - User to sign the access token for
+ * @param {string} contentType - Content type of the file
+ * @param {string} body - File contents
+ * @param {string} [query=""] - Query string, including the "?"
+ * @returns {Promise<Object>} Response
+ */
+function importAs(user, contentType, body, query = "") {
+  return api.request("POST", `/users/import${query}`, {
+    apiKey: API_KEY,
+    token: accessTokenFor(user),
+    headers: { "Content-Type": contentType },
+    body,
+  });
+}
+
+/**
+ * Collect everything a parser yields
+ * @param {AsyncGenerator} entries - Parser output
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function collect(entries) {
+  const result = [];
+  for await (const entry of entries) {
+    result.push(entry);
+  }
+  return result;
+}
+
+test("parseCsv handles quoted fields and records split across chunks", async () => {
+  const text = '﻿first_name,last_name,email\r\n"Doe, ""JD""",Smith,jd@example.com\r\n\r\nA,"multi\nline",,extra\n"open';
+  const chunks = text.match(/.{1,7}/gs);
+
+  assert.deepEqual(await collect(parseCsv(chunks)), [
+    { line: 2, record: { first_name: 'Doe, "JD"', last_name: "Smith", email: "jd@example.com" } },
+    { line: 4, error: "has 4 fields but the header has 3" },
+    { line: 6, error: "has an unterminated quoted field" },
+  ]);
+});
+
+test("parseNdjson reports bad and over-long lines", async () => {
+  const text = '{"email":"a@example.com"}\n\nnot json\n[1]\n{"email":"' + "x".repeat(40) + '"}\n';
+
+  assert.deepEqual(await collect(parseNdjson([text], { maxLineLength: 30 })), [
+    { line: 1, record: { email: "a@example.com" } },
+    { line: 3, error: "is not valid JSON" },
+    { line: 4, error: "is not a JSON object" },
+    { line: 5, error: "exceeds 30 characters" },
+  ]);
+});
+
+test("POST /users/import creates users from CSV and reports bad rows by line", async () => {
+  const csv = [
+    "first_name,last_name,email,password,role",
+    "Jill,Stone,jill@example.com,s3cure-passw0rd,support",
+    "Bob,Brown,not-an-email,,",
+    "Carl,Clark,carl@example.com,,",
+    "Jill,Again,jill@example.com,,",
+  ].join("\n");
+
+  const res = await importAs(admin, "text/csv", csv);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.processed, 4);
+  assert.equal(res.body.created, 2);
+  assert.equal(res.body.failed, 2);
+  assert.deepEqual(
+    res.body.errors.map(({ line, field, code }) => ({ line, field, code })),
+    [
+      { line: 3, field: "email", code: "validation_failed" },
+      { line: 5, field: "email", code: "duplicate_in_file" },
+    ]
+  );
+
+  const jill = await UserModel.findByEmail("jill@example.com");
+  assert.equal(jill.role, "support");
+  assert.equal(mailbox.length, 0);
+
+  const login = await api.request("POST", "/user-auth", {
+    apiKey: API_KEY,
+    body: { email: "jill@example.com", password: "s3cure-passw0rd" },
+  });
+  assert.equal(login.status, 200);
+
+  const [event] = await AuditEventModel.findAll({ filters: { action: "user.imported" } });
+  assert.equal(event.actor_user_id, admin.id);
+  assert.equal(event.metadata.created, 2);
+});
+
+test("POST /users/import applies the on_duplicate strategy to existing emails", async () => {
+  const ndjson = [
+    JSON.stringify({ first_name: "Renamed", last_name: "Member", email: member.email }),
+    JSON.stringify({ first_name: "New", last_name: "User", email: "new@example.com" }),
+  ].join("\n");
+
+  const failed = await importAs(admin, "application/x-ndjson", ndjson);
+  assert.equal(failed.body.created, 1);
+  assert.equal(failed.body.failed, 1);
+  assert.deepEqual(failed.body.errors[0].code, "email_taken");
+  assert.equal(failed.body.errors[0].line, 1);
+
+  const skipped = await importAs(admin, "application/x-ndjson", ndjson, "?on_duplicate=skip");
+  assert.equal(skipped.body.skipped, 2);
+  assert.equal((await UserModel.findById(member.id)).first_name, member.first_name);
+
+  const updated = await importAs(admin, "application/x-ndjson", ndjson, "?on_duplicate=update");
+  assert.equal(updated.body.updated, 2);
+  assert.equal((await UserModel.findById(member.id)).first_name, "Renamed");
+});
+
+test("POST /users/import with dry_run saves nothing", async () => {
+  const csv = "first_name,last_name,email\nDry,Run,dry@example.com\n";
+
+  const res = await importAs(admin, "text/csv", csv, "?dry_run=true");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dry_run, true);
+  assert.equal(res.body.created, 1);
+  assert.equal(await UserModel.findByEmail("dry@example.com"), null);
+  assert.deepEqual(await AuditEventModel.findAll({ filters: { action: "user.imported" } }), []);
+});
+
+test("POST /users/import requires the users:import permission and a CSV or NDJSON body", async () => {
+  const csv = "first_name,last_name,email\nA,B,a@example.com\n";
+
+  const asSupport = await importAs(support, "text/csv", csv);
+  assert.equal(asSupport.status, 403);
+
+  const json = await importAs(admin, "application/json", "[]");
+  assert.equal(json.status, 415);
+  assert.equal(json.body.code, "unsupported_media_type");
+
+  const badQuery = await importAs(admin, "text/csv", csv, "?on_duplicate=merge");
+  assert.equal(badQuery.status, 422);
+});
+
+test("GET /users/export streams users as CSV or NDJSON", async () => {
+  await UserModel.update(member.id, { first_name: "=cmd()" });
+
+  const csv = await api.request("GET", "/users/export?fields=id,first_name,email", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(csv.headers.get("content-disposition"), /filename="users\.csv"/);
+  assert.deepEqual(csv.body.trimEnd().split("\r\n"), [
+    "id,first_name,email",
+    `${admin.id},${admin.first_name},${admin.email}`,
+    `${support.id},${support.first_name},${support.email}`,
+    `${member.id},'=cmd(),${member.email}`,
+  ]);
+
+  const ndjson = await api.request("GET", "/users/export?format=ndjson", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+
+  assert.equal(ndjson.status, 200);
+  const users = ndjson.body.trimEnd().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(users.map((user) => user.id), [admin.id, support.id, member.id]);
+  assert.equal(users[0].password_hash, undefined);
+  assert.equal("deleted_at" in users[0], false);
+
+  const events = await AuditEventModel.findAll({ filters: { action: "user.exported" } });
+  assert.deepEqual(events.map((event) => event.metadata.format), ["ndjson", "csv"]);
+});
+
+test("GET /users/export includes deleted users only for those who may read them", async () => {
+  await UserModel.delete(member.id);
+
+  const active = await api.request("GET", "/users/export?format=ndjson", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+  assert.equal(active.body.trimEnd().split("\n").length, 2);
+
+  const all = await api.request("GET", "/users/export?format=ndjson&include_deleted=true", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+  const users = all.body.trimEnd().split("\n").map((line) => JSON.parse(line));
+  assert.equal(users.length, 3);
+  assert.ok(users[2].deleted_at);
+
+  const asSupport = await api.request("GET", "/users/export", {
+    apiKey: API_KEY,
+    token: accessTokenFor(support),
+  });
+  assert.equal(asSupport.status, 403);
+});
+
+test("CSV exports import again without the formula guard", async () => {
+  await UserModel.update(member.id, { first_name: "@home", last_name: "-Smith" });
+  await UserModel.update(support.id, { first_name: "'quoted", last_name: "'-x" });
+
+  const exported = await api.request("GET", "/users/export?fields=first_name,last_name,email", {
+    apiKey: API_KEY,
+    token: accessTokenFor(admin),
+  });
+  assert.match(exported.body, /'@home,'-Smith/);
+  assert.match(exported.body, /''quoted,''-x/);
+
+  await UserModel.update(member.id, { first_name: "Changed", last_name: "Meanwhile" });
+  await UserModel.update(support.id, { first_name: "Changed", last_name: "Meanwhile" });
+
+  const res = await importAs(admin, "text/csv", exported.body, "?on_duplicate=update");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.failed, 0);
+
+  const restored = await UserModel.findById(member.id);
+  assert.equal(restored.first_name, "@home");
+  assert.equal(restored.last_name, "-Smith");
+
+  const unchanged = await UserModel.findById(support.id);
+  assert.equal(unchanged.first_name, "'quoted");
+  assert.equal(unchanged.last_name, "'-x");
+});
@@ -0,0 +1,531 @@
+/**
+ * @fileoverview /users route tests
+ * @description Registration, profile management, admin user management, permissions
+ * and list pagination
+ */
+
+import "./helpers/setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase } from "./helpers/database.js";
+import { useServer } from "./helpers/http.js";
+import {
+  API_KEY,
+  createUser,
+  createSampleUsers,
+  createSession,
+  accessTokenFor,
+  captureMail,
+  tokenFromMail,
+} from "./helpers/factories.js";
+import { UserModel } from "../src/models/UserModel.js";
+import { SessionModel } from "../src/models/SessionModel.js";
+import { encodeCursor } from "../src/utils.js";
+
+useTestDatabase();
+const api = useServer();
+const mailbox = captureMail();
+
+let admin;
+let support;
+let member;
+
+beforeEach(async () => {
+  mailbox.length = 0;
+  [admin, support, member] = await createSampleUsers();
+});
+
+/**
+ * Send a request as a user, with the API key
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} user - User to sign the access token for
+ * @param {Object} [options={}] - Other request options
+ * @returns {Promise<Object>} Response
+ */
+function requestAs(method, path, user, options = {}) {
+  return api.request(method, path, { apiKey: API_KEY, token: accessTokenFor(user), ...options });
+}
+
+test("POST /users registers a user and emails a verification link", async () => {
+  const res = await api.request("POST", "/users", {
+    apiKey: API_KEY,
+    body: { first_name: "Bob", last_name: "Brown", email: "bob@example.com", password: "secret123" },
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.email, "bob@example.com");
+  assert.equal(res.body.user.role, "member");
+  assert.equal(res.body.user.email_verified_at, null);
+  assert.equal(res.body.user.password_hash, undefined);
+
+  assert.equal(mailbox.length, 1);
+  assert.equal(mailbox[0].to, "bob@example.com");
+  assert.ok(tokenFromMail(mailbox[0]));
+});
+
+test("POST /users requires an API key", async () => {
+  const res = await api.request("POST", "/users", {
+    body: { first_name: "Bob", last_name: "Brown", email: "bob@example.com", password: "secret123" },
+  });
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "api_key_missing");
+});
+
+test("POST /users rejects a taken email", async () => {
+  const res = await api.request("POST", "/users", {
+    apiKey: API_KEY,
+    body: { first_name: "John", last_name: "Doe", email: admin.email, password: "secret123" },
+  });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "email_taken");
+});
+
+test("POST /users validates the body", async () => {
+  const res = await api.request("POST", "/users", {
+    apiKey: API_KEY,
+    body: { first_name: "Bob", email: "not-an-email", password: "short" },
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, "validation_failed");
+  const fields = res.body.errors.map((error) => error.field).sort();
+  assert.deepEqual(fields, ["email", "last_name", "password"]);
+});
+
+test("GET /users lists users for admins only", async () => {
+  const asAdmin = await requestAs("GET", "/users", admin);
+  assert.equal(asAdmin.status, 200);
+  assert.equal(asAdmin.body.pagination.total, 3);
+  assert.equal(asAdmin.headers.get("x-total-count"), "3");
+
+  const asSupport = await requestAs("GET", "/users", support);
+  assert.equal(asSupport.status, 403);
+
+  const withoutToken = await api.request("GET", "/users", { apiKey: API_KEY });
+  assert.equal(withoutToken.status, 401);
+  assert.equal(withoutToken.body.code, "access_token_missing");
+});
+
+test("GET /users filters, sorts and selects fields", async () => {
+  const res = await requestAs("GET", "/users?name=smith&fields=id,email", admin);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, [{ id: support.id, email: support.email }]);
+
+  const sorted = await requestAs("GET", "/users?sort=email&order=asc&fields=email", admin);
+  assert.deepEqual(
+    sorted.body.data.map((user) => user.email),
+    ["alice@example.com", "jane@example.com", "john@example.com"]
+  );
+});
+
+test("GET /users paginates by page and by cursor", async () => {
+  const firstPage = await requestAs("GET", "/users?page=1&limit=2&sort=id&order=asc", admin);
+  assert.equal(firstPage.body.data.length, 2);
+  assert.equal(firstPage.body.pagination.total_pages, 2);
+  assert.match(firstPage.headers.get("link"), /rel="next"/);
+
+  const secondPage = await requestAs("GET", "/users?page=2&limit=2&sort=id&order=asc", admin);
+  assert.deepEqual(secondPage.body.data.map((user) => user.id), [member.id]);
+
+  const firstBatch = await requestAs("GET", "/users?limit=2&sort=id&order=asc", admin);
+  const cursor = firstBatch.body.pagination.next_cursor;
+  assert.ok(cursor);
+
+  const nextBatch = await requestAs(
+    "GET",
+    `/users?limit=2&sort=id&order=asc&cursor=${encodeURIComponent(cursor)}`,
+    admin
+  );
+  assert.deepEqual(nextBatch.body.data.map((user) => user.id), [member.id]);
+  assert.equal(nextBatch.body.pagination.next_cursor, null);
+});
+
+test("GET /users rejects a cursor combined with a page", async () => {
+  const res = await requestAs("GET", "/users?page=1&cursor=abc", admin);
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.errors[0].field, "cursor");
+});
+
+test("GET /users accepts only plain decimal numbers in the query", async () => {
+  for (const query of ["limit=0x10", "limit=1e1", "limit=%205%20", "page=0b11"]) {
+    const res = await requestAs("GET", `/users?${query}`, admin);
+
+    assert.equal(res.status, 422, query);
+    assert.equal(res.body.errors[0].field, query.split("=")[0]);
+    assert.equal(res.body.errors[0].message, "must be an integer");
+  }
+});
+
+test("GET /users rejects cursors whose value does not fit the sort column", async () => {
+  const tampered = [
+    { sort: "created_at", order: "desc", value: { $gt: "" }, id: member.id },
+    { sort: "created_at", order: "desc", value: "yesterday", id: member.id },
+    { sort: "id", order: "asc", value: "1", id: member.id },
+    { sort: "id", order: "asc", value: 1, id: 2 ** 40 },
+  ];
+
+  for (const position of tampered) {
+    const { sort, order } = position;
+    const res = await requestAs(
+      "GET",
+      `/users?sort=${sort}&order=${order}&cursor=${encodeCursor(position)}`,
+      admin
+    );
+
+    assert.equal(res.status, 422, JSON.stringify(position));
+    assert.equal(res.body.errors[0].field, "cursor");
+  }
+});
+
+test("GET /users cursors do not skip users created within the same millisecond", async () => {
+  const earlier = await createUser({ created_at: "2099-01-01T00:00:00.000100Z" });
+  const later = await createUser({ created_at: "2099-01-01T00:00:00.000900Z" });
+
+  const firstBatch = await requestAs("GET", "/users?limit=1&sort=created_at&order=desc", admin);
+  assert.deepEqual(firstBatch.body.data.map((user) => user.id), [later.id]);
+
+  const cursor = firstBatch.body.pagination.next_cursor;
+  const nextBatch = await requestAs(
+    "GET",
+    `/users?limit=1&sort=created_at&order=desc&cursor=${encodeURIComponent(cursor)}`,
+    admin
+  );
+  assert.deepEqual(nextBatch.body.data.map((user) => user.id), [earlier.id]);
+});
+
+test("GET /users/me returns the current user", async () => {
+  const res = await api.request("GET", "/users/me", { token: accessTokenFor(member) });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, member.id);
+  assert.equal(res.body.email, member.email);
+});
+
+test("GET /users/me rejects an invalid token", async () => {
+  const res = await api.request("GET", "/users/me", { token: "not-a-jwt" });
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "access_token_invalid");
+});
+
+test("PUT /users/me updates the profile and re-verifies a new email", async () => {
+  const res = await api.request("PUT", "/users/me", {
+    token: accessTokenFor(member),
+    body: { first_name: "Alicia", email: "alicia@example.com" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.first_name, "Alicia");
+  assert.equal(res.body.user.email_verified_at, null);
+  assert.equal(mailbox.length, 1);
+  assert.equal(mailbox[0].to, "alicia@example.com");
+});
+
+test("PUT /users/me rejects another user's email", async () => {
+  const res = await api.request("PUT", "/users/me", {
+    token: accessTokenFor(member),
+    body: { email: admin.email },
+  });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "email_taken");
+});
+
+test("PUT /users/me/password changes the password and ends every session", async () => {
+  await createSession(member);
+
+  const wrong = await api.request("PUT", "/users/me/password", {
+    token: accessTokenFor(member),
+    body: { current_password: "wrong-password", new_password: "newpassword1" },
+  });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, "invalid_password");
+
+  const res = await api.request("PUT", "/users/me/password", {
+    token: accessTokenFor(member),
+    body: { current_password: member.password, new_password: "newpassword1" },
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await SessionModel.findByUserId(member.id), []);
+
+  const login = await api.request("POST", "/user-auth", {
+    apiKey: API_KEY,
+    body: { email: member.email, password: "newpassword1" },
+  });
+  assert.equal(login.status, 200);
+});
+
+test("DELETE /users/me deletes the account after checking the password", async () => {
+  const wrong = await api.request("DELETE", "/users/me", {
+    token: accessTokenFor(member),
+    body: { password: "wrong-password" },
+  });
+  assert.equal(wrong.status, 401);
+
+  const res = await api.request("DELETE", "/users/me", {
+    token: accessTokenFor(member),
+    body: { password: member.password },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(await UserModel.findById(member.id), null);
+});
+
+test("GET /users/:id lets users read themselves and support read anyone", async () => {
+  const self = await requestAs("GET", `/users/${member.id}`, member);
+  assert.equal(self.status, 200);
+  assert.equal(self.body.email, member.email);
+
+  const asSupport = await requestAs("GET", `/users/${admin.id}`, support);
+  assert.equal(asSupport.status, 200);
+
+  const asMember = await requestAs("GET", `/users/${admin.id}`, member);
+  assert.equal(asMember.status, 403);
+});
+
+test("GET /users/:id answers 404 for unknown users and 422 for invalid IDs", async () => {
+  const missing = await requestAs("GET", "/users/999999", admin);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "user_not_found");
+
+  const invalid = await requestAs("GET", "/users/abc", admin);
+  assert.equal(invalid.status, 422);
+});
+
+test("PUT /users/:id updates users and only admins change roles", async () => {
+  const rename = await requestAs("PUT", `/users/${member.id}`, member, {
+    body: { last_name: "Jones" },
+  });
+  assert.equal(rename.status, 200);
+  assert.equal(rename.body.user.last_name, "Jones");
+
+  const promoteSelf = await requestAs("PUT", `/users/${member.id}`, member, {
+    body: { role: "admin" },
+  });
+  assert.equal(promoteSelf.status, 403);
+
+  const promote = await requestAs("PUT", `/users/${member.id}`, admin, {
+    body: { role: "support" },
+  });
+  assert.equal(promote.status, 200);
+  assert.equal(promote.body.user.role, "support");
+
+  const missing = await requestAs("PUT", "/users/999999", admin, { body: { last_name: "X" } });
+  assert.equal(missing.status, 404);
+});
+
+test("PATCH /users/:id applies a JSON Merge Patch", async () => {
+  const res = await requestAs("PATCH", `/users/${member.id}`, member, {
+    headers: { "Content-Type": "application/merge-patch+json" },
+    body: { last_name: "Jones" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.last_name, "Jones");
+  assert.equal(res.body.user.first_name, member.first_name);
+  assert.equal(res.body.user.email, member.email);
+
+  const removal = await requestAs("PATCH", `/users/${member.id}`, member, {
+    headers: { "Content-Type": "application/merge-patch+json" },
+    body: { first_name: null },
+  });
+  assert.equal(removal.status, 422);
+  assert.equal(removal.body.errors[0].field, "first_name");
+
+  const promoteSelf = await requestAs("PATCH", `/users/${member.id}`, member, {
+    body: { role: "admin" },
+  });
+  assert.equal(promoteSelf.status, 403);
+});
+
+test("GET /users/:id sends an ETag and answers 304 to a matching If-None-Match", async () => {
+  const res = await requestAs("GET", `/users/${member.id}`, member);
+  const etag = res.headers.get("etag");
+  assert.match(etag, /^"\d+"$/);
+
+  // fetch adds "Cache-Control: no-cache" to conditional requests unless one is given
+  const cached = await requestAs("GET", `/users/${member.id}`, member, {
+    headers: { "If-None-Match": etag, "Cache-Control": "max-age=0" },
+  });
+  assert.equal(cached.status, 304);
+
+  const me = await api.request("GET", "/users/me", { token: accessTokenFor(member) });
+  assert.equal(me.headers.get("etag"), etag);
+});
+
+test("If-Match rejects writes based on a stale version with 412", async () => {
+  const read = await requestAs("GET", `/users/${member.id}`, admin);
+  const etag = read.headers.get("etag");
+
+  const first = await requestAs("PATCH", `/users/${member.id}`, admin, {
+    headers: { "If-Match": etag },
+    body: { first_name: "First" },
+  });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.headers.get("etag"), etag);
+
+  const stale = await requestAs("PUT", `/users/${member.id}`, member, {
+    headers: { "If-Match": etag },
+    body: { first_name: "Second" },
+  });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.code, "etag_mismatch");
+  assert.equal(stale.body.title, "Precondition Failed");
+
+  const weak = await requestAs("PATCH", `/users/${member.id}`, member, {
+    headers: { "If-Match": `W/${first.headers.get("etag")}` },
+    body: { first_name: "Second" },
+  });
+  assert.equal(weak.status, 412);
+
+  const any = await requestAs("PATCH", `/users/${member.id}`, member, {
+    headers: { "If-Match": "*" },
+    body: { first_name: "Second" },
+  });
+  assert.equal(any.status, 200);
+  assert.equal(any.body.user.first_name, "Second");
+});
+
+test("POST /users/:id/unlock clears a lockout", async () => {
+  await UserModel.recordFailedLogin(member.id, { maxAttempts: 1, lockoutMs: 60 * 1000 });
+
+  const asMember = await requestAs("POST", `/users/${member.id}/unlock`, member);
+  assert.equal(asMember.status, 403);
+
+  const res = await requestAs("POST", `/users/${member.id}/unlock`, admin);
+  assert.equal(res.status, 200);
+
+  const user = await UserModel.findByEmail(member.email, { withCredentials: true });
+  assert.equal(user.failed_login_attempts, 0);
+  assert.equal(user.locked_until, null);
+
+  const missing = await requestAs("POST", "/users/999999/unlock", admin);
+  assert.equal(missing.status, 404);
+});
+
+test("DELETE /users/:id deletes users for admins only", async () => {
+  const asSupport = await requestAs("DELETE", `/users/${member.id}`, support);
+  assert.equal(asSupport.status, 403);
+
+  const res = await requestAs("DELETE", `/users/${member.id}`, admin);
+  assert.equal(res.status, 200);
+  assert.equal(await UserModel.findById(member.id), null);
+
+  const again = await requestAs("DELETE", `/users/${member.id}`, admin);
+  assert.equal(again.status, 404);
+});
+
+test("deleted users are hidden unless an admin asks for them", async () => {
+  await requestAs("DELETE", `/users/${member.id}`, admin);
+
+  const list = await requestAs("GET", "/users", admin);
+  assert.equal(list.body.pagination.total, 2);
+
+  const withDeleted = await requestAs("GET", "/users?include_deleted=true", admin);
+  assert.equal(withDeleted.body.pagination.total, 3);
+  const deleted = withDeleted.body.data.find((user) => user.id === member.id);
+  assert.ok(deleted.deleted_at);
+
+  const hidden = await requestAs("GET", `/users/${member.id}`, admin);
+  assert.equal(hidden.status, 404);
+
+  const found = await requestAs("GET", `/users/${member.id}?include_deleted=true`, admin);
+  assert.equal(found.status, 200);
+  assert.ok(found.body.deleted_at);
+
+  const asSupport = await requestAs("GET", `/users/${member.id}?include_deleted=true`, support);
+  assert.equal(asSupport.status, 403);
+});
+
+test("POST /users/:id/restore brings a deleted user back", async () => {
+  await createSession(member);
+  await requestAs("DELETE", `/users/${member.id}`, admin);
+  assert.deepEqual(await SessionModel.findByUserId(member.id), []);
+
+  const asSupport = await requestAs("POST", `/users/${member.id}/restore`, support);
+  assert.equal(asSupport.status, 403);
+
+  const res = await requestAs("POST", `/users/${member.id}/restore`, admin);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.deleted_at, null);
+
+  const again = await requestAs("POST", `/users/${member.id}/restore`, admin);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, "user_not_deleted");
+
+  const missing = await requestAs("POST", "/users/999999/restore", admin);
+  assert.equal(missing.status, 404);
+
+  const login = await api.request("POST", "/user-auth", {
+    apiKey: API_KEY,
+    body: { email: member.email, password: member.password },
+  });
+  assert.equal(login.status, 200);
+});
+
+test("a deleted user's email can be registered again, which blocks the restore", async () => {
+  await requestAs("DELETE", `/users/${member.id}`, admin);
+
+  const registered = await api.request("POST", "/users", {
+    apiKey: API_KEY,
+    body: { first_name: "Alice", last_name: "Again", email: member.email, password: "secret123" },
+  });
+  assert.equal(registered.status, 201);
+
+  const restore = await requestAs("POST", `/users/${member.id}/restore`, admin);
+  assert.equal(restore.status, 409);
+  assert.equal(restore.body.code, "email_taken");
+});
+
+test("GET /users/search finds users despite typos and highlights the matches", async () => {
+  const res = await requestAs("GET", "/users/search?q=alise%20jonson", support);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-total-count"), "1");
+  assert.deepEqual(res.body.pagination, { total: 1, limit: 20, page: 1, total_pages: 1 });
+
+  const [result] = res.body.data;
+  assert.equal(result.user.id, member.id);
+  assert.equal(result.user.password_hash, undefined);
+  assert.ok(result.score > 0);
+  assert.deepEqual(result.highlights, {
+    first_name: "<mark>Alice</mark>",
+    last_name: "<mark>Johnson</mark>",
+    email: "<mark>alice</mark>@example.com",
+  });
+
+  const prefix = await requestAs("GET", "/users/search?q=ja&fields=id,email", admin);
+  assert.deepEqual(prefix.body.data[0].user, { id: support.id, email: support.email });
+  assert.deepEqual(prefix.body.data[0].highlights, {
+    first_name: "<mark>Ja</mark>ne",
+    email: "<mark>ja</mark>ne@example.com",
+  });
+});
+
+test("GET /users/search requires the users:search permission and a usable query", async () => {
+  const asMember = await requestAs("GET", "/users/search?q=alice", member);
+  assert.equal(asMember.status, 403);
+
+  const missing = await requestAs("GET", "/users/search", admin);
+  assert.equal(missing.status, 422);
+
+  const punctuation = await requestAs("GET", "/users/search?q=%40.", admin);
+  assert.equal(punctuation.status, 422);
+  assert.equal(punctuation.body.errors[0].field, "q");
+
+  const deleted = await requestAs("GET", "/users/search?q=alice&include_deleted=true", support);
+  assert.equal(deleted.status, 403);
+});
+
+test("/users routes require an API key with the users scope", async () => {
+  const res = await api.request("GET", `/users/${member.id}`, {
+    apiKey: "wrong-key",
+    token: accessTokenFor(member),
+  });
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "api_key_invalid");
+});